@@ -4,7 +4,7 @@ import reactHooks from 'eslint-plugin-react-hooks'
 import reactRefresh from 'eslint-plugin-react-refresh'
 
 export default [
-  { ignores: ['dist'] },
+  { ignores: ['dist', 'my-react-router-app/build', 'my-react-router-app/.react-router'] },
   {
     files: ['**/*.{js,jsx}'],
     languageOptions: {
@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['bin/**/*.js', 'src/node/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -1,3 +1,20 @@
-import { type RouteConfig, index } from "@react-router/dev/routes";
+import {
+  type RouteConfig,
+  index,
+  layout,
+  route,
+} from "@react-router/dev/routes";
 
-export default [index("routes/home.tsx")] satisfies RouteConfig;
+// The tools themselves live in ../src; these modules only mount them.
+// Unmatched URLs get the 404 page inside the usual layout.
+export default [
+  layout("routes/layout.tsx", [
+    index("routes/home.tsx"),
+    route("upscaler", "routes/upscaler.tsx"),
+    route("downloader", "routes/downloader.tsx"),
+    route("history", "routes/history.tsx"),
+    route("settings", "routes/settings.tsx"),
+    route("*", "routes/not-found.tsx"),
+  ]),
+  route("api/upscale", "routes/api.upscale.ts"),
+] satisfies RouteConfig;
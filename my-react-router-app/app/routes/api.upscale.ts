@@ -0,0 +1,214 @@
+import { availableParallelism } from "node:os";
+import type { Route } from "./+types/api.upscale";
+import { sniffType } from "../../../src/node/codec";
+import { QueueFullError, createThreadPool } from "../../../src/node/threadPool";
+import { buildManifest, createZipStream, uniqueName } from "../../../src/utils/zip";
+import {
+  MAX_FILES,
+  MAX_FILE_BYTES,
+  MAX_PIXELS,
+  MAX_QUEUED_IMAGES,
+  MAX_REQUEST_BYTES,
+  RESULT_HEADER,
+  UpscaleApiError,
+  encodeResult,
+  readUpscaleForm,
+} from "../../../src/utils/upscaleApi";
+
+// POST /api/upscale: see src/utils/upscaleApi.js for the request and
+// response format.
+
+const MB = 1024 * 1024;
+
+// Upscaling takes seconds of CPU per image, so it runs on worker threads and
+// the server keeps answering other requests meanwhile. One core is left for
+// the server itself. The worker URL is relative to this file in dev and to
+// build/server/index.js once built; both are three levels below the repo root.
+const pool = createThreadPool(
+  new URL("../../../src/node/upscale.worker.js", import.meta.url),
+  Math.max(1, availableParallelism() - 1),
+  { maxQueued: MAX_QUEUED_IMAGES }
+);
+
+function serverBusy() {
+  return new UpscaleApiError(503, "server_busy", "The server is busy upscaling other images. Try again shortly.");
+}
+
+function errorResponse(status: number, code: string, message: string, headers?: HeadersInit) {
+  return Response.json({ error: { code, message } }, { status, headers });
+}
+
+function attachment(name: string) {
+  const ascii = name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+function requestTooLarge() {
+  return new UpscaleApiError(413, "request_too_large", `Requests are limited to ${MAX_REQUEST_BYTES / MB} MB.`);
+}
+
+// Parse the multipart body, counting bytes as they arrive: a chunked upload
+// has no Content-Length to check, and `request.formData()` would buffer all
+// of it before the limits below could run.
+async function readLimitedForm(request: Request) {
+  if (!request.body) throw new UpscaleApiError(400, "invalid_body", "The request has no body.");
+  let received = 0;
+  let overLimit = false;
+  const limited = request.body.pipeThrough(
+    new TransformStream<Uint8Array, Uint8Array>({
+      transform(chunk, controller) {
+        received += chunk.byteLength;
+        if (received > MAX_REQUEST_BYTES) {
+          overLimit = true;
+          controller.error(requestTooLarge());
+          return;
+        }
+        controller.enqueue(chunk);
+      },
+    })
+  );
+  try {
+    return await new Response(limited, {
+      headers: { "content-type": request.headers.get("content-type") || "" },
+    }).formData();
+  } catch {
+    if (overLimit) throw requestTooLarge();
+    throw new UpscaleApiError(400, "invalid_body", "The request body isn't valid multipart/form-data.");
+  }
+}
+
+export function loader() {
+  return errorResponse(405, "method_not_allowed", "Send images with POST as multipart/form-data.", {
+    Allow: "POST",
+  });
+}
+
+export async function action({ request }: Route.ActionArgs) {
+  try {
+    return await handleUpscale(request);
+  } catch (err) {
+    if (err instanceof UpscaleApiError) {
+      const headers = err.status === 503 ? { "Retry-After": "10" } : undefined;
+      return errorResponse(err.status, err.code, err.message, headers);
+    }
+    console.error(err);
+    return errorResponse(500, "internal_error", "Something went wrong while upscaling.");
+  }
+}
+
+async function handleUpscale(request: Request) {
+  if (request.method !== "POST") {
+    throw new UpscaleApiError(405, "method_not_allowed", "Send images with POST.");
+  }
+  if (!(request.headers.get("content-type") || "").startsWith("multipart/form-data")) {
+    throw new UpscaleApiError(415, "unsupported_media_type", "Send images as multipart/form-data.");
+  }
+  // Checked up front when the client says, and while reading for chunked
+  // uploads that don't.
+  const length = Number(request.headers.get("content-length"));
+  if (length > MAX_REQUEST_BYTES) throw requestTooLarge();
+
+  const form = await readLimitedForm(request);
+  const files = form.getAll("images").filter((value): value is File => typeof value !== "string");
+  if (files.length === 0) {
+    throw new UpscaleApiError(400, "no_images", 'Attach at least one image as "images".');
+  }
+  if (files.length > MAX_FILES) {
+    throw new UpscaleApiError(413, "too_many_files", `At most ${MAX_FILES} images per request.`);
+  }
+  let total = 0;
+  for (const file of files) {
+    total += file.size;
+    if (file.size > MAX_FILE_BYTES) {
+      throw new UpscaleApiError(413, "file_too_large", `${file.name} is over ${MAX_FILE_BYTES / MB} MB.`);
+    }
+  }
+  if (total > MAX_REQUEST_BYTES) throw requestTooLarge();
+  const { options, zip } = readUpscaleForm(form);
+
+  // Read every file before doing any work, so a bad one fails the request
+  // straight away.
+  const inputs = await Promise.all(
+    files.map(async (file) => {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      if (!sniffType(bytes)) {
+        throw new UpscaleApiError(415, "unsupported_type", `${file.name} isn't a JPEG or PNG image.`);
+      }
+      return { file, bytes };
+    })
+  );
+
+  // The whole request is turned away if its images don't all fit in the
+  // queue, rather than upscaling some of them first.
+  if (pool.queued + inputs.length > MAX_QUEUED_IMAGES) throw serverBusy();
+  const results = await Promise.all(
+    inputs.map(async ({ file, bytes }) => {
+      try {
+        const { bytes: output, ...result } = await pool.run({
+          bytes,
+          name: file.name,
+          options,
+          maxPixels: MAX_PIXELS,
+        });
+        return { ...result, blob: output ? new Blob([output], { type: result.format! }) : undefined };
+      } catch (err) {
+        if (err instanceof QueueFullError) throw serverBusy();
+        if (err instanceof Error && err.name === "ImageTooLargeError") {
+          throw new UpscaleApiError(422, "image_too_large", `${file.name}: ${err.message}`);
+        }
+        if (err instanceof Error && err.name === "UnreadableImageError") {
+          throw new UpscaleApiError(422, "unreadable_image", `${file.name}: ${err.message}`);
+        }
+        throw err;
+      }
+    })
+  );
+
+  if (!zip && inputs.length === 1) {
+    const [{ file, bytes }] = inputs;
+    const { blob, ...summary } = results[0];
+    // A skipped image comes back unchanged.
+    const body = blob || new Blob([bytes], { type: sniffType(bytes)! });
+    return new Response(body, {
+      headers: {
+        "Content-Type": body.type,
+        "Content-Disposition": attachment(summary.skipped ? file.name : summary.name!),
+        [RESULT_HEADER]: encodeResult(summary),
+      },
+    });
+  }
+
+  const used = new Set(["manifest.json", "manifest.csv"]);
+  const entries = [];
+  const rows = [];
+  for (let i = 0; i < inputs.length; i++) {
+    const { file, bytes } = inputs[i];
+    const result = results[i];
+    const name = uniqueName(result.skipped ? file.name : result.name!, used);
+    entries.push({ name, data: result.blob || bytes, lastModified: file.lastModified });
+    rows.push({
+      file: name,
+      originalName: file.name,
+      originalWidth: result.width,
+      originalHeight: result.height,
+      newWidth: result.newWidth,
+      newHeight: result.newHeight,
+      originalBytes: file.size,
+      newBytes: result.blob ? result.blob.size : file.size,
+      skipped: Boolean(result.skipped),
+      preset: options.preset.name,
+      engine: options.engine,
+      format: result.format || sniffType(bytes),
+      quality: result.encodedQuality == null ? "" : Number(result.encodedQuality.toFixed(2)),
+    });
+  }
+  const manifest = buildManifest(rows);
+  entries.push({ name: "manifest.json", data: manifest.json });
+  entries.push({ name: "manifest.csv", data: manifest.csv });
+  return new Response(createZipStream(entries), {
+    headers: {
+      "Content-Type": "application/zip",
+      "Content-Disposition": attachment(`hd-images-${new Date().toISOString().slice(0, 10)}.zip`),
+    },
+  });
+}
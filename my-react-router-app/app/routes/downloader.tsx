@@ -0,0 +1,13 @@
+import type { Route } from "./+types/downloader";
+import StreamFetch from "../../../src/App";
+
+export function meta({}: Route.MetaArgs) {
+  return [
+    { title: "StreamFetch Downloader · PhotoVault" },
+    { name: "description", content: "Save videos from YouTube and Instagram links." },
+  ];
+}
+
+export default function Downloader() {
+  return <StreamFetch />;
+}
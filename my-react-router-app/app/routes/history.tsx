@@ -0,0 +1,24 @@
+import type { Route } from "./+types/history";
+import HistoryPage from "../../../src/pages/HistoryPage";
+
+export function meta({}: Route.MetaArgs) {
+  return [
+    { title: "History · PhotoVault" },
+    { name: "description", content: "Reopen or re-download past upscaler batches." },
+  ];
+}
+
+// History is stored in the browser's IndexedDB, so there's nothing to render
+// on the server.
+export async function clientLoader() {
+  return null;
+}
+clientLoader.hydrate = true as const;
+
+export function HydrateFallback() {
+  return <p className="p-10 text-gray-500">Loading history...</p>;
+}
+
+export default function History() {
+  return <HistoryPage />;
+}
@@ -0,0 +1,6 @@
+import NavBar from "../../../src/pages/NavBar";
+
+// Nav bar around every tool page; server-rendered along with the page.
+export default function Layout() {
+  return <NavBar />;
+}
@@ -0,0 +1,17 @@
+import { data } from "react-router";
+import type { Route } from "./+types/not-found";
+import NotFoundPage from "../../../src/pages/NotFoundPage";
+
+export function meta({}: Route.MetaArgs) {
+  return [{ title: "Page not found · PhotoVault" }];
+}
+
+// Render the page with a real 404 status, so crawlers and link checkers
+// don't take it for content.
+export function loader() {
+  return data(null, { status: 404 });
+}
+
+export default function NotFound() {
+  return <NotFoundPage />;
+}
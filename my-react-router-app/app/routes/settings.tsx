@@ -0,0 +1,23 @@
+import type { Route } from "./+types/settings";
+import SettingsPage from "../../../src/pages/SettingsPage";
+
+export function meta({}: Route.MetaArgs) {
+  return [
+    { title: "Settings · PhotoVault" },
+    { name: "description", content: "Manage and share upscaler presets." },
+  ];
+}
+
+// Presets are kept in localStorage, so the page renders in the browser only.
+export async function clientLoader() {
+  return null;
+}
+clientLoader.hydrate = true as const;
+
+export function HydrateFallback() {
+  return <p className="p-10 text-gray-500">Loading settings...</p>;
+}
+
+export default function Settings() {
+  return <SettingsPage />;
+}
@@ -0,0 +1,28 @@
+import type { Route } from "./+types/upscaler";
+import ImageUpscaler from "../../../src/components/ImageUpscaler";
+
+export function meta({}: Route.MetaArgs) {
+  return [
+    { title: "Image Upscaler · PhotoVault" },
+    {
+      name: "description",
+      content:
+        "Upscale, resize, enhance and convert batches of images without uploading them.",
+    },
+  ];
+}
+
+// The upscaler needs workers, canvases and IndexedDB, so it only renders in
+// the browser; the server sends the shell with HydrateFallback in its place.
+export async function clientLoader() {
+  return null;
+}
+clientLoader.hydrate = true as const;
+
+export function HydrateFallback() {
+  return <p className="p-10 text-gray-500">Loading the upscaler...</p>;
+}
+
+export default function Upscaler() {
+  return <ImageUpscaler />;
+}
@@ -5,4 +5,28 @@ import tsconfigPaths from "vite-tsconfig-paths";
 
 export default defineConfig({
   plugins: [tailwindcss(), reactRouter(), tsconfigPaths()],
+  resolve: {
+    // The tools in ../src resolve packages from this app, so there's a
+    // single copy of React and the router.
+    dedupe: [
+      "react",
+      "react-dom",
+      "react-router",
+      "lucide-react",
+      "heic-decode",
+      "utif",
+      "jpeg-js",
+      "pngjs",
+    ],
+  },
+  server: {
+    fs: { allow: [".."] },
+    // The downloader's backend; `npm run mock:downloads` in the repo root
+    // starts a stand-in on this port.
+    proxy: {
+      "/api/downloads": process.env.DOWNLOAD_API_TARGET || "http://localhost:8787",
+    },
+  },
+  // The upscale worker lazy-loads input decoders, which needs ES workers.
+  worker: { format: "es" },
 });
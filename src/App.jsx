@@ -4,75 +4,197 @@ import {
   Link as LinkIcon, 
   Youtube, 
   Instagram, 
-  Loader2, 
   CheckCircle2, 
   AlertCircle,
-  Play,
-  Settings2,
   History
 } from 'lucide-react';
+import DownloadHistory from './components/DownloadHistory';
+import DownloadQueue from './components/DownloadQueue';
+import LinkPreview from './components/LinkPreview';
+import { createDownloadClient } from './utils/downloadApi';
+import { clearDownloads, deleteDownload, listDownloads, saveDownload } from './utils/downloadHistory';
+import { createDownloadQueue } from './utils/downloadQueue';
+import { createMetadataProvider } from './utils/mediaMetadata';
+import { parseMediaUrl } from './utils/mediaUrl';
 
-const App = () => {
+const defaultClient = createDownloadClient();
+const defaultMetadata = createMetadataProvider(defaultClient);
+
+const saveBlob = (blob, fileName) => {
+  const href = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = href;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(href), 1000);
+};
+
+const newEntryId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// One link per line; blank lines are ignored.
+const parseLines = (text) =>
+  text
+    .split('\n')
+    .map((line, index) => ({ line: index + 1, text: line.trim() }))
+    .filter((entry) => entry.text)
+    .map((entry) => ({ ...entry, link: parseMediaUrl(entry.text) }));
+
+// `client` is the download backend (see utils/downloadApi) and `metadata`
+// the link preview provider (see utils/mediaMetadata); pass others to talk
+// to a different service. `client` is read once, when the queue is created.
+const App = ({ client = defaultClient, metadata = defaultMetadata }) => {
   const [url, setUrl] = useState('');
-  const [loading, setLoading] = useState(false);
-  const [status, setStatus] = useState('idle'); // idle, processing, success, error
-  const [errorMsg, setErrorMsg] = useState('');
+  const [status, setStatus] = useState('idle'); // idle, queued, error
+  const [statusMsg, setStatusMsg] = useState('');
   const [downloadHistory, setDownloadHistory] = useState([]);
-  const [selectedQuality, setSelectedQuality] = useState('1080p');
+  const [selectedQuality, setSelectedQuality] = useState(null);
+  // What the first link is and its formats: { state: idle | loading | ready | error, ...metadata }
+  const [preview, setPreview] = useState({ state: 'idle' });
+  const [queueItems, setQueueItems] = useState([]);
+  const [queuePaused, setQueuePaused] = useState(false);
+  const [concurrency, setConcurrency] = useState(2);
+  const [queue] = useState(() =>
+    createDownloadQueue({
+      client,
+      concurrency: 2,
+      onFinished: ({ item, blob, fileName }) => {
+        saveBlob(blob, fileName);
+        const entry = {
+          id: newEntryId(),
+          url: item.url,
+          platform: item.platform,
+          kind: item.kind,
+          mediaId: item.mediaId,
+          format: item.format,
+          quality: item.quality,
+          title: item.title,
+          fileName,
+          blob,
+          createdAt: Date.now(),
+        };
+        setDownloadHistory((history) => [entry, ...history]);
+        saveDownload(entry).catch(() => {
+          // Not stored; it stays in the list until the page is closed.
+        });
+      },
+    })
+  );
 
-  // Detect platform based on URL
-  const getPlatform = (link) => {
-    if (link.includes('youtube.com') || link.includes('youtu.be')) return 'YouTube';
-    if (link.includes('instagram.com')) return 'Instagram';
-    return 'Unknown';
-  };
+  const lines = parseLines(url);
+  const firstLink = lines.find((entry) => entry.link.ok)?.link;
+  // Only accepted links are queued, so only they count.
+  const linkCount = lines.filter((entry) => entry.link.ok).length;
+  // Formats are looked up by canonical link, so tracking parameters and
+  // host variants don't trigger new requests.
+  const lookupUrl = firstLink ? firstLink.canonicalUrl : null;
 
-  const validateUrl = (link) => {
-    const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com|youtu\.be)\/.+$/;
-    const instagramRegex = /^(https?:\/\/)?(www\.)?instagram\.com\/(p|reels|reel|tv)\/.+$/;
-    return youtubeRegex.test(link) || instagramRegex.test(link);
-  };
+  useEffect(() => {
+    const unsubscribe = queue.subscribe(setQueueItems);
+    return () => {
+      unsubscribe();
+      queue.stopAll();
+    };
+  }, [queue]);
 
-  const handleDownload = async (e) => {
-    e.preventDefault();
-    
-    if (!url) {
-      setErrorMsg('Please paste a link first.');
-      setStatus('error');
+  useEffect(() => {
+    let cancelled = false;
+    listDownloads()
+      .then((entries) => {
+        if (!cancelled) setDownloadHistory(entries);
+      })
+      .catch(() => {
+        // No IndexedDB: history only lasts for the session.
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Look up the first link once typing settles. The format chosen in its
+  // preview applies to every link; the others get the nearest match.
+  useEffect(() => {
+    if (!lookupUrl) {
+      setPreview({ state: 'idle' });
       return;
     }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setPreview({ state: 'loading' });
+      try {
+        const info = await metadata.getMetadata(parseMediaUrl(lookupUrl), { signal: controller.signal });
+        setPreview({ state: 'ready', ...info });
+        setSelectedQuality((current) =>
+          info.formats.some((f) => f.id === current) ? current : info.defaultFormat || info.formats[0]?.id || null
+        );
+      } catch (err) {
+        if (!controller.signal.aborted) setPreview({ state: 'error', message: err.message });
+      }
+    }, 400);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [lookupUrl, metadata]);
 
-    if (!validateUrl(url)) {
-      setErrorMsg('Invalid URL. Please provide a valid YouTube or Instagram link.');
+  const handleDownload = (e) => {
+    e.preventDefault();
+
+    if (lines.length === 0) {
+      setStatusMsg('Please paste a link first.');
       setStatus('error');
       return;
     }
 
-    setStatus('processing');
-    setLoading(true);
-
-    // Simulate API Call for downloading
-    // In a real scenario, this would call a backend service that interacts with yt-dlp or similar
-    try {
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      
-      const newEntry = {
-        id: Date.now(),
-        url,
-        platform: getPlatform(url),
-        quality: selectedQuality,
-        date: new Date().toLocaleTimeString(),
-      };
-
-      setDownloadHistory([newEntry, ...downloadHistory].slice(0, 5));
-      setStatus('success');
-      setUrl('');
-    } catch (err) {
-      setErrorMsg('Server busy. Please try again later.');
+    const valid = lines.filter((entry) => entry.link.ok);
+    const invalid = lines.filter((entry) => !entry.link.ok);
+    const rejected = invalid
+      .map((entry) => (lines.length === 1 ? entry.link.message : `Line ${entry.line}: ${entry.link.message}`))
+      .join(' ');
+    if (valid.length === 0) {
+      setStatusMsg(rejected);
       setStatus('error');
-    } finally {
-      setLoading(false);
+      return;
     }
+
+    const format = preview.state === 'ready' && preview.formats.find((f) => f.id === selectedQuality);
+    const preference = format ? { id: format.id, kind: format.kind, height: format.height } : null;
+    const added = queue.add(valid.map((entry) => entry.link), preference);
+    const skipped = valid.length - added;
+    setStatusMsg(
+      [
+        added > 0 && `Added ${added} ${added === 1 ? 'download' : 'downloads'} to the queue.`,
+        skipped > 0 && `${skipped} ${skipped === 1 ? 'link is' : 'links are'} already queued.`,
+        rejected,
+      ]
+        .filter(Boolean)
+        .join(' ')
+    );
+    setStatus(invalid.length > 0 ? 'error' : 'queued');
+    // Keep the lines that need fixing.
+    setUrl(invalid.map((entry) => entry.text).join('\n'));
+  };
+
+  const handleConcurrency = (n) => {
+    setConcurrency(n);
+    queue.setConcurrency(n);
+  };
+
+  const handleQueuePaused = (paused) => {
+    setQueuePaused(paused);
+    if (paused) queue.pauseAll();
+    else queue.resumeAll();
+  };
+
+  const handleDeleteEntry = (id) => {
+    setDownloadHistory((history) => history.filter((entry) => entry.id !== id));
+    deleteDownload(id).catch(() => {});
+  };
+
+  const handleClearHistory = () => {
+    setDownloadHistory([]);
+    clearDownloads().catch(() => {});
   };
 
   return (
@@ -110,78 +232,85 @@ const App = () => {
               <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
                 <LinkIcon className="h-5 w-5 text-slate-400" />
               </div>
-              <input
-                type="text"
-                className="block w-full pl-11 pr-4 py-4 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition-all text-slate-700 placeholder:text-slate-400"
-                placeholder="Paste YouTube or Instagram link here..."
+              <textarea
+                rows={Math.min(6, Math.max(1, url.split('\n').length))}
+                className="block w-full pl-11 pr-4 py-4 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition-all text-slate-700 placeholder:text-slate-400 resize-none"
+                placeholder="Paste YouTube or Instagram links here, one per line..."
                 value={url}
                 onChange={(e) => {
                   setUrl(e.target.value);
                   if (status !== 'idle') setStatus('idle');
                 }}
+                onKeyDown={(e) => {
+                  // Enter queues the links; Shift+Enter starts another line.
+                  if (e.key === 'Enter' && !e.shiftKey) handleDownload(e);
+                }}
               />
             </div>
+            {lines.length > 0 && (
+              <ul className="-mt-3 text-xs space-y-0.5">
+                {lines.map(({ line, link }) => (
+                  <li key={line} className={link.ok ? 'text-slate-500' : 'text-rose-500'}>
+                    {lines.length > 1 && `Line ${line}: `}
+                    {link.ok ? `${link.platform} ${link.kind} · ${link.id}` : link.message}
+                  </li>
+                ))}
+              </ul>
+            )}
 
-            <div className="flex flex-col md:flex-row gap-4">
-              <div className="flex-1 flex items-center gap-4 bg-slate-50 p-2 rounded-xl border border-slate-200">
-                <span className="pl-3 text-sm font-semibold text-slate-500 flex items-center gap-1">
-                  <Settings2 className="w-4 h-4" /> Quality:
-                </span>
-                <div className="flex gap-2">
-                  {['720p', '1080p', '4K'].map((q) => (
-                    <button
-                      key={q}
-                      type="button"
-                      onClick={() => setSelectedQuality(q)}
-                      className={`px-3 py-1 text-xs font-bold rounded-lg transition-all ${
-                        selectedQuality === q 
-                        ? 'bg-indigo-600 text-white shadow-md' 
-                        : 'bg-white text-slate-600 hover:bg-slate-200'
-                      }`}
-                    >
-                      {q}
-                    </button>
-                  ))}
-                </div>
+            <div className="flex flex-col md:flex-row md:items-end gap-4">
+              <div className="flex-1 min-w-0">
+                <LinkPreview
+                  preview={preview}
+                  selected={selectedQuality}
+                  onSelect={setSelectedQuality}
+                  linkCount={linkCount}
+                />
               </div>
 
               <button
                 type="submit"
-                disabled={loading}
-                className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-400 text-white font-bold py-4 px-8 rounded-xl flex items-center justify-center gap-2 transition-all shadow-lg shadow-indigo-200 min-w-[180px]"
+                className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-4 px-8 rounded-xl flex items-center justify-center gap-2 transition-all shadow-lg shadow-indigo-200 min-w-[180px]"
               >
-                {loading ? (
-                  <>
-                    <Loader2 className="w-5 h-5 animate-spin" />
-                    Processing...
-                  </>
-                ) : (
-                  <>
-                    <Download className="w-5 h-5" />
-                    Download Now
-                  </>
-                )}
+                <Download className="w-5 h-5" />
+                {linkCount > 1 ? `Download ${linkCount} links` : 'Download Now'}
               </button>
             </div>
           </form>
 
           {/* Status Indicators */}
           <div className="mt-6">
-            {status === 'success' && (
+            {status === 'queued' && (
               <div className="bg-emerald-50 border border-emerald-100 text-emerald-700 px-4 py-3 rounded-lg flex items-center gap-3 animate-in fade-in slide-in-from-top-2">
                 <CheckCircle2 className="w-5 h-5" />
-                <span className="text-sm font-medium">Link processed successfully! Your download will start automatically.</span>
+                <span className="text-sm font-medium">{statusMsg}</span>
               </div>
             )}
             {status === 'error' && (
               <div className="bg-rose-50 border border-rose-100 text-rose-700 px-4 py-3 rounded-lg flex items-center gap-3">
                 <AlertCircle className="w-5 h-5" />
-                <span className="text-sm font-medium">{errorMsg}</span>
+                <span className="text-sm font-medium">{statusMsg}</span>
               </div>
             )}
           </div>
         </div>
 
+        {queueItems.length > 0 && (
+          <DownloadQueue
+            items={queueItems}
+            paused={queuePaused}
+            concurrency={concurrency}
+            onConcurrencyChange={handleConcurrency}
+            onPausedChange={handleQueuePaused}
+            onPause={queue.pause}
+            onResume={queue.resume}
+            onCancel={queue.cancel}
+            onRetry={queue.retry}
+            onRemove={queue.remove}
+            onClearFinished={queue.clearFinished}
+          />
+        )}
+
         {/* Feature Highlights */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-12">
           <div className="p-6 bg-white rounded-xl border border-slate-100 text-center">
@@ -207,38 +336,13 @@ const App = () => {
           </div>
         </div>
 
-        {/* Recent Downloads Simulation */}
         {downloadHistory.length > 0 && (
-          <div className="animate-in fade-in duration-700">
-            <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
-              <History className="w-5 h-5 text-slate-400" />
-              Recent Activity
-            </h2>
-            <div className="bg-white rounded-xl border border-slate-200 divide-y divide-slate-100 overflow-hidden">
-              {downloadHistory.map((item) => (
-                <div key={item.id} className="p-4 flex items-center justify-between hover:bg-slate-50 transition-colors">
-                  <div className="flex items-center gap-4">
-                    <div className={`p-2 rounded-lg ${item.platform === 'YouTube' ? 'bg-red-50 text-red-500' : 'bg-pink-50 text-pink-500'}`}>
-                      {item.platform === 'YouTube' ? <Youtube className="w-5 h-5" /> : <Instagram className="w-5 h-5" />}
-                    </div>
-                    <div>
-                      <p className="text-sm font-semibold truncate max-w-[200px] md:max-w-md">
-                        {item.url}
-                      </p>
-                      <div className="flex gap-3 text-xs text-slate-400 mt-1">
-                        <span>{item.date}</span>
-                        <span>•</span>
-                        <span className="uppercase">{item.quality}</span>
-                      </div>
-                    </div>
-                  </div>
-                  <button className="text-indigo-600 hover:text-indigo-800 p-2">
-                    <Play className="w-5 h-5 fill-current" />
-                  </button>
-                </div>
-              ))}
-            </div>
-          </div>
+          <DownloadHistory
+            entries={downloadHistory}
+            onSave={(entry) => saveBlob(entry.blob, entry.fileName)}
+            onDelete={handleDeleteEntry}
+            onClear={handleClearHistory}
+          />
         )}
       </main>
 
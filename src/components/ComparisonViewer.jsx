@@ -0,0 +1,382 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+
+const MODES = {
+  split: "Split",
+  side: "Side by side",
+  toggle: "Toggle",
+};
+// Highest on-screen magnification, in screen pixels per image pixel.
+const MAX_PIXEL_SCALE = 32;
+const ZOOM_STEP = 1.25;
+
+const toolbarButtonStyle = {
+  padding: "6px 12px",
+  background: "#263238",
+  color: "#eceff1",
+  border: "1px solid #455a64",
+  borderRadius: 5,
+  fontSize: 13,
+  fontWeight: 600,
+  cursor: "pointer",
+};
+
+const activeButtonStyle = {
+  ...toolbarButtonStyle,
+  background: "#1976d2",
+  borderColor: "#1976d2",
+};
+
+function useElementSize(ref) {
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setSize({ width, height });
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [ref]);
+  return size;
+}
+
+// One image positioned by the shared view transform. The original is
+// stretched to the output size so both line up pixel for pixel.
+function ViewImage({ src, width, height, view, label, labelSide = "left" }) {
+  return (
+    <>
+      <img
+        src={src}
+        alt={label}
+        draggable={false}
+        style={{
+          position: "absolute",
+          left: 0,
+          top: 0,
+          width,
+          height,
+          maxWidth: "none",
+          transformOrigin: "0 0",
+          transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`,
+          imageRendering: view.scale >= 2 ? "pixelated" : "auto",
+          userSelect: "none",
+        }}
+      />
+      <div
+        style={{
+          position: "absolute",
+          top: 10,
+          [labelSide]: 10,
+          padding: "2px 8px",
+          background: "#000a",
+          color: "#fff",
+          fontSize: 12,
+          borderRadius: 4,
+          pointerEvents: "none",
+        }}
+      >
+        {label}
+      </div>
+    </>
+  );
+}
+
+export default function ComparisonViewer({ items, index, onIndexChange, onClose }) {
+  const item = items[index];
+  const [mode, setMode] = useState("split");
+  const [split, setSplit] = useState(0.5);
+  const [zoom, setZoom] = useState(1);
+  const [pan, setPan] = useState({ x: 0, y: 0 });
+  const [showConverted, setShowConverted] = useState(true);
+  const stageRef = useRef();
+  const dragRef = useRef(null);
+  const stage = useElementSize(stageRef);
+
+  const paneWidth = mode === "side" ? stage.width / 2 : stage.width;
+  const fitScale =
+    item && paneWidth && stage.height
+      ? Math.min(paneWidth / item.newWidth, stage.height / item.newHeight)
+      : 1;
+  const maxZoom = Math.max(1, MAX_PIXEL_SCALE / fitScale);
+  const scale = fitScale * zoom;
+  const view = item
+    ? {
+        scale,
+        x: (paneWidth - item.newWidth * scale) / 2 + pan.x,
+        y: (stage.height - item.newHeight * scale) / 2 + pan.y,
+      }
+    : { scale: 1, x: 0, y: 0 };
+
+  const resetView = useCallback(() => {
+    setZoom(1);
+    setPan({ x: 0, y: 0 });
+  }, []);
+
+  useEffect(() => {
+    resetView();
+  }, [index, mode, resetView]);
+
+  // Zoom around a point in pane coordinates, keeping it fixed on screen.
+  const zoomAt = useCallback(
+    (nextZoom, px, py) => {
+      if (!item) return;
+      const clamped = Math.min(maxZoom, Math.max(1, nextZoom));
+      const nextScale = fitScale * clamped;
+      const imageX = (px - view.x) / view.scale;
+      const imageY = (py - view.y) / view.scale;
+      const centeredX = (paneWidth - item.newWidth * nextScale) / 2;
+      const centeredY = (stage.height - item.newHeight * nextScale) / 2;
+      setZoom(clamped);
+      setPan(
+        clamped === 1
+          ? { x: 0, y: 0 }
+          : {
+              x: px - imageX * nextScale - centeredX,
+              y: py - imageY * nextScale - centeredY,
+            }
+      );
+    },
+    [item, maxZoom, fitScale, view.x, view.y, view.scale, paneWidth, stage.height]
+  );
+
+  const zoomCenter = useCallback(
+    (nextZoom) => zoomAt(nextZoom, paneWidth / 2, stage.height / 2),
+    [zoomAt, paneWidth, stage.height]
+  );
+
+  const goTo = useCallback(
+    (next) => {
+      if (next >= 0 && next < items.length) onIndexChange(next);
+    },
+    [items.length, onIndexChange]
+  );
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+      else if (e.key === "ArrowLeft") goTo(index - 1);
+      else if (e.key === "ArrowRight") goTo(index + 1);
+      else if (e.key === "+" || e.key === "=") zoomCenter(zoom * ZOOM_STEP);
+      else if (e.key === "-") zoomCenter(zoom / ZOOM_STEP);
+      else if (e.key === "0") resetView();
+      else if (e.key === " " && mode === "toggle") setShowConverted((v) => !v);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [index, zoom, mode, goTo, zoomCenter, resetView, onClose]);
+
+  // React registers wheel listeners as passive, so preventDefault needs a
+  // native listener.
+  useEffect(() => {
+    const el = stageRef.current;
+    if (!el) return;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = el.getBoundingClientRect();
+      let px = e.clientX - rect.left;
+      if (mode === "side" && px > paneWidth) px -= paneWidth;
+      zoomAt(zoom * (e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP), px, e.clientY - rect.top);
+    };
+    el.addEventListener("wheel", handleWheel, { passive: false });
+    return () => el.removeEventListener("wheel", handleWheel);
+  }, [zoom, zoomAt, mode, paneWidth]);
+
+  const handlePointerDown = (e) => {
+    const onHandle = e.target.dataset.splitHandle === "true";
+    dragRef.current = { kind: onHandle ? "split" : "pan", x: e.clientX, y: e.clientY, pan };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (drag.kind === "split") {
+      const rect = stageRef.current.getBoundingClientRect();
+      setSplit(Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)));
+    } else if (zoom > 1) {
+      setPan({ x: drag.pan.x + e.clientX - drag.x, y: drag.pan.y + e.clientY - drag.y });
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    // A click without movement flips the image in toggle mode.
+    if (
+      drag &&
+      mode === "toggle" &&
+      Math.abs(e.clientX - drag.x) < 3 &&
+      Math.abs(e.clientY - drag.y) < 3
+    ) {
+      setShowConverted((v) => !v);
+    }
+  };
+
+  if (!item) return null;
+
+  const original = { src: item.originalSrc, label: `Original · ${item.width} × ${item.height}` };
+  const converted = { src: item.convertedSrc, label: `HD · ${item.newWidth} × ${item.newHeight}` };
+  const paneStyle = { position: "absolute", top: 0, bottom: 0, overflow: "hidden" };
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      style={{
+        position: "fixed",
+        inset: 0,
+        zIndex: 1000,
+        background: "#111",
+        display: "flex",
+        flexDirection: "column",
+        textAlign: "left",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 8,
+          padding: "10px 14px",
+          background: "#1c2328",
+          color: "#eceff1",
+          flexWrap: "wrap",
+        }}
+      >
+        <span style={{ fontWeight: 600, marginRight: "auto" }}>
+          {item.name} ({index + 1} / {items.length})
+        </span>
+        {Object.entries(MODES).map(([key, label]) => (
+          <button
+            key={key}
+            style={mode === key ? activeButtonStyle : toolbarButtonStyle}
+            onClick={() => setMode(key)}
+          >
+            {label}
+          </button>
+        ))}
+        <button style={toolbarButtonStyle} onClick={() => zoomCenter(zoom / ZOOM_STEP)}>
+          −
+        </button>
+        <span style={{ minWidth: 56, textAlign: "center", fontSize: 13 }}>
+          {Math.round(scale * 100)}%
+        </span>
+        <button style={toolbarButtonStyle} onClick={() => zoomCenter(zoom * ZOOM_STEP)}>
+          +
+        </button>
+        <button style={toolbarButtonStyle} onClick={resetView}>
+          Fit
+        </button>
+        <button style={toolbarButtonStyle} onClick={() => zoomCenter(1 / fitScale)}>
+          1:1
+        </button>
+        <button style={toolbarButtonStyle} disabled={index === 0} onClick={() => goTo(index - 1)}>
+          ‹ Prev
+        </button>
+        <button
+          style={toolbarButtonStyle}
+          disabled={index === items.length - 1}
+          onClick={() => goTo(index + 1)}
+        >
+          Next ›
+        </button>
+        <button style={toolbarButtonStyle} onClick={onClose}>
+          Close ✕
+        </button>
+      </div>
+
+      <div
+        ref={stageRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        style={{
+          position: "relative",
+          flex: 1,
+          overflow: "hidden",
+          cursor: zoom > 1 ? "grab" : mode === "toggle" ? "pointer" : "default",
+          touchAction: "none",
+        }}
+      >
+        {mode === "side" && (
+          <>
+            <div style={{ ...paneStyle, left: 0, width: paneWidth }}>
+              <ViewImage {...original} width={item.newWidth} height={item.newHeight} view={view} />
+            </div>
+            <div
+              style={{
+                ...paneStyle,
+                left: paneWidth,
+                width: paneWidth,
+                borderLeft: "2px solid #455a64",
+              }}
+            >
+              <ViewImage {...converted} width={item.newWidth} height={item.newHeight} view={view} />
+            </div>
+          </>
+        )}
+
+        {mode === "toggle" && (
+          <div style={{ ...paneStyle, left: 0, right: 0 }}>
+            <ViewImage
+              {...(showConverted ? converted : original)}
+              width={item.newWidth}
+              height={item.newHeight}
+              view={view}
+            />
+          </div>
+        )}
+
+        {mode === "split" && (
+          <>
+            <div style={{ ...paneStyle, left: 0, right: 0 }}>
+              <ViewImage {...original} width={item.newWidth} height={item.newHeight} view={view} />
+            </div>
+            <div
+              style={{
+                ...paneStyle,
+                left: 0,
+                right: 0,
+                clipPath: `inset(0 0 0 ${split * 100}%)`,
+              }}
+            >
+              <ViewImage
+                {...converted}
+                width={item.newWidth}
+                height={item.newHeight}
+                view={view}
+                labelSide="right"
+              />
+            </div>
+            <div
+              data-split-handle="true"
+              style={{
+                position: "absolute",
+                top: 0,
+                bottom: 0,
+                left: `calc(${split * 100}% - 12px)`,
+                width: 24,
+                cursor: "ew-resize",
+                display: "flex",
+                justifyContent: "center",
+              }}
+            >
+              <div
+                data-split-handle="true"
+                style={{ width: 2, height: "100%", background: "#fff", boxShadow: "0 0 4px #000" }}
+              />
+            </div>
+          </>
+        )}
+      </div>
+
+      <div style={{ padding: "6px 14px", color: "#90a4ae", fontSize: 12, background: "#1c2328" }}>
+        Scroll to zoom · drag to pan · ← → switch images · +/− zoom · 0 fit
+        {mode === "toggle" && " · space or click to flip"} · Esc close
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Download,
+  ExternalLink,
+  History,
+  Instagram,
+  Play,
+  Search,
+  Trash2,
+  X,
+  Youtube
+} from 'lucide-react';
+import { filterDownloads } from '../utils/downloadHistory';
+import { PLATFORMS } from '../utils/mediaUrl';
+
+const iconButton = 'p-2 rounded-lg text-indigo-600 hover:text-indigo-800 hover:bg-slate-100 transition-colors';
+const fieldClass = 'bg-white border border-slate-200 rounded-lg px-3 py-2 text-sm text-slate-700 outline-none focus:ring-2 focus:ring-indigo-500';
+
+// Plays a stored download in place. Files the browser can't play still get
+// the save and open-original buttons.
+function Preview({ entry, onSave, onClose }) {
+  const [src, setSrc] = useState(null);
+  useEffect(() => {
+    const url = URL.createObjectURL(entry.blob);
+    setSrc(url);
+    return () => URL.revokeObjectURL(url);
+  }, [entry.blob]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  const audio = entry.kind === 'audio' || /\.(m4a|mp3|opus|ogg)$/i.test(entry.fileName);
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/70 flex items-center justify-center p-6" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl max-w-3xl w-full p-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between gap-4 mb-3">
+          <p className="text-sm font-semibold truncate">{entry.title || entry.fileName}</p>
+          <button type="button" title="Close" className={iconButton} onClick={onClose}>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        {src && (audio ? (
+          <audio src={src} controls autoPlay className="w-full" />
+        ) : (
+          <video src={src} controls autoPlay className="w-full max-h-[70vh] rounded-lg bg-black" />
+        ))}
+        <div className="flex gap-3 mt-3 text-sm">
+          <button
+            type="button"
+            onClick={() => onSave(entry)}
+            className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white font-semibold flex items-center gap-1"
+          >
+            <Download className="w-4 h-4" /> Save again
+          </button>
+          <a
+            href={entry.url}
+            target="_blank"
+            rel="noreferrer"
+            className="px-3 py-1.5 rounded-lg bg-slate-100 text-slate-700 font-semibold flex items-center gap-1"
+          >
+            <ExternalLink className="w-4 h-4" /> Open original
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Finished downloads stored on this device, with search and platform and
+// quality filters. Play previews the stored file, or opens the original
+// link when the file couldn't be kept.
+export default function DownloadHistory({ entries, onSave, onDelete, onClear }) {
+  const [query, setQuery] = useState('');
+  const [platform, setPlatform] = useState('');
+  const [quality, setQuality] = useState('');
+  const [previewing, setPreviewing] = useState(null);
+
+  const qualities = [...new Set(entries.map((entry) => entry.quality).filter(Boolean))];
+  const shown = filterDownloads(entries, { query, platform, quality });
+
+  const play = (entry) => {
+    if (entry.blob) setPreviewing(entry);
+    else window.open(entry.url, '_blank', 'noopener');
+  };
+
+  return (
+    <div className="animate-in fade-in duration-700">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <History className="w-5 h-5 text-slate-400" />
+          Download History
+        </h2>
+        <button
+          type="button"
+          onClick={() => {
+            if (window.confirm('Delete all download history from this device?')) onClear();
+          }}
+          className="text-sm text-slate-500 hover:text-rose-600"
+        >
+          Clear history
+        </button>
+      </div>
+      <div className="flex flex-col md:flex-row gap-3 mb-4">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2 pointer-events-none" />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search links, titles and file names"
+            className={`${fieldClass} w-full pl-9`}
+          />
+        </div>
+        <select value={platform} onChange={(e) => setPlatform(e.target.value)} className={fieldClass}>
+          <option value="">All platforms</option>
+          {PLATFORMS.map((p) => (
+            <option key={p} value={p}>{p}</option>
+          ))}
+        </select>
+        <select value={quality} onChange={(e) => setQuality(e.target.value)} className={fieldClass}>
+          <option value="">All qualities</option>
+          {qualities.map((q) => (
+            <option key={q} value={q}>{q}</option>
+          ))}
+        </select>
+      </div>
+      <div className="bg-white rounded-xl border border-slate-200 divide-y divide-slate-100 overflow-hidden">
+        {shown.length === 0 && (
+          <p className="p-4 text-sm text-slate-400">Nothing matches these filters.</p>
+        )}
+        {shown.map((item) => (
+          <div key={item.id} className="p-4 flex items-center justify-between hover:bg-slate-50 transition-colors">
+            <div className="flex items-center gap-4 min-w-0">
+              <div className={`p-2 rounded-lg ${item.platform === 'YouTube' ? 'bg-red-50 text-red-500' : 'bg-pink-50 text-pink-500'}`}>
+                {item.platform === 'YouTube' ? <Youtube className="w-5 h-5" /> : <Instagram className="w-5 h-5" />}
+              </div>
+              <div className="min-w-0">
+                <p className="text-sm font-semibold truncate max-w-[200px] md:max-w-md">
+                  {item.title || item.url}
+                </p>
+                <div className="flex gap-3 text-xs text-slate-400 mt-1">
+                  <span>{new Date(item.createdAt).toLocaleString()}</span>
+                  <span>•</span>
+                  <span className="uppercase">{item.quality}</span>
+                  {!item.blob && (
+                    <>
+                      <span>•</span>
+                      <span>File not stored</span>
+                    </>
+                  )}
+                </div>
+              </div>
+            </div>
+            <div className="flex items-center shrink-0">
+              <button
+                type="button"
+                title={item.blob ? 'Play' : 'Open the original link'}
+                className={iconButton}
+                onClick={() => play(item)}
+              >
+                <Play className="w-5 h-5 fill-current" />
+              </button>
+              {item.blob && (
+                <button type="button" title="Save again" className={iconButton} onClick={() => onSave(item)}>
+                  <Download className="w-5 h-5" />
+                </button>
+              )}
+              <button type="button" title="Delete from history" className={iconButton} onClick={() => onDelete(item.id)}>
+                <Trash2 className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+      {previewing && (
+        <Preview entry={previewing} onSave={onSave} onClose={() => setPreviewing(null)} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import React from 'react';
+import {
+  CheckCircle2,
+  AlertCircle,
+  Loader2,
+  Pause,
+  Play,
+  RotateCcw,
+  Trash2,
+  X,
+  Youtube,
+  Instagram,
+  ListOrdered
+} from 'lucide-react';
+import { MAX_CONCURRENCY } from '../utils/downloadQueue';
+import { formatBytes } from '../utils/format';
+
+const STAGE_LABELS = {
+  queued: 'Waiting',
+  formats: 'Looking up formats',
+  submitting: 'Starting',
+  running: 'Downloading',
+  saving: 'Saving',
+  paused: 'Paused',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const iconButton = 'p-1.5 rounded-lg text-slate-500 hover:bg-slate-100 hover:text-indigo-600 transition-colors';
+
+function describe(item) {
+  if (item.status === 'failed') return item.error;
+  const stage = STAGE_LABELS[item.stage] || STAGE_LABELS[item.status];
+  if (item.status === 'running' && item.bytesTotal) {
+    return `${stage} ${Math.round(item.progress * 100)}% · ${formatBytes(item.bytesDone)} of ${formatBytes(item.bytesTotal)}`;
+  }
+  return stage;
+}
+
+function QueueItem({ item, onPause, onResume, onCancel, onRetry, onRemove }) {
+  const active = item.status === 'queued' || item.status === 'running';
+  return (
+    <div className="p-4">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-4 min-w-0">
+          <div className={`p-2 rounded-lg ${item.platform === 'YouTube' ? 'bg-red-50 text-red-500' : 'bg-pink-50 text-pink-500'}`}>
+            {item.platform === 'YouTube' ? <Youtube className="w-5 h-5" /> : <Instagram className="w-5 h-5" />}
+          </div>
+          <div className="min-w-0">
+            <p className="text-sm font-semibold truncate max-w-[200px] md:max-w-md">{item.title || item.url}</p>
+            <div
+              className={`flex items-center gap-1.5 text-xs mt-1 ${
+                item.status === 'failed' ? 'text-rose-500' : 'text-slate-400'
+              }`}
+            >
+              {item.status === 'running' && <Loader2 className="w-3 h-3 animate-spin" />}
+              {item.status === 'done' && <CheckCircle2 className="w-3 h-3 text-emerald-500" />}
+              {item.status === 'failed' && <AlertCircle className="w-3 h-3" />}
+              <span>{describe(item)}</span>
+              {item.quality && (
+                <>
+                  <span>•</span>
+                  <span className="uppercase">{item.quality}</span>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+        <div className="flex items-center shrink-0">
+          {active && (
+            <button type="button" title="Pause" className={iconButton} onClick={() => onPause(item.id)}>
+              <Pause className="w-4 h-4" />
+            </button>
+          )}
+          {item.status === 'paused' && (
+            <button type="button" title="Resume" className={iconButton} onClick={() => onResume(item.id)}>
+              <Play className="w-4 h-4" />
+            </button>
+          )}
+          {(active || item.status === 'paused') && (
+            <button type="button" title="Cancel" className={iconButton} onClick={() => onCancel(item.id)}>
+              <X className="w-4 h-4" />
+            </button>
+          )}
+          {(item.status === 'failed' || item.status === 'cancelled') && (
+            <button type="button" title="Retry" className={iconButton} onClick={() => onRetry(item.id)}>
+              <RotateCcw className="w-4 h-4" />
+            </button>
+          )}
+          {!active && (
+            <button type="button" title="Remove from the queue" className={iconButton} onClick={() => onRemove(item.id)}>
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+      {item.status === 'running' && (
+        <div className="h-1.5 bg-indigo-100 rounded-full overflow-hidden mt-3">
+          <div className="h-full bg-indigo-600 transition-all" style={{ width: `${Math.round(item.progress * 100)}%` }} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// The download queue: one row per link with its progress and controls, and
+// queue-wide pause and concurrency settings.
+export default function DownloadQueue({
+  items,
+  paused,
+  concurrency,
+  onConcurrencyChange,
+  onPausedChange,
+  onClearFinished,
+  ...itemHandlers
+}) {
+  const waiting = items.filter((item) => item.status === 'queued').length;
+  const running = items.filter((item) => item.status === 'running').length;
+  const finished = items.some((item) => item.status === 'done' || item.status === 'cancelled');
+  return (
+    <div className="mb-12">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <ListOrdered className="w-5 h-5 text-slate-400" />
+          Queue
+          <span className="text-sm font-medium text-slate-400">
+            {running} running, {waiting} waiting{paused && ' (paused)'}
+          </span>
+        </h2>
+        <div className="flex items-center gap-2 text-sm">
+          <label className="flex items-center gap-2 text-slate-500">
+            At once:
+            <select
+              value={concurrency}
+              onChange={(e) => onConcurrencyChange(Number(e.target.value))}
+              className="bg-white border border-slate-200 rounded-lg px-2 py-1 text-slate-700"
+            >
+              {Array.from({ length: MAX_CONCURRENCY }, (_, i) => i + 1).map((n) => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="button"
+            onClick={() => onPausedChange(!paused)}
+            title={paused ? 'Start waiting downloads again' : 'Stop starting new downloads; running ones finish'}
+            className="px-3 py-1 rounded-lg bg-white border border-slate-200 text-slate-600 hover:bg-slate-100 flex items-center gap-1"
+          >
+            {paused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+            {paused ? 'Resume queue' : 'Pause queue'}
+          </button>
+          {finished && (
+            <button
+              type="button"
+              onClick={onClearFinished}
+              className="px-3 py-1 rounded-lg bg-white border border-slate-200 text-slate-600 hover:bg-slate-100"
+            >
+              Clear finished
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="bg-white rounded-xl border border-slate-200 divide-y divide-slate-100 overflow-hidden">
+        {items.map((item) => (
+          <QueueItem key={item.id} item={item} {...itemHandlers} />
+        ))}
+      </div>
+    </div>
+  );
+}
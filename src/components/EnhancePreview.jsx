@@ -0,0 +1,91 @@
+import React, { useEffect, useRef, useState } from "react";
+import { applyEnhancements, measureEnhancements } from "../utils/enhance";
+
+const PREVIEW_WIDTH = 232;
+const PREVIEW_HEIGHT = 120;
+// Longest side of the copy of the whole photo that white balance and auto
+// levels take their statistics from.
+const FRAME_SIZE = 256;
+
+// A 100% crop from the centre of the photo with the enhancement filters
+// applied, so their effect is visible at the pixel level. The colour
+// corrections use the whole photo's statistics, as the export does, not the
+// crop's. Press and hold to see the unfiltered crop.
+export default function EnhancePreview({ file, enhance }) {
+  const [source, setSource] = useState(null);
+  const [frame, setFrame] = useState(null);
+  const [showOriginal, setShowOriginal] = useState(false);
+  const canvasRef = useRef();
+
+  useEffect(() => {
+    let cancelled = false;
+    createImageBitmap(file, { imageOrientation: "from-image" })
+      .then((bitmap) => {
+        const width = Math.min(PREVIEW_WIDTH, bitmap.width);
+        const height = Math.min(PREVIEW_HEIGHT, bitmap.height);
+        // Snap to the 8×8 JPEG block grid so deblocking lines up.
+        const x = Math.floor((bitmap.width - width) / 16) * 8;
+        const y = Math.floor((bitmap.height - height) / 16) * 8;
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(bitmap, x, y, width, height, 0, 0, width, height);
+
+        const scale = Math.min(1, FRAME_SIZE / Math.max(bitmap.width, bitmap.height));
+        const frameCanvas = document.createElement("canvas");
+        frameCanvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        frameCanvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        const frameCtx = frameCanvas.getContext("2d");
+        frameCtx.drawImage(bitmap, 0, 0, frameCanvas.width, frameCanvas.height);
+        bitmap.close();
+        if (cancelled) return;
+        setSource({ pixels: ctx.getImageData(0, 0, width, height), x, y });
+        setFrame(frameCtx.getImageData(0, 0, frameCanvas.width, frameCanvas.height));
+      })
+      .catch(() => {
+        if (!cancelled) setSource(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!source || !frame || !canvas) return;
+    const { width, height, data } = source.pixels;
+    const pixels = new ImageData(new Uint8ClampedArray(data), width, height);
+    if (!showOriginal) {
+      applyEnhancements(pixels.data, width, height, enhance, {
+        offsetX: source.x,
+        offsetY: source.y,
+        stats: measureEnhancements(frame.data, enhance),
+      });
+    }
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").putImageData(pixels, 0, 0);
+  }, [source, frame, enhance, showOriginal]);
+
+  if (!source) return null;
+
+  return (
+    <div style={{ marginBottom: 8, fontSize: 11, color: "#607d8b" }}>
+      <canvas
+        ref={canvasRef}
+        onPointerDown={() => setShowOriginal(true)}
+        onPointerUp={() => setShowOriginal(false)}
+        onPointerLeave={() => setShowOriginal(false)}
+        style={{
+          display: "block",
+          margin: "0 auto 2px auto",
+          border: "1.5px solid #cfd8dc",
+          borderRadius: 5,
+          cursor: "pointer",
+        }}
+      />
+      {showOriginal ? "Original" : "Enhanced"} · 100% crop · hold to compare
+    </div>
+  );
+}
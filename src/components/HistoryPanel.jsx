@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from "react";
+import {
+  MAX_AGE_DAYS,
+  MAX_BATCHES,
+  clearHistory,
+  getStorageEstimate,
+  listBatches,
+} from "../utils/history";
+import { formatBytes } from "../utils/format";
+
+const smallButtonStyle = {
+  padding: "4px 10px",
+  background: "#eceff1",
+  color: "#37474f",
+  border: "1px solid #cfd8dc",
+  borderRadius: 5,
+  fontSize: 12,
+  fontWeight: 600,
+  cursor: "pointer",
+};
+
+function QuotaBar({ estimate }) {
+  const used = estimate.usage / estimate.quota;
+  const color = used > 0.8 ? "#d32f2f" : used > 0.5 ? "#f57c00" : "#1976d2";
+  return (
+    <div style={{ fontSize: 12, color: "#607d8b", marginBottom: 10 }}>
+      <div
+        style={{
+          height: 6,
+          background: "#e3e6ea",
+          borderRadius: 3,
+          overflow: "hidden",
+          marginBottom: 3,
+        }}
+      >
+        <div style={{ width: `${Math.min(100, used * 100)}%`, height: "100%", background: color }} />
+      </div>
+      Storage: {formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} used
+    </div>
+  );
+}
+
+// Past batches stored in IndexedDB. The list is reloaded whenever
+// `refreshKey` changes while the panel is open.
+export default function HistoryPanel({
+  currentBatchId,
+  refreshKey,
+  defaultOpen = false,
+  onOpen,
+  onDownload,
+  onDelete,
+  onCleared,
+}) {
+  const [open, setOpen] = useState(defaultOpen);
+  const [batches, setBatches] = useState(null);
+  const [estimate, setEstimate] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    Promise.all([listBatches(), getStorageEstimate()])
+      .then(([list, storage]) => {
+        if (cancelled) return;
+        setBatches(list);
+        setEstimate(storage);
+        setError("");
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, refreshKey]);
+
+  const handleClear = () => {
+    if (!window.confirm("Delete every stored batch? This can't be undone.")) return;
+    clearHistory()
+      .then(onCleared)
+      .catch((err) => setError(err.message));
+  };
+
+  return (
+    <div style={{ margin: "10px 0", textAlign: "left" }}>
+      <button style={smallButtonStyle} onClick={() => setOpen((v) => !v)}>
+        {open ? "Hide history" : "History"}
+      </button>
+      {open && (
+        <div
+          style={{
+            marginTop: 8,
+            padding: 12,
+            border: "1.5px solid #e3e6ea",
+            borderRadius: 8,
+            background: "#f9fbfc",
+            fontSize: 13,
+            color: "#37474f",
+          }}
+        >
+          {estimate && <QuotaBar estimate={estimate} />}
+          {error && <div style={{ color: "red", marginBottom: 8 }}>{error}</div>}
+          {batches && batches.length === 0 && <div>No stored batches yet.</div>}
+          {batches &&
+            batches.map((batch) => (
+              <div
+                key={batch.id}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 8,
+                  padding: "6px 0",
+                  borderTop: "1px solid #e3e6ea",
+                  flexWrap: "wrap",
+                }}
+              >
+                <div style={{ flex: 1, minWidth: 180 }}>
+                  <b>{new Date(batch.createdAt).toLocaleString()}</b>
+                  {batch.id === currentBatchId && (
+                    <span style={{ color: "#388e3c" }}> · open</span>
+                  )}
+                  <div style={{ fontSize: 12, color: "#607d8b", overflowWrap: "anywhere" }}>
+                    {batch.names.join(", ")}
+                    {batch.count > batch.names.length && ` +${batch.count - batch.names.length} more`}
+                    {" · "}
+                    {batch.converted} of {batch.count} converted · {formatBytes(batch.bytes)}
+                  </div>
+                </div>
+                <button
+                  style={smallButtonStyle}
+                  disabled={batch.id === currentBatchId}
+                  onClick={() => onOpen(batch.id)}
+                >
+                  Open
+                </button>
+                <button
+                  style={smallButtonStyle}
+                  disabled={batch.converted === 0}
+                  onClick={() => onDownload(batch.id)}
+                >
+                  Download ZIP
+                </button>
+                <button style={smallButtonStyle} onClick={() => onDelete(batch.id)}>
+                  Delete
+                </button>
+              </div>
+            ))}
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              marginTop: 8,
+              fontSize: 12,
+              color: "#607d8b",
+            }}
+          >
+            <span>
+              Keeps the last {MAX_BATCHES} batches for up to {MAX_AGE_DAYS} days; the oldest are
+              removed first when storage runs low.
+            </span>
+            {batches && batches.length > 0 && (
+              <button style={smallButtonStyle} onClick={handleClear}>
+                Clear history
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,251 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  ASPECT_RATIOS,
+  DEFAULT_EDITS,
+  applyEdits,
+  centeredCrop,
+  getEditedSize,
+  getFrameSize,
+} from "../utils/edits";
+
+const PREVIEW_SIZE = 234;
+const MIN_CROP = 0.05;
+
+const toolButtonStyle = {
+  padding: "4px 8px",
+  background: "#eceff1",
+  color: "#37474f",
+  border: "1px solid #cfd8dc",
+  borderRadius: 4,
+  fontSize: 12,
+  fontWeight: 600,
+  cursor: "pointer",
+};
+
+const activeToolButtonStyle = {
+  ...toolButtonStyle,
+  background: "#1976d2",
+  borderColor: "#1976d2",
+  color: "#fff",
+};
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Keep a normalised crop inside the frame.
+function clampCrop(crop) {
+  const width = clamp(crop.width, MIN_CROP, 1);
+  const height = clamp(crop.height, MIN_CROP, 1);
+  return {
+    x: clamp(crop.x, 0, 1 - width),
+    y: clamp(crop.y, 0, 1 - height),
+    width,
+    height,
+  };
+}
+
+export default function ImageEditor({ file, edits, onChange, onApply, onApplyToAll, onCancel, getOutputSize }) {
+  const [preview, setPreview] = useState(null);
+  const canvasRef = useRef();
+  const dragRef = useRef(null);
+
+  // Decode a small copy of the image once for the interactive preview.
+  useEffect(() => {
+    let cancelled = false;
+    let bitmap;
+    createImageBitmap(file, { imageOrientation: "from-image" })
+      .then((full) => {
+        const scale = Math.min(1, PREVIEW_SIZE / Math.max(full.width, full.height));
+        return createImageBitmap(full, {
+          resizeWidth: Math.max(1, Math.round(full.width * scale)),
+          resizeHeight: Math.max(1, Math.round(full.height * scale)),
+          resizeQuality: "high",
+        }).then((small) => {
+          full.close();
+          return { small, width: full.width, height: full.height };
+        });
+      })
+      .then(({ small, width, height }) => {
+        bitmap = small;
+        if (cancelled) small.close();
+        else setPreview({ bitmap: small, width, height });
+      })
+      .catch(() => {
+        if (!cancelled) setPreview({ error: "Preview unavailable." });
+      });
+    return () => {
+      cancelled = true;
+      if (bitmap) bitmap.close();
+    };
+  }, [file]);
+
+  const frame = preview && preview.bitmap ? getFrameSize(preview.width, preview.height, edits) : null;
+
+  useEffect(() => {
+    if (!preview || !preview.bitmap || !canvasRef.current) return;
+    const rendered = applyEdits(preview.bitmap, { ...edits, crop: null });
+    const canvas = canvasRef.current;
+    canvas.width = rendered.width;
+    canvas.height = rendered.height;
+    canvas.getContext("2d").drawImage(rendered, 0, 0);
+  }, [preview, edits]);
+
+  if (!preview) return <div style={{ fontSize: 13, color: "#607d8b" }}>Loading editor...</div>;
+  if (preview.error) return <div style={{ color: "red" }}>{preview.error}</div>;
+
+  const crop = edits.crop || { x: 0, y: 0, width: 1, height: 1 };
+  const ratio = ASPECT_RATIOS[edits.aspect];
+
+  // Geometry changes alter the frame shape, so fixed-ratio crops are
+  // re-centred; free crops are only kept inside the frame.
+  const updateGeometry = (patch) => {
+    const next = { ...edits, ...patch };
+    const nextFrame = getFrameSize(preview.width, preview.height, next);
+    next.crop = ratio ? centeredCrop(nextFrame, ratio) : next.crop && clampCrop(next.crop);
+    onChange(next);
+  };
+
+  const setAspect = (aspect) => {
+    onChange({ ...edits, aspect, crop: centeredCrop(frame, ASPECT_RATIOS[aspect]) });
+  };
+
+  const handlePointerDown = (e, kind) => {
+    e.stopPropagation();
+    const rect = canvasRef.current.getBoundingClientRect();
+    dragRef.current = { kind, rect, x: e.clientX, y: e.clientY, crop };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = (e.clientX - drag.x) / drag.rect.width;
+    const dy = (e.clientY - drag.y) / drag.rect.height;
+    const start = drag.crop;
+    if (drag.kind === "move") {
+      onChange({ ...edits, crop: clampCrop({ ...start, x: start.x + dx, y: start.y + dy }) });
+      return;
+    }
+    let width = clamp(start.width + dx, MIN_CROP, 1 - start.x);
+    let height = clamp(start.height + dy, MIN_CROP, 1 - start.y);
+    if (ratio) {
+      // Normalised units differ per axis, so convert the ratio via the frame.
+      const normRatio = (ratio * frame.height) / frame.width;
+      height = width / normRatio;
+      if (start.y + height > 1) {
+        height = 1 - start.y;
+        width = height * normRatio;
+      }
+    }
+    onChange({ ...edits, crop: clampCrop({ ...start, width, height }) });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const edited = getEditedSize(preview.width, preview.height, edits);
+  const output = getOutputSize(edited.width, edited.height);
+
+  return (
+    <div style={{ textAlign: "left", fontSize: 13, color: "#37474f" }}>
+      <div
+        style={{ position: "relative", margin: "0 auto 8px auto", width: "fit-content", touchAction: "none" }}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+      >
+        <canvas ref={canvasRef} style={{ display: "block", maxWidth: PREVIEW_SIZE }} />
+        <div
+          onPointerDown={(e) => handlePointerDown(e, "move")}
+          style={{
+            position: "absolute",
+            left: `${crop.x * 100}%`,
+            top: `${crop.y * 100}%`,
+            width: `${crop.width * 100}%`,
+            height: `${crop.height * 100}%`,
+            border: "2px solid #fff",
+            boxShadow: "0 0 0 9999px #0008",
+            cursor: "move",
+            boxSizing: "border-box",
+          }}
+        >
+          <div
+            onPointerDown={(e) => handlePointerDown(e, "resize")}
+            style={{
+              position: "absolute",
+              right: -6,
+              bottom: -6,
+              width: 12,
+              height: 12,
+              background: "#1976d2",
+              border: "2px solid #fff",
+              cursor: "nwse-resize",
+            }}
+          />
+        </div>
+      </div>
+
+      <div style={{ display: "flex", gap: 4, flexWrap: "wrap", marginBottom: 6 }}>
+        {Object.keys(ASPECT_RATIOS).map((aspect) => (
+          <button
+            key={aspect}
+            style={edits.aspect === aspect ? activeToolButtonStyle : toolButtonStyle}
+            onClick={() => setAspect(aspect)}
+          >
+            {aspect === "free" ? "Free" : aspect}
+          </button>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 4, flexWrap: "wrap", marginBottom: 6 }}>
+        <button style={toolButtonStyle} onClick={() => updateGeometry({ rotate: (edits.rotate + 270) % 360 })}>
+          ⟲ 90°
+        </button>
+        <button style={toolButtonStyle} onClick={() => updateGeometry({ rotate: (edits.rotate + 90) % 360 })}>
+          ⟳ 90°
+        </button>
+        <button
+          style={edits.flipH ? activeToolButtonStyle : toolButtonStyle}
+          onClick={() => updateGeometry({ flipH: !edits.flipH })}
+        >
+          Flip ↔
+        </button>
+        <button
+          style={edits.flipV ? activeToolButtonStyle : toolButtonStyle}
+          onClick={() => updateGeometry({ flipV: !edits.flipV })}
+        >
+          Flip ↕
+        </button>
+        <button style={toolButtonStyle} onClick={() => onChange(DEFAULT_EDITS)}>
+          Reset
+        </button>
+      </div>
+      <label style={{ display: "block", marginBottom: 6 }}>
+        Straighten: {edits.straighten.toFixed(1)}°
+        <input
+          type="range"
+          min={-45}
+          max={45}
+          step={0.5}
+          value={edits.straighten}
+          onChange={(e) => updateGeometry({ straighten: Number(e.target.value) })}
+          style={{ width: "100%" }}
+        />
+      </label>
+      <div style={{ marginBottom: 8 }}>
+        <b>Output:</b> {output.width} × {output.height}
+      </div>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+        <button style={activeToolButtonStyle} onClick={onApply}>
+          Apply
+        </button>
+        <button style={toolButtonStyle} onClick={onApplyToAll}>
+          Apply to all
+        </button>
+        <button style={toolButtonStyle} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
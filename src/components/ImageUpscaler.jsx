@@ -1,172 +1,563 @@
-import React, { useRef, useState, useCallback } from "react";
+import React, { useRef, useState, useCallback, useEffect, useMemo } from "react";
+import { useSearchParams } from "react-router";
+import { UPSCALE_ENGINES } from "../utils/resample";
+import { DEFAULT_OPTIONS, getMetadataMode, processImage } from "../utils/upscale";
+import { CancelledError, createWorkerPool } from "../utils/workerPool";
+import { QUALITY_LABELS } from "../utils/classify";
+import {
+  getTargetSize,
+  loadPresets,
+  presetFromSearchParams,
+  savePresets,
+} from "../utils/presets";
+import { FALLBACK_FORMAT, OUTPUT_FORMATS, detectEncoders } from "../utils/formats";
+import { METADATA_FORMATS, METADATA_MODES } from "../utils/metadata";
+import {
+  collectOutputs,
+  downloadStoredBatch,
+  downloadZip,
+  fromImageRecords,
+  toImageRecord,
+} from "../utils/batch";
+import PresetManager from "./PresetManager";
+import ComparisonViewer from "./ComparisonViewer";
+import ImageEditor from "./ImageEditor";
+import { DEFAULT_EDITS, adaptEdits, hasEdits } from "../utils/edits";
+import { ENHANCEMENTS, hasEnhancements } from "../utils/enhance";
+import EnhancePreview from "./EnhancePreview";
+import WatermarkPreview from "./WatermarkPreview";
+import { hasWatermark } from "../utils/watermark";
+import HistoryPanel from "./HistoryPanel";
+import SavingsReport from "./SavingsReport";
+import {
+  addBatchImages,
+  cleanupHistory,
+  createBatchId,
+  deleteBatch,
+  deleteBatchImage,
+  getSessionBatchId,
+  loadBatch,
+  saveBatch,
+  setSessionBatchId,
+  updateBatchImage,
+  updateBatchOrder,
+} from "../utils/history";
+import { hashFile } from "../utils/hash";
+import { createObjectUrlStore } from "../utils/objectUrls";
+import { formatBytes } from "../utils/format";
+import { decodeInput, getAcceptList, isSupportedFile, needsDecoding } from "../utils/decoders";
+import { canUpscaleOnServer, upscaleOnServer } from "../utils/upscaleApi";
+import {
+  collectDroppedFiles,
+  fromFileList,
+  getClipboardFiles,
+  saveFilesToDirectory,
+  supportsDirectoryExport,
+} from "../utils/fileSources";
 
-const QUALITY_LABELS = {
-  good: "WhatsApp HD / Original · Good Quality Photo",
-  medium: "WhatsApp SD · Medium Quality Photo",
-  low: "WhatsApp · Low Quality Photo",
-  other: "Other · Unknown/Blank",
+const QUALITY_COLORS = {
+  good: "#388e3c",
+  medium: "#f57c00",
+  low: "#d32f2f",
+  other: "#607d8b",
 };
-const MIN_GOOD_WIDTH = 1920;
-const MIN_GOOD_HEIGHT = 1080;
-const MIN_GOOD_MP = 2;
-const MIN_IMAGE_PX = 1600;
-
-function getTargetSize(width, height) {
-  let scaleW = MIN_GOOD_WIDTH / width;
-  let scaleH = MIN_GOOD_HEIGHT / height;
-  let scaleMinW = MIN_IMAGE_PX / width;
-  let scaleMinH = MIN_IMAGE_PX / height;
-  let scaleMP = Math.sqrt((MIN_GOOD_MP * 1_000_000) / (width * height));
-  const scale = Math.max(scaleW, scaleH, scaleMinW, scaleMinH, scaleMP, 1);
-  return {
-    width: Math.round(width * scale),
-    height: Math.round(height * scale),
-  };
+const cardButtonStyle = {
+  padding: "2px 8px",
+  background: "#eceff1",
+  color: "#37474f",
+  border: "1px solid #cfd8dc",
+  borderRadius: 4,
+  fontSize: 12,
+  fontWeight: 600,
+  cursor: "pointer",
+};
+
+const ACCEPT = getAcceptList();
+
+// Sized on first use rather than at import, since the module is also loaded
+// during server rendering where there's no `navigator`.
+function createUpscalePool() {
+  return createWorkerPool({
+    size: Math.min(4, Math.max(1, (navigator.hardwareConcurrency || 2) - 1)),
+    createWorker: () =>
+      new Worker(new URL("../utils/upscale.worker.js", import.meta.url), {
+        type: "module",
+      }),
+    fallback: ({ kind, file, options }, onProgress) =>
+      kind === "decode"
+        ? decodeInput(file, onProgress)
+        : kind === "server"
+          ? upscaleOnServer(file, options, onProgress)
+          : processImage(file, options, onProgress),
+  });
 }
 
-function getHdFileName(originalName) {
-  const lastDot = originalName.lastIndexOf(".");
-  if (lastDot > 0) {
-    return (
-      originalName.substring(0, lastDot) +
-      "-hd" +
-      originalName.substring(lastDot)
-    );
-  } else {
-    return originalName + "-hd.jpg";
-  }
+function ProgressBar({ progress, label }) {
+  return (
+    <div style={{ margin: "6px 0 10px 0", fontSize: 13, color: "#607d8b" }}>
+      <div
+        style={{
+          height: 6,
+          background: "#e3e6ea",
+          borderRadius: 3,
+          overflow: "hidden",
+          marginBottom: 4,
+        }}
+      >
+        <div
+          style={{
+            width: `${Math.round(progress * 100)}%`,
+            height: "100%",
+            background: "#1976d2",
+            transition: "width 0.2s",
+          }}
+        />
+      </div>
+      {label} {Math.round(progress * 100)}%
+    </div>
+  );
 }
 
-function resizeImageToGoodQuality(img, cb, fileName) {
-  const { width: targetW, height: targetH } = getTargetSize(
-    img.width,
-    img.height
+function QualityBadge({ quality }) {
+  const color = QUALITY_COLORS[quality.label];
+  return (
+    <div style={{ marginBottom: 8, textAlign: "left" }}>
+      <div
+        style={{
+          display: "inline-block",
+          padding: "3px 8px",
+          borderRadius: 4,
+          background: `${color}1a`,
+          color,
+          fontWeight: 600,
+          fontSize: 12,
+        }}
+      >
+        {QUALITY_LABELS[quality.label]}
+      </div>
+      <ul style={{ margin: "4px 0 0 0", paddingLeft: 18, fontSize: 12, color: "#607d8b" }}>
+        {quality.reasons.map((reason) => (
+          <li key={reason}>{reason}</li>
+        ))}
+      </ul>
+    </div>
   );
-  if (!img.width || !img.height) {
-    cb(null, 0, 0);
-    return;
-  }
-  const canvas = document.createElement("canvas");
-  canvas.width = targetW;
-  canvas.height = targetH;
-  const ctx = canvas.getContext("2d");
-  ctx.drawImage(img, 0, 0, targetW, targetH);
-  canvas.toBlob(
-    (blob) => {
-      cb(blob, targetW, targetH, getHdFileName(fileName));
-    },
-    "image/jpeg",
-    0.95
+}
+
+function MetadataList({ fields }) {
+  return (
+    <dl
+      style={{
+        margin: "0 0 8px 0",
+        fontSize: 12,
+        color: "#607d8b",
+        textAlign: "left",
+        display: "grid",
+        gridTemplateColumns: "auto 1fr",
+        columnGap: 8,
+      }}
+    >
+      {fields.map(([label, value]) => (
+        <React.Fragment key={label}>
+          <dt style={{ fontWeight: 600 }}>{label}</dt>
+          <dd style={{ margin: 0, overflowWrap: "anywhere" }}>{value}</dd>
+        </React.Fragment>
+      ))}
+    </dl>
   );
 }
 
 export default function ImageUpscaler() {
   const [images, setImages] = useState([]);
   const [converted, setConverted] = useState({});
-  const [processing, setProcessing] = useState(false);
   const [isDragging, setIsDragging] = useState(false); // New state for drag-and-drop visual feedback
+  const [options, setOptions] = useState(DEFAULT_OPTIONS);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState("");
+  const [compareIndex, setCompareIndex] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, edits } while a card is being edited
+  const [historyKey, setHistoryKey] = useState(0);
+  const [historyError, setHistoryError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [presets, setPresets] = useState(loadPresets);
+  const [presetId, setPresetId] = useState(() => presets[0].id);
+  const preset = presets.find((p) => p.id === presetId) || presets[0];
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Formats every browser can encode until detection finishes.
+  const [supportedFormats, setSupportedFormats] = useState(["image/jpeg", "image/png"]);
+  const requestedFormat = options.format || preset.format;
+  const outputFormat = supportedFormats.includes(requestedFormat)
+    ? requestedFormat
+    : FALLBACK_FORMAT;
+  const jobOptions = useMemo(
+    () => ({ ...options, preset, format: outputFormat }),
+    [options, preset, outputFormat]
+  );
   const inputRef = useRef();
+  const folderInputRef = useRef();
+  const poolRef = useRef(null);
+  // History id of the batch on screen (null when empty). Results from a batch
+  // that is no longer on screen are still stored but not shown.
+  const batchRef = useRef(null);
+  // Latest job token per image id. A result is only shown if its token is
+  // still current, so removed cards and superseded runs are ignored.
+  const jobsRef = useRef(new Map());
+  const nextJobRef = useRef(1);
+  // Ids of the cards in the batch and the next free record `order`. Both are
+  // claimed as soon as files are accepted: overlapping adds (a paste during
+  // a folder drop) run before React re-renders, so `images` can be stale.
+  const cardIdsRef = useRef(new Set());
+  const nextOrderRef = useRef(0);
+  // Object URLs for card previews and outputs, revoked as cards and batches
+  // go; `heldBytes` is what they keep alive.
+  const [heldBytes, setHeldBytes] = useState(0);
+  const urlsRef = useRef(null);
+  if (!urlsRef.current) {
+    const store = createObjectUrlStore({ onChange: () => setHeldBytes(store.bytes) });
+    urlsRef.current = store;
+  }
+  const urls = urlsRef.current;
 
   // Only show upload button at first
   const [hasUploaded, setHasUploaded] = useState(false);
 
+  const compareItems = images
+    .filter((img) => converted[img.id])
+    .map((img) => ({
+      id: img.id,
+      name: img.fileName,
+      originalSrc: img.src,
+      convertedSrc: converted[img.id].src,
+      width: img.width,
+      height: img.height,
+      newWidth: converted[img.id].width,
+      newHeight: converted[img.id].height,
+    }));
+
+  const savings = images
+    .filter((img) => converted[img.id])
+    .map((img) => ({
+      id: img.id,
+      name: img.fileName,
+      bytesIn: img.file.size,
+      bytesOut: converted[img.id].blob.size,
+      width: img.width,
+      height: img.height,
+      newWidth: converted[img.id].width,
+      newHeight: converted[img.id].height,
+      fitsBudget: converted[img.id].fitsBudget,
+    }));
+
+  const processing = images.some(
+    (img) => img.status === "queued" || img.status === "processing"
+  );
+
+  useEffect(() => {
+    savePresets(presets);
+  }, [presets]);
+
+  // The URL names the selected preset: `?preset=<id>`, or a shared preset's
+  // settings inline, which adds it to the list and rewrites the URL to its id.
+  useEffect(() => {
+    const linked = presetFromSearchParams(searchParams, presets);
+    if (!linked) return;
+    if (linked.isNew) {
+      setPresets((list) =>
+        list.some((p) => p.id === linked.preset.id) ? list : [...list, linked.preset]
+      );
+    }
+    setPresetId(linked.preset.id);
+    if (searchParams.get("preset") !== linked.preset.id) {
+      setSearchParams(
+        (params) => {
+          const next = new URLSearchParams({ preset: linked.preset.id });
+          if (params.has("batch")) next.set("batch", params.get("batch"));
+          return next;
+        },
+        { replace: true }
+      );
+    }
+  }, [searchParams, presets, setSearchParams]);
+
+  const selectPreset = useCallback(
+    (id) => {
+      setPresetId(id);
+      setSearchParams(
+        (params) => {
+          const next = new URLSearchParams(params);
+          next.set("preset", id);
+          return next;
+        },
+        { replace: true }
+      );
+    },
+    [setSearchParams]
+  );
+
+  useEffect(() => {
+    detectEncoders().then(setSupportedFormats);
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      if (poolRef.current) poolRef.current.terminate();
+      urls.releaseAll();
+    };
+  }, [urls]);
+
+  const getPool = useCallback(() => {
+    if (!poolRef.current) poolRef.current = createUpscalePool();
+    return poolRef.current;
+  }, []);
+
+  const updateImage = useCallback((id, patch) => {
+    setImages((prev) =>
+      prev.map((img) => (img.id === id ? { ...img, ...patch } : img))
+    );
+  }, []);
+
+  // Storage failures never stop a conversion; they're only reported.
+  const reportHistoryError = useCallback((err) => setHistoryError(err.message), []);
+  const refreshHistory = useCallback(() => setHistoryKey((k) => k + 1), []);
+
+  const persistImage = useCallback(
+    (batch, id, patch) => {
+      if (!batch) return;
+      updateBatchImage(batch, id, patch).then(refreshHistory, reportHistoryError);
+    },
+    [refreshHistory, reportHistoryError]
+  );
+
+  const runJob = useCallback((id, file, jobOptions) => {
+    const batch = batchRef.current;
+    const token = nextJobRef.current++;
+    jobsRef.current.set(id, token);
+    const isCurrent = () => jobsRef.current.get(id) === token;
+    // Superseded or removed within the batch on screen: drop the result
+    // entirely. Results for a batch that has since been closed are still
+    // stored.
+    const isStale = () => batch === batchRef.current && !isCurrent();
+    updateImage(id, { status: "queued", progress: 0, stage: null, error: null });
+    persistImage(batch, id, { status: "queued", error: null, edits: jobOptions.edits });
+    const pool = getPool();
+    const onProgress = (progress, stage) => {
+      if (!isCurrent()) return;
+      updateImage(id, { status: "processing", progress, stage });
+    };
+
+    // Inputs the browser can't read are converted first. The converted file
+    // replaces the original on the card and in history, so previews, edits
+    // and restored sessions all use it.
+    const input = needsDecoding(file)
+      ? pool.run({ kind: "decode", file }, onProgress).then((decoded) => {
+          if (decoded.type === file.type) return file;
+          if (!isStale()) persistImage(batch, id, { file: decoded });
+          if (isCurrent()) updateImage(id, { file: decoded, src: urls.set(id, "source", decoded) });
+          return decoded;
+        })
+      : Promise.resolve(file);
+
+    input
+      .then((decoded) => {
+        // Server jobs go through the pool too, so they share its queue and
+        // concurrency limit.
+        const kind =
+          jobOptions.processOn === "server" && canUpscaleOnServer(decoded, jobOptions)
+            ? "server"
+            : "upscale";
+        return pool.run({ kind, file: decoded, options: jobOptions }, onProgress);
+      })
+      .then((result) => {
+        const patch = {
+          status: result.skipped ? "skipped" : "done",
+          width: result.width,
+          height: result.height,
+          newWidth: result.newWidth,
+          newHeight: result.newHeight,
+          quality: result.quality,
+          metadata: result.metadata,
+        };
+        const conv = result.skipped
+          ? null
+          : {
+                width: result.newWidth,
+                height: result.newHeight,
+                blob: result.blob,
+                name: result.name,
+                fitsBudget: result.fitsBudget,
+                settings: {
+                  preset: jobOptions.preset.name,
+                  engine: jobOptions.engine,
+                  sharpen: jobOptions.sharpen,
+                  format: result.format,
+                  quality: Number(result.encodedQuality.toFixed(2)),
+                  metadata: getMetadataMode(jobOptions),
+                  enhance: Object.keys(ENHANCEMENTS)
+                    .filter((key) => jobOptions.enhance[key] > 0)
+                    .map((key) => `${key} ${Math.round(jobOptions.enhance[key] * 100)}%`)
+                    .join("; "),
+                },
+            };
+        if (!isStale()) persistImage(batch, id, { ...patch, converted: conv });
+        if (!isCurrent()) return;
+        updateImage(id, { ...patch, progress: 1 });
+        if (!conv) return;
+        const src = urls.set(id, "output", conv.blob);
+        setConverted((prev) => ({ ...prev, [id]: { ...conv, src } }));
+      })
+      .catch((err) => {
+        if (err instanceof CancelledError) return;
+        if (!isStale()) persistImage(batch, id, { status: "error", error: err.message });
+        if (!isCurrent()) return;
+        updateImage(id, { status: "error", error: err.message });
+      });
+  }, [getPool, updateImage, persistImage, urls]);
+
   // The core function to process a list of files (from input or drop)
-  const handleFiles = useCallback((fileList) => {
-    // Filter to only include image files
-    const imageFiles = Array.from(fileList).filter(file => file.type.startsWith('image/'));
-    
-    if (imageFiles.length === 0) return;
+  // Add `{ file, path }` inputs to the batch on screen, starting a new batch
+  // if there is none. Files already in the batch (same content) are skipped;
+  // `skipped` counts files the caller already left out, for the notice.
+  const handleFiles = useCallback(async (inputs, { skipped = 0 } = {}) => {
+    // Everything gets a card: files that can't be read show their error
+    // there instead of silently disappearing.
+    const notes = [];
+    if (skipped > 0) {
+      notes.push(`Skipped ${skipped} ${skipped === 1 ? "file" : "files"} in folders that aren't images.`);
+    }
+    setNotice(notes.join(" "));
+    if (inputs.length === 0) return;
 
-    setImages([]);
-    setConverted({});
-    setProcessing(true);
+    const hashed = await Promise.all(
+      // An unreadable file still gets a card, where its error will show.
+      inputs.map(async ({ file, path }) => ({
+        file,
+        path,
+        id: await hashFile(file).catch(() => `${file.name}_${file.size}_${file.lastModified}`),
+      }))
+    );
+    const known = cardIdsRef.current;
+    const fresh = [];
+    for (const item of hashed) {
+      if (known.has(item.id)) continue;
+      known.add(item.id);
+      fresh.push(item);
+    }
+    const duplicates = hashed.length - fresh.length;
+    if (duplicates > 0) {
+      notes.push(
+        `Skipped ${duplicates} duplicate ${duplicates === 1 ? "image" : "images"} already in this batch.`
+      );
+      setNotice(notes.join(" "));
+    }
+    if (fresh.length === 0) return;
+
+    let batchId = batchRef.current;
+    const isNew = !batchId;
+    if (isNew) {
+      batchId = createBatchId();
+      batchRef.current = batchId;
+      jobsRef.current.clear();
+      setSessionBatchId(batchId);
+    }
+
+    const entries = fresh.map(({ file, path, id }) => ({
+      file,
+      id,
+      src: urls.set(id, "source", file),
+      fileName: file.name,
+      path,
+      status: "queued",
+      progress: 0,
+      edits: DEFAULT_EDITS,
+    }));
+    const firstOrder = nextOrderRef.current;
+    nextOrderRef.current += entries.length;
+    const records = entries.map((img, i) => toImageRecord(img, firstOrder + i));
+
+    setImages((prev) => (isNew ? entries : [...prev, ...entries]));
+    if (isNew) setConverted({});
     setHasUploaded(true);
-    
-    let loaded = 0;
-    let imageInfos = [];
-    imageFiles.forEach((file, idx) => {
-      const img = new window.Image();
-      img.onload = () => {
-        const width = img.width;
-        const height = img.height;
-        // Unique ID for the image
-        const id = `${file.name}_${file.size}_${file.lastModified}`;
-        const src = URL.createObjectURL(file);
-        const { width: newWidth, height: newHeight } = getTargetSize(
-          width,
-          height
-        );
-
-        imageInfos[idx] = {
-          file,
-          src,
-          width,
-          height,
-          id,
-          newWidth,
-          newHeight,
-          fileName: file.name,
-        };
 
-        const autoImg = new window.Image();
-        autoImg.onload = () => {
-          resizeImageToGoodQuality(
-            autoImg,
-            (blob, w, h, hdName) => {
-              setConverted((prev) => ({
-                ...prev,
-                [id]: {
-                  src: URL.createObjectURL(blob),
-                  width: w,
-                  height: h,
-                  blob,
-                  name: hdName,
-                },
-              }));
-              
-              // After conversion, check if all files have been loaded and processed
-              loaded += 1;
-              if (loaded === imageFiles.length) {
-                setImages(imageInfos.filter(info => !info.error)); // Only show successful loads
-                setProcessing(false);
-              }
-            },
-            file.name
-          );
-        };
-        autoImg.onerror = () => {
-          // If the conversion Image load fails
-          imageInfos[idx] = {
-            error: "Failed to load image for processing.",
-            file,
-            id: `${file.name}_${file.size}_${file.lastModified}`,
-          };
-          loaded += 1;
-          if (loaded === imageFiles.length) {
-            setImages(imageInfos.filter(info => !info.error));
-            setProcessing(false);
-          }
-        };
-        autoImg.src = src;
-
-        // The image object for dimension reading is already loaded, no need to wait again
-      };
-      img.onerror = () => {
-        imageInfos[idx] = {
-          error: "Failed to load image.",
-          file,
-          id: `${file.name}_${file.size}_${file.lastModified}`,
-        };
-        loaded += 1;
-        if (loaded === imageFiles.length) {
-          setImages(imageInfos.filter(info => !info.error));
-          setProcessing(false);
-        }
-      };
-      img.src = URL.createObjectURL(file);
-    });
-  }, []);
-  
+    // Jobs only start once the images are stored, so their updates have a
+    // record to land on; they run regardless if storage fails.
+    const stored = isNew
+      ? saveBatch(
+          { id: batchId, createdAt: Date.now(), options, presetId: preset.id, jobOptions },
+          records
+        ).then(() => cleanupHistory(batchId))
+      : addBatchImages(batchId, records);
+    stored
+      .then(refreshHistory, reportHistoryError)
+      .finally(() => {
+        if (batchRef.current !== batchId) return;
+        entries.forEach(({ id, file, edits }) => runJob(id, file, { ...jobOptions, edits }));
+      });
+  }, [options, preset, jobOptions, runJob, refreshHistory, reportHistoryError, urls]);
+
+  // Put a stored batch back on screen and resume any images that hadn't
+  // finished, using the settings the batch was started with.
+  // With `keepPreset` the selected preset stays as it is, for when the URL
+  // asked for one.
+  const openBatch = useCallback(
+    async (batchId, { keepPreset = false } = {}) => {
+      const stored = await loadBatch(batchId);
+      if (!stored) {
+        setSessionBatchId(null);
+        return;
+      }
+      if (poolRef.current) poolRef.current.cancelPending();
+      batchRef.current = batchId;
+      jobsRef.current.clear();
+      setNotice("");
+      setSessionBatchId(batchId);
+
+      const { batch } = stored;
+      urls.releaseAll();
+      const restored = fromImageRecords(stored.images, urls.set);
+      cardIdsRef.current = new Set(stored.images.map((record) => record.id));
+      nextOrderRef.current = stored.images.reduce((next, record) => Math.max(next, record.order + 1), 0);
+      setImages(restored.images);
+      setConverted(restored.converted);
+      setEditing(null);
+      setCompareIndex(null);
+      setHasUploaded(true);
+      setOptions({ ...DEFAULT_OPTIONS, ...batch.options });
+      if (!keepPreset && presets.some((p) => p.id === batch.presetId)) selectPreset(batch.presetId);
+
+      restored.images
+        .filter((img) => img.status === "queued" || img.status === "processing")
+        .forEach((img) => runJob(img.id, img.file, { ...batch.jobOptions, edits: img.edits }));
+    },
+    [presets, runJob, selectPreset, urls]
+  );
+
+  // `?batch=<id>` (from the History page) opens that batch and is then
+  // dropped from the URL. Otherwise the batch that was open before the page
+  // was reloaded is restored, once.
+  const linkedBatchId = searchParams.get("batch");
+  const presetLinked = searchParams.has("preset") || searchParams.has("sizing");
+  const restoredRef = useRef(null);
+  useEffect(() => {
+    if (linkedBatchId) {
+      if (restoredRef.current === linkedBatchId) return;
+      restoredRef.current = linkedBatchId;
+      openBatch(linkedBatchId).catch(reportHistoryError);
+      setSearchParams(
+        (params) => {
+          const next = new URLSearchParams(params);
+          next.delete("batch");
+          return next;
+        },
+        { replace: true }
+      );
+      return;
+    }
+    if (restoredRef.current) return;
+    restoredRef.current = "session";
+    const batchId = getSessionBatchId();
+    if (batchId) openBatch(batchId, { keepPreset: presetLinked }).catch(reportHistoryError);
+  }, [linkedBatchId, presetLinked, openBatch, reportHistoryError, setSearchParams]);
+
   // --- New Drag-and-Drop Handlers ---
   const handleDragEnter = (e) => {
     e.preventDefault();
@@ -192,34 +583,141 @@ export default function ImageUpscaler() {
     e.preventDefault();
     e.stopPropagation();
     setIsDragging(false);
-    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-      handleFiles(e.dataTransfer.files);
-      e.dataTransfer.clearData();
+    if (e.dataTransfer.items && e.dataTransfer.items.length > 0) {
+      collectDroppedFiles(e.dataTransfer)
+        .then(({ files, skipped }) => handleFiles(files, { skipped }))
+        .catch((err) => setNotice(`Couldn't read the dropped files: ${err.message}`));
     }
   };
+
+  // Ctrl+V / Cmd+V anywhere on the page adds clipboard images, except while
+  // typing in a field.
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (e.target.closest && e.target.closest("input, textarea, select, [contenteditable]")) return;
+      if (!e.clipboardData) return;
+      const files = getClipboardFiles(e.clipboardData);
+      if (files.length === 0) return;
+      e.preventDefault();
+      handleFiles(files);
+    };
+    window.addEventListener("paste", handlePaste);
+    return () => window.removeEventListener("paste", handlePaste);
+  }, [handleFiles]);
   // ------------------------------------
 
-  const handleDownloadAllConverted = () => {
+  const handleDownloadAllConverted = async () => {
+    setExporting(true);
+    setExportError("");
+    try {
+      await downloadZip(collectOutputs(images, converted));
+    } catch (err) {
+      setExportError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleSaveToFolder = async () => {
+    setExporting(true);
+    setExportError("");
+    try {
+      await saveFilesToDirectory(collectOutputs(images, converted));
+    } catch (err) {
+      if (err.name !== "AbortError") setExportError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDownloadBatch = async (batchId) => {
+    setExporting(true);
+    setExportError("");
+    try {
+      await downloadStoredBatch(batchId);
+    } catch (err) {
+      setExportError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleApplyEdits = () => {
+    const img = images.find((i) => i.id === editing.id);
+    updateImage(img.id, { edits: editing.edits });
+    runJob(img.id, img.file, { ...jobOptions, edits: editing.edits });
+    setEditing(null);
+  };
+
+  const handleApplyEditsToAll = () => {
     images.forEach((img) => {
-      const conv = converted[img.id];
-      if (!conv || !conv.src) return;
-      const a = document.createElement("a");
-      a.href = conv.src;
-      a.download = conv.name;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
+      // Fixed-ratio crops are re-centred for each image's own shape.
+      const edits =
+        img.id === editing.id || !img.width
+          ? editing.edits
+          : adaptEdits(editing.edits, img.width, img.height);
+      updateImage(img.id, { edits });
+      runJob(img.id, img.file, { ...jobOptions, edits });
     });
+    setEditing(null);
   };
 
+  // The current batch stays in history; this only clears the screen.
   const handleNewImageClick = () => {
+    batchRef.current = null;
+    jobsRef.current.clear();
+    cardIdsRef.current = new Set();
+    nextOrderRef.current = 0;
+    setSessionBatchId(null);
+    setNotice("");
+    if (poolRef.current) poolRef.current.cancelPending();
+    urls.releaseAll();
     setImages([]);
     setConverted({});
+    setEditing(null);
     setHasUploaded(false);
     // Important: Reset the file input value so that selecting the same file(s) again triggers onChange
     if (inputRef.current) {
         inputRef.current.value = '';
     }
+    if (folderInputRef.current) folderInputRef.current.value = "";
+  };
+
+  const handleRemoveImage = (img) => {
+    jobsRef.current.delete(img.id);
+    cardIdsRef.current.delete(img.id);
+    if (poolRef.current) poolRef.current.cancelPending((task) => task.file === img.file);
+    urls.release(img.id);
+    setImages((prev) => prev.filter((i) => i.id !== img.id));
+    setConverted((prev) => {
+      const next = { ...prev };
+      delete next[img.id];
+      return next;
+    });
+    if (editing && editing.id === img.id) setEditing(null);
+    if (batchRef.current) {
+      deleteBatchImage(batchRef.current, img.id).then(refreshHistory, reportHistoryError);
+    }
+  };
+
+  const handleMoveImage = (index, delta) => {
+    const next = [...images];
+    const [moved] = next.splice(index, 1);
+    next.splice(index + delta, 0, moved);
+    setImages(next);
+    if (batchRef.current) {
+      updateBatchOrder(batchRef.current, next.map((img) => img.id)).catch(reportHistoryError);
+    }
+  };
+
+  const handleDeleteBatch = (batchId) => {
+    if (batchId === batchRef.current) handleNewImageClick();
+    deleteBatch(batchId).then(refreshHistory, reportHistoryError);
+  };
+
+  const handleHistoryCleared = () => {
+    if (batchRef.current) handleNewImageClick();
+    refreshHistory();
   };
 
   // Define the base style and the drag-over style
@@ -248,7 +746,231 @@ export default function ImageUpscaler() {
       onDrop={handleDrop}
     >
       <div style={{ textAlign: "center", color: "#607d8b" }}>
-        Drop files anywhere in this box or use the button below.
+        Drop files or folders anywhere in this box, paste with Ctrl+V, or use the buttons below.
+      </div>
+      {/* Shared by "Upload Folder" and "Add Folder". */}
+      <input
+        ref={folderInputRef}
+        type="file"
+        webkitdirectory=""
+        multiple
+        style={{ display: "none" }}
+        onChange={(e) => {
+          const inputs = fromFileList(e.target.files);
+          const supported = inputs.filter(({ file }) => isSupportedFile(file));
+          handleFiles(supported, { skipped: inputs.length - supported.length });
+          e.target.value = "";
+        }}
+      />
+
+      <div
+        style={{
+          display: "flex",
+          gap: 18,
+          justifyContent: "center",
+          flexWrap: "wrap",
+          margin: "4px 0",
+          fontSize: 14,
+          color: "#37474f",
+        }}
+      >
+        <b>Enhance:</b>
+        {Object.entries(ENHANCEMENTS).map(([key, label]) => (
+          <label key={key}>
+            {label}{" "}
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              value={options.enhance[key]}
+              disabled={processing}
+              onChange={(e) =>
+                setOptions((prev) => ({
+                  ...prev,
+                  enhance: { ...prev.enhance, [key]: Number(e.target.value) },
+                }))
+              }
+              style={{ verticalAlign: "middle", width: 90 }}
+            />{" "}
+            {Math.round(options.enhance[key] * 100)}%
+          </label>
+        ))}
+      </div>
+
+      <HistoryPanel
+        currentBatchId={batchRef.current}
+        refreshKey={historyKey}
+        onOpen={(batchId) => openBatch(batchId).catch(reportHistoryError)}
+        onDownload={handleDownloadBatch}
+        onDelete={handleDeleteBatch}
+        onCleared={handleHistoryCleared}
+      />
+      {historyError && (
+        <div style={{ color: "#f57c00", fontSize: 13, marginBottom: 8 }}>
+          History isn't being saved: {historyError}
+        </div>
+      )}
+
+      <PresetManager
+        presets={presets}
+        selectedId={preset.id}
+        onSelect={selectPreset}
+        onChange={setPresets}
+        supportedFormats={supportedFormats}
+        disabled={processing}
+      />
+
+      <div
+        style={{
+          display: "flex",
+          gap: 18,
+          justifyContent: "center",
+          flexWrap: "wrap",
+          margin: "14px 0 4px 0",
+          fontSize: 14,
+          color: "#37474f",
+        }}
+      >
+        <label>
+          <b>Upscaling:</b>{" "}
+          <select
+            value={options.engine}
+            disabled={processing}
+            onChange={(e) => setOptions((prev) => ({ ...prev, engine: e.target.value }))}
+          >
+            {Object.entries(UPSCALE_ENGINES).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <b>Sharpen:</b>{" "}
+          <input
+            type="range"
+            min={0}
+            max={1.5}
+            step={0.1}
+            value={options.sharpen}
+            disabled={processing || options.engine === "fast"}
+            title={options.engine === "fast" ? "The fast engine keeps the browser's own resize, unsharpened" : undefined}
+            onChange={(e) => setOptions((prev) => ({ ...prev, sharpen: Number(e.target.value) }))}
+            style={{ verticalAlign: "middle" }}
+          />{" "}
+          {options.sharpen.toFixed(1)}
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={options.skipGood}
+            disabled={processing}
+            onChange={(e) => setOptions((prev) => ({ ...prev, skipGood: e.target.checked }))}
+          />{" "}
+          Skip images that are already good quality
+        </label>
+        <label>
+          <b>Process on:</b>{" "}
+          <select
+            value={options.processOn || "device"}
+            disabled={processing}
+            onChange={(e) => setOptions((prev) => ({ ...prev, processOn: e.target.value }))}
+          >
+            <option value="device">This device</option>
+            <option value="server">Server</option>
+          </select>
+        </label>
+      </div>
+      {options.processOn === "server" && (
+        <div style={{ fontSize: 12, color: "#607d8b" }}>
+          JPEG and PNG output only. Edited images, and other output formats, still run on this
+          device.
+        </div>
+      )}
+
+      <div
+        style={{
+          display: "flex",
+          gap: 18,
+          justifyContent: "center",
+          flexWrap: "wrap",
+          margin: "4px 0",
+          fontSize: 14,
+          color: "#37474f",
+        }}
+      >
+        <label>
+          <b>Output format:</b>{" "}
+          <select
+            value={options.format || ""}
+            disabled={processing}
+            onChange={(e) => setOptions((prev) => ({ ...prev, format: e.target.value || null }))}
+          >
+            <option value="">
+              Preset default ({OUTPUT_FORMATS[outputFormat].label})
+            </option>
+            {supportedFormats.map((type) => (
+              <option key={type} value={type}>
+                {OUTPUT_FORMATS[type].label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {outputFormat === "image/webp" && (
+          <label>
+            <input
+              type="checkbox"
+              checked={options.lossless}
+              disabled={processing}
+              onChange={(e) => setOptions((prev) => ({ ...prev, lossless: e.target.checked }))}
+            />{" "}
+            Lossless
+          </label>
+        )}
+        <label>
+          <b>Metadata:</b>{" "}
+          <select
+            value={options.metadata || ""}
+            disabled={processing}
+            onChange={(e) => setOptions((prev) => ({ ...prev, metadata: e.target.value || null }))}
+          >
+            <option value="">
+              Preset default ({METADATA_MODES[getMetadataMode({ preset, metadata: null })]})
+            </option>
+            {Object.entries(METADATA_MODES).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {getMetadataMode(jobOptions) !== "strip-all" && !METADATA_FORMATS.includes(outputFormat) && (
+            <span style={{ color: "#f57c00", fontSize: 12 }}>
+              {" "}(not copied into {OUTPUT_FORMATS[outputFormat].label})
+            </span>
+          )}
+        </label>
+        {OUTPUT_FORMATS[outputFormat].lossy && !options.lossless && (
+          <label>
+            <b>Target size:</b>{" "}
+            <input
+              type="number"
+              min={0}
+              step={50}
+              placeholder={preset.maxBytes ? String(Math.round(preset.maxBytes / 1000)) : "off"}
+              value={options.maxBytes ? options.maxBytes / 1000 : ""}
+              disabled={processing}
+              onChange={(e) =>
+                setOptions((prev) => ({
+                  ...prev,
+                  maxBytes: Number(e.target.value) > 0 ? Number(e.target.value) * 1000 : null,
+                }))
+              }
+              style={{ width: 80 }}
+            />{" "}
+            KB
+          </label>
+        )}
       </div>
 
       {/* Only show upload button at first */}
@@ -271,14 +993,29 @@ export default function ImageUpscaler() {
           >
             Upload Images
           </button>
+          <button
+            style={{
+              padding: "13px 32px",
+              background: "#fff",
+              color: "#1976d2",
+              border: "2px solid #1976d2",
+              borderRadius: 7,
+              fontWeight: 600,
+              fontSize: 18,
+              cursor: "pointer",
+            }}
+            onClick={() => folderInputRef.current && folderInputRef.current.click()}
+          >
+            Upload Folder
+          </button>
           {/* Key change: 'multiple' attribute is present, making multi-selection possible on all devices */}
           <input
             ref={inputRef}
             type="file"
-            accept="image/*"
+            accept={ACCEPT}
             multiple
             style={{ display: "none" }}
-            onChange={(e) => handleFiles(e.target.files)}
+            onChange={(e) => handleFiles(fromFileList(e.target.files))}
           />
         </div>
       )}
@@ -303,14 +1040,33 @@ export default function ImageUpscaler() {
                 fontWeight: "bold",
                 fontSize: 17,
                 boxShadow: "0 1.5px 8px #388e3c22",
-                cursor: images.length === 0 || processing ? "not-allowed" : "pointer",
-                opacity: images.length === 0 || processing ? 0.7 : 1,
+                cursor: images.length === 0 || processing || exporting ? "not-allowed" : "pointer",
+                opacity: images.length === 0 || processing || exporting ? 0.7 : 1,
               }}
               onClick={handleDownloadAllConverted}
-              disabled={images.length === 0 || processing}
+              disabled={images.length === 0 || processing || exporting}
             >
-              Download All Images
+              {exporting ? "Exporting..." : "Download All (ZIP)"}
             </button>
+            {supportsDirectoryExport() && (
+              <button
+                style={{
+                  padding: "10px 22px",
+                  background: "#fff",
+                  color: "#388e3c",
+                  border: "2px solid #388e3c",
+                  borderRadius: 6,
+                  fontWeight: "bold",
+                  fontSize: 17,
+                  cursor: images.length === 0 || processing || exporting ? "not-allowed" : "pointer",
+                  opacity: images.length === 0 || processing || exporting ? 0.7 : 1,
+                }}
+                onClick={handleSaveToFolder}
+                disabled={images.length === 0 || processing || exporting}
+              >
+                Save All to Folder
+              </button>
+            )}
             <button
               style={{
                 padding: "10px 22px",
@@ -343,29 +1099,55 @@ export default function ImageUpscaler() {
             >
             Add More
             </button>
+            <button
+              style={{
+                padding: "10px 22px",
+                background: "#607d8b",
+                color: "#fff",
+                border: "none",
+                borderRadius: 6,
+                fontWeight: "bold",
+                fontSize: 17,
+                boxShadow: "0 1.5px 8px #607d8b22",
+                cursor: "pointer",
+              }}
+              onClick={() => folderInputRef.current && folderInputRef.current.click()}
+            >
+              Add Folder
+            </button>
             <input
               ref={inputRef}
               type="file"
-              accept="image/*"
+              accept={ACCEPT}
               multiple
               style={{ display: "none" }}
-              onChange={(e) => handleFiles(e.target.files)}
+              onChange={(e) => handleFiles(fromFileList(e.target.files))}
             />
           </div>
+          {exportError && <div style={{ color: "red", marginBottom: 10 }}>{exportError}</div>}
+          {notice && <div style={{ color: "#607d8b", marginBottom: 10 }}>{notice}</div>}
           {processing && (
             <div
               style={{
                 color: "#1976d2",
                 fontWeight: 600,
-                fontSize: 18,
-                margin: "36px 0 10px 0",
+                fontSize: 15,
+                margin: "20px 0 10px 0",
               }}
             >
-              Processing images...
+              {images.filter((img) => img.status === "done").length} of{" "}
+              {images.length} images processed
+            </div>
+          )}
+          {preset.sizing === "optimize" && <SavingsReport rows={savings} />}
+          {heldBytes > 0 && (
+            <div style={{ color: "#90a4ae", fontSize: 12, marginBottom: 10 }}>
+              Previews and results in memory: {formatBytes(heldBytes)}. Removing cards or
+              starting a new batch frees them; they stay in history.
             </div>
           )}
           <div style={{ display: "flex", flexWrap: "wrap", gap: 24 }}>
-            {images.map((img, idx) => (
+            {images.map((img, index) => (
               <div
                 key={img.id}
                 style={{
@@ -380,24 +1162,134 @@ export default function ImageUpscaler() {
                   position: "relative",
                 }}
               >
-                {img.error ? (
-                  <div style={{ color: "red" }}>{img.error}</div>
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "flex-end",
+                    gap: 4,
+                    margin: "-8px -8px 6px 0",
+                  }}
+                >
+                  <button
+                    style={cardButtonStyle}
+                    title="Move earlier"
+                    disabled={index === 0}
+                    onClick={() => handleMoveImage(index, -1)}
+                  >
+                    ◀
+                  </button>
+                  <button
+                    style={cardButtonStyle}
+                    title="Move later"
+                    disabled={index === images.length - 1}
+                    onClick={() => handleMoveImage(index, 1)}
+                  >
+                    ▶
+                  </button>
+                  <button
+                    style={cardButtonStyle}
+                    title="Remove from batch"
+                    onClick={() => handleRemoveImage(img)}
+                  >
+                    ✕
+                  </button>
+                </div>
+                {editing && editing.id === img.id ? (
+                  <ImageEditor
+                    file={img.file}
+                    edits={editing.edits}
+                    onChange={(edits) => setEditing({ id: img.id, edits })}
+                    onApply={handleApplyEdits}
+                    onApplyToAll={handleApplyEditsToAll}
+                    onCancel={() => setEditing(null)}
+                    getOutputSize={(w, h) => getTargetSize(w, h, preset)}
+                  />
+                ) : needsDecoding(img.file) ? (
+                  // No preview until the file has been converted.
+                  <div
+                    style={{
+                      margin: "0 0 12px 0",
+                      fontSize: 14,
+                      color: "#37474f",
+                      overflowWrap: "anywhere",
+                    }}
+                  >
+                    {img.fileName}
+                  </div>
+                ) : hasWatermark(preset.watermark) ? (
+                  <WatermarkPreview file={img.file} edits={img.edits} preset={preset} />
                 ) : (
+                  <img
+                    src={img.src}
+                    alt="preview"
+                    style={{
+                      maxWidth: 220,
+                      maxHeight: 170,
+                      display: "block",
+                      margin: "0 auto 12px auto",
+                      border: "1.5px solid #cfd8dc",
+                      background: "#f8f8f8",
+                      borderRadius: 5,
+                      boxShadow: "0 1px 4px #1976d211",
+                    }}
+                  />
+                )}
+                {!editing &&
+                  img.status !== "queued" &&
+                  img.status !== "processing" &&
+                  !needsDecoding(img.file) && (
+                  <button
+                    style={{
+                      display: "block",
+                      margin: "0 auto 10px auto",
+                      padding: "4px 12px",
+                      background: "#eceff1",
+                      color: "#37474f",
+                      border: "1px solid #cfd8dc",
+                      borderRadius: 5,
+                      fontSize: 13,
+                      fontWeight: 600,
+                      cursor: "pointer",
+                    }}
+                    onClick={() => setEditing({ id: img.id, edits: img.edits })}
+                  >
+                    {hasEdits(img.edits) ? "Edit crop / rotate (edited)" : "Crop / rotate"}
+                  </button>
+                )}
+                {hasEnhancements(options.enhance) && !(editing && editing.id === img.id) && (
+                  <EnhancePreview file={img.file} enhance={options.enhance} />
+                )}
+                {img.quality && <QualityBadge quality={img.quality} />}
+                {img.metadata && img.metadata.length > 0 && (
+                  <MetadataList fields={img.metadata} />
+                )}
+                {(img.status === "queued" || img.status === "processing") && (
+                  <ProgressBar
+                    progress={img.progress}
+                    label={
+                      img.status === "queued"
+                        ? "Waiting..."
+                        : img.stage === "decoding"
+                          ? "Decoding..."
+                          : img.stage === "uploading"
+                            ? "Upscaling on the server..."
+                            : "Processing..."
+                    }
+                  />
+                )}
+                {img.status === "error" && (
+                  <div style={{ color: "red", fontSize: 14, margin: "6px 0 10px 0" }}>
+                    {img.error || "Failed to load image."}
+                    <button
+                      style={{ ...cardButtonStyle, display: "block", marginTop: 6 }}
+                      onClick={() => runJob(img.id, img.file, { ...jobOptions, edits: img.edits })}
+                    >
+                      Retry
+                    </button>
+                  </div>
+                )}
+                {img.width && (
                   <>
-                    <img
-                      src={img.src}
-                      alt="preview"
-                      style={{
-                        maxWidth: 220,
-                        maxHeight: 170,
-                        display: "block",
-                        margin: "0 auto 12px auto",
-                        border: "1.5px solid #cfd8dc",
-                        background: "#f8f8f8",
-                        borderRadius: 5,
-                        boxShadow: "0 1px 4px #1976d211",
-                      }}
-                    />
                     <div
                       style={{
                         marginBottom: 4,
@@ -416,33 +1308,99 @@ export default function ImageUpscaler() {
                     >
                       <b>New Resolution:</b> {img.newWidth} × {img.newHeight}
                     </div>
-                    {converted[img.id] && (
-                        <a
-                            href={converted[img.id].src}
-                            download={converted[img.id].name}
-                            style={{
-                                display: 'block',
-                                textAlign: 'center',
-                                marginTop: 10,
-                                padding: '8px 16px',
-                                background: '#388e3c',
-                                color: '#fff',
-                                textDecoration: 'none',
-                                borderRadius: 5,
-                                fontWeight: 500,
-                                fontSize: 15,
-                            }}
-                        >
-                            Download {converted[img.id].name}
-                        </a>
-                    )}
                   </>
                 )}
+                {img.status === "skipped" && (
+                  <button
+                    style={{
+                      display: "block",
+                      width: "100%",
+                      marginTop: 10,
+                      padding: "8px 16px",
+                      background: "#607d8b",
+                      color: "#fff",
+                      border: "none",
+                      borderRadius: 5,
+                      fontWeight: 500,
+                      fontSize: 15,
+                      cursor: "pointer",
+                    }}
+                    onClick={() =>
+                      runJob(img.id, img.file, {
+                        ...jobOptions,
+                        edits: img.edits,
+                        skipGood: false,
+                      })
+                    }
+                  >
+                    Already good · Upscale anyway
+                  </button>
+                )}
+                {converted[img.id] && (
+                  <div style={{ fontSize: 13, color: "#607d8b" }}>
+                    {formatBytes(converted[img.id].blob.size)}
+                    {converted[img.id].fitsBudget === false && (
+                      <span style={{ color: "#d32f2f" }}>
+                        {" "}· couldn't reach the target size
+                      </span>
+                    )}
+                  </div>
+                )}
+                {converted[img.id] && (
+                  <button
+                    style={{
+                      display: "block",
+                      width: "100%",
+                      marginTop: 10,
+                      padding: "8px 16px",
+                      background: "#1976d2",
+                      color: "#fff",
+                      border: "none",
+                      borderRadius: 5,
+                      fontWeight: 500,
+                      fontSize: 15,
+                      cursor: "pointer",
+                    }}
+                    onClick={() =>
+                      setCompareIndex(compareItems.findIndex((item) => item.id === img.id))
+                    }
+                  >
+                    Compare before / after
+                  </button>
+                )}
+                {converted[img.id] && (
+                    <a
+                        href={converted[img.id].src}
+                        download={converted[img.id].name}
+                        style={{
+                            display: 'block',
+                            textAlign: 'center',
+                            marginTop: 10,
+                            padding: '8px 16px',
+                            background: '#388e3c',
+                            color: '#fff',
+                            textDecoration: 'none',
+                            borderRadius: 5,
+                            fontWeight: 500,
+                            fontSize: 15,
+                        }}
+                    >
+                        Download {converted[img.id].name}
+                    </a>
+                )}
               </div>
             ))}
           </div>
         </>
       )}
+      {compareIndex !== null && compareItems.length > 0 && (
+        <ComparisonViewer
+          items={compareItems}
+          index={Math.min(compareIndex, compareItems.length - 1)}
+          onIndexChange={setCompareIndex}
+          onClose={() => setCompareIndex(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,107 @@
+import React from 'react';
+import { AlertCircle, Film, Loader2, Music, Settings2 } from 'lucide-react';
+import { formatDuration } from '../utils/mediaMetadata';
+import { formatBytes } from '../utils/format';
+
+function FormatButton({ format, selected, onSelect }) {
+  return (
+    <button
+      type="button"
+      title={format.ext.toUpperCase()}
+      onClick={() => onSelect(format.id)}
+      className={`px-3 py-1.5 text-xs font-bold rounded-lg transition-all flex flex-col items-center leading-tight ${
+        selected
+          ? 'bg-indigo-600 text-white shadow-md'
+          : 'bg-white text-slate-600 border border-slate-200 hover:bg-slate-200'
+      }`}
+    >
+      <span>{format.label}</span>
+      {format.bytes > 0 && (
+        <span className={`font-medium ${selected ? 'text-indigo-100' : 'text-slate-400'}`}>
+          ~{formatBytes(format.bytes)}
+        </span>
+      )}
+    </button>
+  );
+}
+
+// What the first pasted link points to, from the metadata provider, with
+// its video and audio formats to choose from. `preview` is
+// `{ state: idle | loading | ready | error, ...metadata }`.
+export default function LinkPreview({ preview, selected, onSelect, linkCount }) {
+  if (preview.state === 'idle') {
+    return (
+      <div className="flex items-center gap-2 bg-slate-50 p-4 rounded-xl border border-slate-200 text-sm text-slate-400">
+        <Settings2 className="w-4 h-4" /> Paste a link to see what it is and the formats it comes in.
+      </div>
+    );
+  }
+  if (preview.state === 'loading') {
+    return (
+      <div className="flex items-center gap-2 bg-slate-50 p-4 rounded-xl border border-slate-200 text-sm text-slate-400">
+        <Loader2 className="w-4 h-4 animate-spin" /> Looking up the link...
+      </div>
+    );
+  }
+  if (preview.state === 'error') {
+    return (
+      <div className="flex items-center gap-2 bg-rose-50 p-4 rounded-xl border border-rose-100 text-sm text-rose-600">
+        <AlertCircle className="w-4 h-4" /> {preview.message}
+      </div>
+    );
+  }
+
+  const video = preview.formats.filter((f) => f.kind === 'video');
+  const audio = preview.formats.filter((f) => f.kind === 'audio');
+  return (
+    <div className="flex flex-col md:flex-row gap-4 bg-slate-50 p-4 rounded-xl border border-slate-200">
+      {preview.thumbnail && (
+        <div className="relative shrink-0 md:w-56">
+          <img
+            src={preview.thumbnail}
+            alt=""
+            className="w-full aspect-video object-cover rounded-lg bg-slate-200"
+          />
+          {preview.duration > 0 && (
+            <span className="absolute bottom-1.5 right-1.5 bg-slate-900/80 text-white text-xs font-semibold px-1.5 py-0.5 rounded">
+              {formatDuration(preview.duration)}
+            </span>
+          )}
+        </div>
+      )}
+      <div className="min-w-0 flex-1 space-y-3">
+        <div>
+          <p className="font-bold text-slate-800 leading-snug">{preview.title}</p>
+          <p className="text-xs text-slate-500 mt-1">
+            {[preview.uploader, preview.platform, preview.kind].filter(Boolean).join(' · ')}
+          </p>
+        </div>
+        {video.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-xs font-semibold text-slate-500 flex items-center gap-1 w-16">
+              <Film className="w-4 h-4" /> Video
+            </span>
+            {video.map((f) => (
+              <FormatButton key={f.id} format={f} selected={selected === f.id} onSelect={onSelect} />
+            ))}
+          </div>
+        )}
+        {audio.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-xs font-semibold text-slate-500 flex items-center gap-1 w-16">
+              <Music className="w-4 h-4" /> Audio
+            </span>
+            {audio.map((f) => (
+              <FormatButton key={f.id} format={f} selected={selected === f.id} onSelect={onSelect} />
+            ))}
+          </div>
+        )}
+        {linkCount > 1 && (
+          <p className="text-xs text-slate-400">
+            Applies to all {linkCount} links; the others get the closest format they have.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
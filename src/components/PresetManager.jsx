@@ -0,0 +1,368 @@
+import React, { useRef, useState } from "react";
+import {
+  BUILT_IN_PRESETS,
+  FIT_MODES,
+  SIZING_MODES,
+  createPresetId,
+  exportPresets,
+  importPresets,
+  normalizePreset,
+  presetToSearchParams,
+} from "../utils/presets";
+import { OUTPUT_FORMATS } from "../utils/formats";
+import { JPEG_CHROMA } from "../utils/jpegEncoder";
+import { METADATA_FORMATS, METADATA_MODES } from "../utils/metadata";
+import WatermarkSettings from "./WatermarkSettings";
+
+const smallButtonStyle = {
+  padding: "5px 12px",
+  background: "#eceff1",
+  color: "#37474f",
+  border: "1px solid #cfd8dc",
+  borderRadius: 5,
+  fontSize: 13,
+  fontWeight: 600,
+  cursor: "pointer",
+};
+
+const fieldStyle = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 3,
+  fontSize: 12,
+  color: "#607d8b",
+  textAlign: "left",
+};
+
+function NumberField({ label, value, onChange, step = 1 }) {
+  return (
+    <label style={fieldStyle}>
+      {label}
+      <input
+        type="number"
+        min={0}
+        step={step}
+        value={value ?? ""}
+        onChange={(e) => onChange(e.target.value === "" ? null : Number(e.target.value))}
+        style={{ width: 90 }}
+      />
+    </label>
+  );
+}
+
+export default function PresetManager({
+  presets,
+  selectedId,
+  onSelect,
+  onChange,
+  supportedFormats,
+  disabled,
+}) {
+  const [editing, setEditing] = useState(false);
+  const [importError, setImportError] = useState("");
+  const [linkCopied, setLinkCopied] = useState(false);
+  const importRef = useRef();
+  const selected = presets.find((p) => p.id === selectedId) || presets[0];
+
+  const updateSelected = (patch) => {
+    const next = normalizePreset({ ...selected, ...patch });
+    onChange(presets.map((p) => (p.id === selected.id ? next : p)));
+  };
+
+  const handleDuplicate = () => {
+    const name = `${selected.name} copy`;
+    const copy = { ...selected, id: createPresetId(name, presets), name };
+    onChange([...presets, copy]);
+    onSelect(copy.id);
+    setEditing(true);
+  };
+
+  const handleDelete = () => {
+    const remaining = presets.filter((p) => p.id !== selected.id);
+    onChange(remaining);
+    onSelect(remaining[0].id);
+  };
+
+  const handleReset = () => {
+    onChange(BUILT_IN_PRESETS);
+    onSelect(BUILT_IN_PRESETS[0].id);
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportPresets(presets)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "hdimages-presets.json";
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  // Built-in presets link by id; custom ones carry their settings so the
+  // link works in someone else's browser too.
+  const handleCopyLink = async () => {
+    const url = `${window.location.origin}/upscaler?${presetToSearchParams(selected)}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 1500);
+    } catch {
+      window.prompt("Copy this link:", url);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onChange(importPresets(await file.text(), presets));
+      setImportError("");
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ margin: "10px 0", fontSize: 14, color: "#37474f" }}>
+      <div
+        style={{
+          display: "flex",
+          gap: 8,
+          justifyContent: "center",
+          alignItems: "center",
+          flexWrap: "wrap",
+        }}
+      >
+        <label>
+          <b>Preset:</b>{" "}
+          <select
+            value={selected.id}
+            disabled={disabled}
+            onChange={(e) => onSelect(e.target.value)}
+          >
+            {presets.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button style={smallButtonStyle} disabled={disabled} onClick={() => setEditing(!editing)}>
+          {editing ? "Done" : "Edit"}
+        </button>
+        <button style={smallButtonStyle} disabled={disabled} onClick={handleDuplicate}>
+          Duplicate
+        </button>
+        <button
+          style={smallButtonStyle}
+          disabled={disabled || presets.length < 2}
+          onClick={handleDelete}
+        >
+          Delete
+        </button>
+        <button style={smallButtonStyle} onClick={handleExport}>
+          Export
+        </button>
+        <button style={smallButtonStyle} onClick={handleCopyLink}>
+          {linkCopied ? "Link copied" : "Copy link"}
+        </button>
+        <button
+          style={smallButtonStyle}
+          disabled={disabled}
+          onClick={() => importRef.current && importRef.current.click()}
+        >
+          Import
+        </button>
+        <input
+          ref={importRef}
+          type="file"
+          accept="application/json,.json"
+          style={{ display: "none" }}
+          onChange={handleImport}
+        />
+      </div>
+      {importError && (
+        <div style={{ color: "red", fontSize: 13, marginTop: 6 }}>{importError}</div>
+      )}
+      {editing && (
+        <div
+          style={{
+            display: "flex",
+            gap: 12,
+            flexWrap: "wrap",
+            justifyContent: "center",
+            alignItems: "flex-end",
+            marginTop: 10,
+            padding: 12,
+            background: "#f5f7f8",
+            borderRadius: 8,
+          }}
+        >
+          <label style={fieldStyle}>
+            Name
+            <input
+              value={selected.name}
+              onChange={(e) => e.target.value.trim() && updateSelected({ name: e.target.value })}
+            />
+          </label>
+          <label style={fieldStyle}>
+            Sizing
+            <select
+              value={selected.sizing}
+              onChange={(e) => updateSelected({ sizing: e.target.value })}
+            >
+              {Object.entries(SIZING_MODES).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {selected.sizing === "scale" ? (
+            <NumberField
+              label="Scale ×"
+              step={0.5}
+              value={selected.scale}
+              onChange={(scale) => updateSelected({ scale })}
+            />
+          ) : (
+            <>
+              <NumberField
+                label={selected.sizing === "optimize" ? "Max width (px)" : "Width (px)"}
+                value={selected.width}
+                onChange={(width) => updateSelected({ width })}
+              />
+              <NumberField
+                label={selected.sizing === "optimize" ? "Max height (px)" : "Height (px)"}
+                value={selected.height}
+                onChange={(height) => updateSelected({ height })}
+              />
+            </>
+          )}
+          {selected.sizing === "minimum" && (
+            <>
+              <NumberField
+                label="Min side (px)"
+                value={selected.minSide}
+                onChange={(minSide) => updateSelected({ minSide })}
+              />
+              <NumberField
+                label="Min megapixels"
+                step={0.5}
+                value={selected.minMP}
+                onChange={(minMP) => updateSelected({ minMP })}
+              />
+            </>
+          )}
+          {selected.sizing === "exact" && (
+            <label style={fieldStyle}>
+              Fit
+              <select
+                value={selected.fit}
+                onChange={(e) => updateSelected({ fit: e.target.value })}
+              >
+                {Object.entries(FIT_MODES).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          {(selected.sizing === "exact" || selected.sizing === "optimize") && (
+            <label style={{ ...fieldStyle, flexDirection: "row", alignItems: "center" }}>
+              <input
+                type="checkbox"
+                checked={selected.matchOrientation}
+                onChange={(e) => updateSelected({ matchOrientation: e.target.checked })}
+              />
+              Follow photo orientation
+            </label>
+          )}
+          <label style={fieldStyle}>
+            Format
+            <select
+              value={selected.format}
+              onChange={(e) => updateSelected({ format: e.target.value })}
+            >
+              {supportedFormats.map((type) => (
+                <option key={type} value={type}>
+                  {OUTPUT_FORMATS[type].label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <NumberField
+            label="Quality (0-1)"
+            step={0.05}
+            value={selected.quality}
+            onChange={(quality) => updateSelected({ quality })}
+          />
+          <NumberField
+            label="Max bytes (optional)"
+            step={50000}
+            value={selected.maxBytes}
+            onChange={(maxBytes) => updateSelected({ maxBytes })}
+          />
+          {METADATA_FORMATS.includes(selected.format) && (
+            <NumberField
+              label="Print DPI (optional)"
+              step={50}
+              value={selected.dpi}
+              onChange={(dpi) => updateSelected({ dpi })}
+            />
+          )}
+          {selected.format === "image/jpeg" && (
+            <>
+              <label style={fieldStyle}>
+                Chroma subsampling
+                <select
+                  value={selected.chroma || ""}
+                  onChange={(e) => updateSelected({ chroma: e.target.value || null })}
+                >
+                  <option value="">Browser default</option>
+                  {Object.entries(JPEG_CHROMA).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label style={{ ...fieldStyle, flexDirection: "row", alignItems: "center" }}>
+                <input
+                  type="checkbox"
+                  checked={selected.progressive}
+                  onChange={(e) => updateSelected({ progressive: e.target.checked })}
+                />
+                Progressive JPEG
+              </label>
+            </>
+          )}
+          <label style={fieldStyle}>
+            Metadata
+            <select
+              value={selected.metadata || "keep"}
+              onChange={(e) => updateSelected({ metadata: e.target.value === "keep" ? null : e.target.value })}
+            >
+              {Object.entries(METADATA_MODES).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <WatermarkSettings
+            watermark={selected.watermark}
+            onChange={(watermark) => updateSelected({ watermark })}
+          />
+          <button style={smallButtonStyle} onClick={handleReset}>
+            Reset all to defaults
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
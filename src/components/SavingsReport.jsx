@@ -0,0 +1,74 @@
+import React from "react";
+import { formatBytes } from "../utils/format";
+
+function Saving({ before, after }) {
+  const change = Math.round((1 - after / before) * 100);
+  if (change === 0) return <span>0%</span>;
+  if (change > 0) return <span style={{ color: "#388e3c" }}>−{change}%</span>;
+  return <span style={{ color: "#d32f2f" }}>+{-change}%</span>;
+}
+
+const cellStyle = { padding: "4px 8px", borderBottom: "1px solid #e0e4e7", textAlign: "right" };
+const nameStyle = { ...cellStyle, textAlign: "left", overflowWrap: "anywhere" };
+
+// Before/after sizes for a send-safe batch, one row per finished image as
+// `{ id, name, bytesIn, bytesOut, width, height, newWidth, newHeight,
+// fitsBudget }`.
+export default function SavingsReport({ rows }) {
+  if (rows.length === 0) return null;
+  const totalIn = rows.reduce((sum, row) => sum + row.bytesIn, 0);
+  const totalOut = rows.reduce((sum, row) => sum + row.bytesOut, 0);
+
+  return (
+    <div
+      style={{
+        margin: "0 0 20px 0",
+        padding: 12,
+        background: "#f5f7f8",
+        borderRadius: 8,
+        fontSize: 13,
+        color: "#37474f",
+      }}
+    >
+      <div style={{ fontWeight: 600, marginBottom: 6, textAlign: "left" }}>
+        Savings: {formatBytes(totalIn)} → {formatBytes(totalOut)} (
+        <Saving before={totalIn} after={totalOut} />)
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ color: "#607d8b" }}>
+            <th style={nameStyle}>File</th>
+            <th style={cellStyle}>Resolution</th>
+            <th style={cellStyle}>Before</th>
+            <th style={cellStyle}>After</th>
+            <th style={cellStyle}>Saved</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.id}>
+              <td style={nameStyle}>{row.name}</td>
+              <td style={cellStyle}>
+                {row.width} × {row.height}
+                {row.newWidth !== row.width && ` → ${row.newWidth} × ${row.newHeight}`}
+              </td>
+              <td style={cellStyle}>{formatBytes(row.bytesIn)}</td>
+              <td style={cellStyle}>
+                {formatBytes(row.bytesOut)}
+                {row.fitsBudget === false && (
+                  <span style={{ color: "#d32f2f" }} title="Over the preset's size limit">
+                    {" "}
+                    ⚠
+                  </span>
+                )}
+              </td>
+              <td style={cellStyle}>
+                <Saving before={row.bytesIn} after={row.bytesOut} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import React, { useEffect, useRef, useState } from "react";
+import { applyEdits, hasEdits } from "../utils/edits";
+import { getTargetSize } from "../utils/presets";
+import { drawWatermark, loadWatermarkLogo } from "../utils/watermark";
+
+const PREVIEW_WIDTH = 220;
+const PREVIEW_HEIGHT = 170;
+
+// The card image as it will be exported: edited, cropped to the preset's
+// output and with its watermark drawn to scale. Stands in for the plain
+// thumbnail while the preset has a watermark.
+export default function WatermarkPreview({ file, edits, preset }) {
+  const [source, setSource] = useState(null);
+  const [logo, setLogo] = useState(null);
+  const canvasRef = useRef();
+  const { watermark } = preset;
+
+  // Decode a small copy once per file; edits are cheap to redo at that size.
+  useEffect(() => {
+    let cancelled = false;
+    let bitmap;
+    createImageBitmap(file, { imageOrientation: "from-image" })
+      .then((full) => {
+        const scale = Math.min(1, (PREVIEW_WIDTH * 2) / Math.max(full.width, full.height));
+        return createImageBitmap(full, {
+          resizeWidth: Math.max(1, Math.round(full.width * scale)),
+          resizeHeight: Math.max(1, Math.round(full.height * scale)),
+          resizeQuality: "high",
+        }).then((small) => {
+          full.close();
+          return { small, scale };
+        });
+      })
+      .then(({ small, scale }) => {
+        bitmap = small;
+        if (cancelled) small.close();
+        else setSource({ bitmap: small, scale });
+      })
+      .catch(() => {
+        if (!cancelled) setSource(null);
+      });
+    return () => {
+      cancelled = true;
+      if (bitmap) bitmap.close();
+    };
+  }, [file]);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (watermark.type !== "logo") {
+      setLogo(null);
+      return undefined;
+    }
+    loadWatermarkLogo(watermark.logo)
+      .then((bitmap) => {
+        if (!cancelled) setLogo(bitmap);
+      })
+      .catch(() => {
+        if (!cancelled) setLogo(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [watermark.type, watermark.logo]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!source || !canvas) return;
+    const { bitmap, scale } = source;
+    const edited = hasEdits(edits) ? applyEdits(bitmap, edits) : bitmap;
+    // Size from the full-resolution dimensions, so crops and orientation
+    // match the export, then draw the (small) crop into the preview box.
+    const target = getTargetSize(edited.width / scale, edited.height / scale, preset);
+    const fit = Math.min(PREVIEW_WIDTH / target.width, PREVIEW_HEIGHT / target.height);
+    const width = Math.max(1, Math.round(target.width * fit));
+    const height = Math.max(1, Math.round(target.height * fit));
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingQuality = "high";
+    const { crop } = target;
+    ctx.drawImage(
+      edited,
+      crop.x * scale,
+      crop.y * scale,
+      crop.width * scale,
+      crop.height * scale,
+      0,
+      0,
+      width,
+      height
+    );
+    drawWatermark(ctx, width, height, watermark, logo);
+  }, [source, edits, preset, watermark, logo]);
+
+  if (!source) return null;
+
+  return (
+    <canvas
+      ref={canvasRef}
+      title="Preview with watermark"
+      style={{
+        display: "block",
+        margin: "0 auto 12px auto",
+        border: "1.5px solid #cfd8dc",
+        background: "#f8f8f8",
+        borderRadius: 5,
+        boxShadow: "0 1px 4px #1976d211",
+      }}
+    />
+  );
+}
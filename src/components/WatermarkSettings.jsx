@@ -0,0 +1,183 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_WATERMARK,
+  MAX_LOGO_BYTES,
+  WATERMARK_FONTS,
+  WATERMARK_POSITIONS,
+} from "../utils/watermark";
+
+const fieldStyle = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 3,
+  fontSize: 12,
+  color: "#607d8b",
+  textAlign: "left",
+};
+
+const checkboxStyle = { ...fieldStyle, flexDirection: "row", alignItems: "center" };
+
+function readDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Percent slider for a 0-1 setting.
+function PercentField({ label, value, min, max, step = 1, onChange }) {
+  return (
+    <label style={fieldStyle}>
+      {label}: {Math.round(value * 100)}%
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={Math.round(value * 100)}
+        onChange={(e) => onChange(Number(e.target.value) / 100)}
+        style={{ width: 110 }}
+      />
+    </label>
+  );
+}
+
+// The watermark part of the preset editor. `watermark` is null for none.
+export default function WatermarkSettings({ watermark, onChange }) {
+  const [logoError, setLogoError] = useState("");
+  const update = (patch) => onChange({ ...watermark, ...patch });
+
+  const handleType = (type) => {
+    if (type === "none") onChange(null);
+    else onChange({ ...(watermark || DEFAULT_WATERMARK), type, size: type === "logo" ? 0.15 : 0.05 });
+  };
+
+  const handleLogo = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    if (file.type !== "image/png") {
+      setLogoError("Logos must be PNG files.");
+      return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      setLogoError(`Logos are limited to ${MAX_LOGO_BYTES / 1024} KB.`);
+      return;
+    }
+    setLogoError("");
+    update({ logo: await readDataUrl(file) });
+  };
+
+  return (
+    <div
+      style={{
+        flexBasis: "100%",
+        display: "flex",
+        gap: 12,
+        flexWrap: "wrap",
+        justifyContent: "center",
+        alignItems: "flex-end",
+        paddingTop: 10,
+        borderTop: "1px solid #e0e4e7",
+      }}
+    >
+      <label style={fieldStyle}>
+        Watermark
+        <select value={watermark ? watermark.type : "none"} onChange={(e) => handleType(e.target.value)}>
+          <option value="none">None</option>
+          <option value="text">Text</option>
+          <option value="logo">PNG logo</option>
+        </select>
+      </label>
+      {watermark && watermark.type === "text" && (
+        <>
+          <label style={fieldStyle}>
+            Text
+            <input value={watermark.text} onChange={(e) => update({ text: e.target.value })} />
+          </label>
+          <label style={fieldStyle}>
+            Font
+            <select value={watermark.font} onChange={(e) => update({ font: e.target.value })}>
+              {Object.entries(WATERMARK_FONTS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={fieldStyle}>
+            Colour
+            <input type="color" value={watermark.color} onChange={(e) => update({ color: e.target.value })} />
+          </label>
+          <label style={checkboxStyle}>
+            <input type="checkbox" checked={watermark.bold} onChange={(e) => update({ bold: e.target.checked })} />
+            Bold
+          </label>
+        </>
+      )}
+      {watermark && watermark.type === "logo" && (
+        <label style={fieldStyle}>
+          {watermark.logo ? (
+            <img src={watermark.logo} alt="Logo" style={{ maxWidth: 90, maxHeight: 40, background: "#cfd8dc" }} />
+          ) : (
+            "No logo yet"
+          )}
+          <input type="file" accept="image/png" onChange={handleLogo} style={{ width: 190 }} />
+          {logoError && <span style={{ color: "red" }}>{logoError}</span>}
+        </label>
+      )}
+      {watermark && (
+        <>
+          <label style={fieldStyle}>
+            Placement
+            <select value={watermark.position} onChange={(e) => update({ position: e.target.value })}>
+              {Object.entries(WATERMARK_POSITIONS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <PercentField
+            label="Size"
+            value={watermark.size}
+            min={1}
+            max={watermark.type === "logo" ? 60 : 25}
+            onChange={(size) => update({ size })}
+          />
+          <PercentField
+            label="Opacity"
+            value={watermark.opacity}
+            min={5}
+            max={100}
+            step={5}
+            onChange={(opacity) => update({ opacity })}
+          />
+          {watermark.position !== "tiled" && (
+            <PercentField
+              label="Margin"
+              value={watermark.margin}
+              min={0}
+              max={15}
+              onChange={(margin) => update({ margin })}
+            />
+          )}
+          <label style={checkboxStyle}>
+            <input
+              type="checkbox"
+              checked={watermark.shadow}
+              onChange={(e) => update({ shadow: e.target.checked })}
+            />
+            Shadow
+          </label>
+        </>
+      )}
+      <div style={{ flexBasis: "100%", fontSize: 11, color: "#90a4ae" }}>
+        Size and margin are relative to the shorter side of each output. Watermarked images are
+        always processed, even when they're already good, and stay on this device.
+      </div>
+    </div>
+  );
+}
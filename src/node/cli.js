@@ -0,0 +1,273 @@
+// `hdimages`: the upscaler's batch transformation for folders of images.
+//
+//   hdimages in/ -o out/ --preset whatsapp-hd --format jpeg --jobs 4
+//
+// Uses the same presets, sizing, quality checks and resampling as the web
+// app, with pure-JS codecs: it reads JPEG and PNG and writes those or WebP.
+import { readFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { BUILT_IN_PRESETS, importPresets } from "../utils/presets.js";
+import { METADATA_MODES } from "../utils/metadata.js";
+import { UPSCALE_ENGINES } from "../utils/resample.js";
+import { hasWatermark } from "../utils/watermark.js";
+import { DEFAULT_OPTIONS, getEncoderSettings, getHdFileName } from "../utils/upscale.js";
+import { uniqueName } from "../utils/zip.js";
+import { formatBytes } from "../utils/format.js";
+import { CODEC_TYPES } from "./codec.js";
+import { findInputs } from "./files.js";
+import { createThreadPool } from "./threadPool.js";
+import { inspectImage } from "./upscale.js";
+
+const MAX_PIXELS = 100_000_000;
+
+const USAGE = `Usage: hdimages <files, folders or globs...> -o <folder> [options]
+
+Options:
+  -o, --out <folder>      Where to write the results (folder structure is kept)
+  -p, --preset <id>       Preset id (default: whatsapp-hd); built-ins: ${BUILT_IN_PRESETS.map((p) => p.id).join(", ")}
+      --presets <file>    Also load presets from a file exported by the web app
+  -f, --format <type>     Output format: jpeg, png or webp (default: the preset's)
+  -e, --engine <name>     Resampling: ${Object.keys(UPSCALE_ENGINES).join(", ")} (default: ${DEFAULT_OPTIONS.engine})
+      --sharpen <amount>  Sharpening, 0-2 (default: ${DEFAULT_OPTIONS.sharpen})
+      --metadata <mode>   ${Object.keys(METADATA_MODES).join(", ")} (default: the preset's, else keep)
+      --no-skip-good      Process images that are already good quality too
+  -j, --jobs <n>          Images processed in parallel (default: CPU cores - 1, max 4)
+  -n, --dry-run           Only report old → new sizes; write nothing
+      --json              Print a JSON summary on stdout (progress goes to stderr)
+  -h, --help              Show this help`;
+
+class UsageError extends Error {}
+
+const FORMAT_ALIASES = { jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", webp: "image/webp", avif: "image/avif" };
+
+function readFormat(value) {
+  if (!value) return null;
+  const type = FORMAT_ALIASES[value.toLowerCase()] || value;
+  if (!CODEC_TYPES.includes(type)) {
+    throw new UsageError(
+      `--format ${value}: the command line can only write jpeg, png or webp (${value} needs a browser encoder).`
+    );
+  }
+  return type;
+}
+
+function readNumber(value, name, min, max) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) {
+    throw new UsageError(`${name} must be a number from ${min} to ${max}.`);
+  }
+  return n;
+}
+
+function readChoice(value, name, choices) {
+  if (!choices.includes(value)) throw new UsageError(`${name} must be one of: ${choices.join(", ")}.`);
+  return value;
+}
+
+async function readOptions(values) {
+  let presets = BUILT_IN_PRESETS;
+  if (values.presets) {
+    try {
+      presets = importPresets(await readFile(values.presets, "utf8"), presets);
+    } catch (err) {
+      throw new UsageError(`--presets ${values.presets}: ${err.message}`);
+    }
+  }
+  const preset = presets.find((p) => p.id === (values.preset || "whatsapp-hd"));
+  if (!preset) {
+    throw new UsageError(`Unknown preset "${values.preset}". Available: ${presets.map((p) => p.id).join(", ")}.`);
+  }
+  const options = {
+    ...DEFAULT_OPTIONS,
+    preset,
+    format: readFormat(values.format),
+    engine: values.engine ? readChoice(values.engine, "--engine", Object.keys(UPSCALE_ENGINES)) : DEFAULT_OPTIONS.engine,
+    sharpen: values.sharpen != null ? readNumber(values.sharpen, "--sharpen", 0, 2) : DEFAULT_OPTIONS.sharpen,
+    skipGood: !values["no-skip-good"],
+    metadata: values.metadata
+      ? readChoice(values.metadata, "--metadata", Object.keys(METADATA_MODES))
+      : null,
+  };
+  if (hasWatermark(preset.watermark)) {
+    throw new UsageError(`Preset "${preset.id}" has a watermark, which needs the web app's canvas.`);
+  }
+  if (!CODEC_TYPES.includes(getEncoderSettings(options).format)) {
+    throw new UsageError(`Preset "${preset.id}" writes ${preset.format}; pick --format jpeg, png or webp.`);
+  }
+  return options;
+}
+
+function formatSize(width, height) {
+  return `${width}×${height}`;
+}
+
+// "4.1 MB → 912 KB (−78%)"
+function describeSavings(bytesIn, bytesOut) {
+  const change = Math.round((bytesOut / bytesIn - 1) * 100);
+  const sign = change > 0 ? "+" : change < 0 ? "−" : "";
+  return `${formatBytes(bytesIn)} → ${formatBytes(bytesOut)} (${sign}${Math.abs(change)}%)`;
+}
+
+function describe(entry) {
+  if (entry.status === "error") return `${entry.input}: ${entry.error}`;
+  const sizes = `${formatSize(entry.width, entry.height)} → ${formatSize(entry.newWidth, entry.newHeight)}`;
+  if (entry.skipped) return `${entry.input}: ${formatSize(entry.width, entry.height)}, already ${entry.quality}; skipped`;
+  const bytes = entry.bytesOut ? `, ${describeSavings(entry.bytesIn, entry.bytesOut)}` : "";
+  return `${entry.input}: ${sizes} (${entry.quality})${bytes}${entry.output ? ` → ${entry.output}` : ""}`;
+}
+
+// Runs the CLI with `argv` (without node and the script) and resolves with
+// the exit code: 0 when everything worked, 1 if any image failed, 2 for
+// usage errors.
+export async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        out: { type: "string", short: "o" },
+        preset: { type: "string", short: "p" },
+        presets: { type: "string" },
+        format: { type: "string", short: "f" },
+        engine: { type: "string", short: "e" },
+        sharpen: { type: "string" },
+        metadata: { type: "string" },
+        "no-skip-good": { type: "boolean" },
+        jobs: { type: "string", short: "j" },
+        "dry-run": { type: "boolean", short: "n" },
+        json: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (values.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const dryRun = Boolean(values["dry-run"]);
+  const log = (line) => (values.json ? stderr : stdout).write(`${line}\n`);
+  let options;
+  let inputs;
+  let jobs;
+  try {
+    if (positionals.length === 0) throw new UsageError("No inputs given.");
+    if (!values.out && !dryRun) throw new UsageError("Give an output folder with -o, or use --dry-run.");
+    options = await readOptions(values);
+    jobs = values.jobs
+      ? readNumber(values.jobs, "--jobs", 1, 64)
+      : Math.min(4, Math.max(1, os.availableParallelism() - 1));
+    inputs = await findInputs(positionals);
+  } catch (err) {
+    stderr.write(`${err.message}\n${err instanceof UsageError ? `\n${USAGE}\n` : ""}`);
+    return 2;
+  }
+  if (inputs.length === 0) {
+    stderr.write("No JPEG or PNG images found.\n");
+    return 1;
+  }
+
+  // Output names are settled up front so parallel jobs can't collide.
+  const { format } = getEncoderSettings(options);
+  const used = new Set();
+  const tasks = inputs.map(({ file, relative }) => {
+    const dir = path.posix.dirname(relative);
+    const name = getHdFileName(path.posix.basename(relative), format);
+    const outRelative = uniqueName(dir === "." ? name : `${dir}/${name}`, used);
+    return {
+      input: file,
+      output: values.out ? path.join(values.out, ...outRelative.split("/")) : null,
+    };
+  });
+
+  const entries = [];
+  const report = (entry) => {
+    entries.push(entry);
+    log(describe(entry));
+  };
+  const failed = (input, err) => report({ input, status: "error", error: err.message });
+
+  if (dryRun) {
+    for (const task of tasks) {
+      try {
+        const plan = await inspectImage(new Uint8Array(await readFile(task.input)), options);
+        report({
+          input: task.input,
+          output: plan.skipped ? null : task.output,
+          status: plan.skipped ? "skipped" : "planned",
+          ...plan,
+          quality: plan.quality.label,
+        });
+      } catch (err) {
+        failed(task.input, err);
+      }
+    }
+  } else {
+    const pool = createThreadPool(new URL("./cli.worker.js", import.meta.url), jobs);
+    try {
+      await Promise.all(
+        tasks.map((task) =>
+          pool
+            .run({ ...task, options, maxPixels: MAX_PIXELS })
+            .then((result) =>
+              report({
+                input: task.input,
+                output: result.skipped ? null : task.output,
+                status: result.skipped ? "skipped" : "done",
+                width: result.width,
+                height: result.height,
+                newWidth: result.newWidth,
+                newHeight: result.newHeight,
+                quality: result.quality.label,
+                skipped: Boolean(result.skipped),
+                bytesIn: result.bytesIn,
+                bytesOut: result.bytesOut,
+                fitsBudget: result.fitsBudget,
+              })
+            )
+            .catch((err) => failed(task.input, err))
+        )
+      );
+    } finally {
+      pool.terminate();
+    }
+  }
+
+  const count = (status) => entries.filter((e) => e.status === status).length;
+  const written = entries.filter((e) => e.status === "done");
+  const summary = {
+    dryRun,
+    preset: options.preset.id,
+    format,
+    engine: options.engine,
+    total: entries.length,
+    [dryRun ? "planned" : "done"]: count(dryRun ? "planned" : "done"),
+    skipped: count("skipped"),
+    failed: count("error"),
+    ...(dryRun
+      ? {}
+      : {
+          bytesIn: written.reduce((sum, e) => sum + e.bytesIn, 0),
+          bytesOut: written.reduce((sum, e) => sum + e.bytesOut, 0),
+        }),
+    files: entries.sort((a, b) => a.input.localeCompare(b.input)),
+  };
+  if (values.json) {
+    stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+  } else {
+    const verb = options.preset.sizing === "optimize" ? "optimize" : "upscale";
+    log(
+      `${summary.total} images: ${dryRun ? `${summary.planned} to ${verb}` : `${summary.done} ${verb}d`}, ` +
+        `${summary.skipped} skipped, ${summary.failed} failed.` +
+        (written.length > 0 ? ` ${describeSavings(summary.bytesIn, summary.bytesOut)}.` : "")
+    );
+  }
+  return summary.failed > 0 ? 1 : 0;
+}
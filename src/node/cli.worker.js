@@ -0,0 +1,25 @@
+// Upscales one file per task for the CLI and writes the result, so only a
+// small summary travels back to the main thread.
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parentPort } from "node:worker_threads";
+import { upscaleBuffer } from "./upscale.js";
+
+parentPort.on("message", async ({ id, task }) => {
+  try {
+    const bytes = new Uint8Array(await readFile(task.input));
+    const { blob, ...result } = await upscaleBuffer(bytes, path.basename(task.input), task.options, {
+      maxPixels: task.maxPixels,
+    });
+    if (blob) {
+      await mkdir(path.dirname(task.output), { recursive: true });
+      await writeFile(task.output, new Uint8Array(await blob.arrayBuffer()));
+    }
+    parentPort.postMessage({
+      id,
+      result: { ...result, bytesIn: bytes.length, bytesOut: blob ? blob.size : null },
+    });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message, errorName: err.name });
+  }
+});
@@ -0,0 +1,149 @@
+// Pure-JS image codecs for running the upscaler under Node, where there's no
+// canvas. JPEG and PNG are supported in both directions; WebP can be written
+// (see ./webp.js) but not read.
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import { isJpeg } from "../utils/jpeg.js";
+import { isPng, readImageSize } from "../utils/metadata.js";
+
+// Output types.
+export const CODEC_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// The file isn't an image this codec can read, or its pixels are corrupt.
+export class UnreadableImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnreadableImageError";
+  }
+}
+
+// The type the bytes actually are, whatever the file claimed; null if it's
+// neither JPEG nor PNG.
+export function sniffType(bytes) {
+  if (isJpeg(bytes)) return "image/jpeg";
+  if (isPng(bytes)) return "image/png";
+  return null;
+}
+
+// The image (or the output it would need) is over the pixel limit.
+export class ImageTooLargeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImageTooLargeError";
+  }
+}
+
+// The stored (pre-orientation) size from the header. The type is checked
+// first so a JPEG or PNG whose header is cut short or corrupt is reported as
+// damaged rather than as an unsupported format.
+export function readHeaderSize(bytes) {
+  const type = sniffType(bytes);
+  if (!type) throw new UnreadableImageError("Only JPEG and PNG images can be read here.");
+  const size = readImageSize(bytes);
+  if (!size) {
+    const label = type === "image/jpeg" ? "JPEG" : "PNG";
+    throw new UnreadableImageError(`This ${label} file is damaged or truncated: its header can't be read.`);
+  }
+  return size;
+}
+
+function tooLarge(maxPixels) {
+  return new ImageTooLargeError(`Image is larger than ${maxPixels / 1_000_000} MP.`);
+}
+
+// Decode to `{ data, width, height }` with RGBA pixels. `maxPixels` stops
+// oversized images before their pixels are allocated: the size comes from
+// the header, as a small, highly compressed PNG can inflate to gigabytes.
+export function decodePixels(bytes, { maxPixels = Infinity } = {}) {
+  const type = sniffType(bytes);
+  const size = readHeaderSize(bytes);
+  if (size.width * size.height > maxPixels) throw tooLarge(maxPixels);
+  try {
+    if (type === "image/jpeg") {
+      const image = jpeg.decode(bytes, {
+        useTArray: true,
+        formatAsRGBA: true,
+        maxResolutionInMP: maxPixels / 1_000_000,
+        maxMemoryUsageInMB: 1024,
+      });
+      return {
+        data: new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.length),
+        width: image.width,
+        height: image.height,
+      };
+    }
+    const image = PNG.sync.read(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+    if (image.width * image.height > maxPixels) throw tooLarge(maxPixels);
+    return {
+      data: new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.length),
+      width: image.width,
+      height: image.height,
+    };
+  } catch (err) {
+    if (err instanceof ImageTooLargeError) throw err;
+    if (/maxResolutionInMP/.test(err.message)) throw tooLarge(maxPixels);
+    throw new UnreadableImageError(`Failed to decode image: ${err.message}`);
+  }
+}
+
+// Encode RGBA pixels. `quality` is 0-1 as for canvas encoders and is ignored
+// for PNG. The wasm WebP encoder is only loaded when it's first needed.
+export async function encodePixels(data, width, height, type, quality) {
+  if (type === "image/webp") {
+    const { encodeWebp } = await import("./webp.js");
+    return encodeWebp(data, width, height, quality);
+  }
+  if (type === "image/jpeg") {
+    const { data: out } = jpeg.encode({ data, width, height }, Math.round(quality * 100));
+    return new Uint8Array(out.buffer, out.byteOffset, out.length);
+  }
+  if (type === "image/png") {
+    const png = new PNG({ width, height });
+    png.data = Buffer.from(data.buffer, data.byteOffset, data.length);
+    const out = PNG.sync.write(png);
+    return new Uint8Array(out.buffer, out.byteOffset, out.length);
+  }
+  throw new Error(`Can't encode ${type} here.`);
+}
+
+// Rotate/flip pixels upright per an EXIF orientation (1-8), as browsers do
+// with `imageOrientation: "from-image"`.
+export function orientPixels({ data, width, height }, orientation) {
+  if (!orientation || orientation === 1 || orientation > 8) return { data, width, height };
+  const swap = orientation >= 5;
+  const outW = swap ? height : width;
+  const outH = swap ? width : height;
+  const out = new Uint8ClampedArray(outW * outH * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let dx;
+      let dy;
+      switch (orientation) {
+        case 2: dx = width - 1 - x; dy = y; break;
+        case 3: dx = width - 1 - x; dy = height - 1 - y; break;
+        case 4: dx = x; dy = height - 1 - y; break;
+        case 5: dx = y; dy = x; break;
+        case 6: dx = height - 1 - y; dy = x; break;
+        case 7: dx = height - 1 - y; dy = width - 1 - x; break;
+        default: dx = y; dy = width - 1 - x; break; // 8
+      }
+      const s = (y * width + x) * 4;
+      const d = (dy * outW + dx) * 4;
+      out[d] = data[s];
+      out[d + 1] = data[s + 1];
+      out[d + 2] = data[s + 2];
+      out[d + 3] = data[s + 3];
+    }
+  }
+  return { data: out, width: outW, height: outH };
+}
+
+// Copy out a rectangle of an RGBA buffer.
+export function cropPixels({ data, width }, { x, y, width: cropW, height: cropH }) {
+  const out = new Uint8ClampedArray(cropW * cropH * 4);
+  for (let row = 0; row < cropH; row++) {
+    const start = ((y + row) * width + x) * 4;
+    out.set(data.subarray(start, start + cropW * 4), row * cropW * 4);
+  }
+  return out;
+}
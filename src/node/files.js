@@ -0,0 +1,109 @@
+// Finding the CLI's input images: plain files, folders (searched
+// recursively) and glob patterns, for when the shell doesn't expand them
+// (quoted, or on Windows).
+import { readdir, stat } from "node:fs/promises";
+import path from "node:path";
+
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png"];
+
+export function isImagePath(file) {
+  return IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+function hasMagic(pattern) {
+  return /[*?{]/.test(pattern);
+}
+
+// `*` and `?` stay within a folder, `**` spans folders and `{a,b}` is either.
+// Matches "/"-separated paths.
+export function globToRegExp(pattern) {
+  let out = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "*" && pattern[i + 1] === "*") {
+      i += 1;
+      if (pattern[i + 1] === "/") {
+        i += 1;
+        out += "(?:.*/)?";
+      } else {
+        out += ".*";
+      }
+    } else if (c === "*") {
+      out += "[^/]*";
+    } else if (c === "?") {
+      out += "[^/]";
+    } else if (c === "{") {
+      const end = pattern.indexOf("}", i);
+      if (end === -1) {
+        out += "\\{";
+        continue;
+      }
+      const options = pattern.slice(i + 1, end).split(",");
+      out += `(?:${options.map((o) => o.replace(/[.+^$()|[\]\\]/g, "\\$&")).join("|")})`;
+      i = end;
+    } else {
+      out += c.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${out}$`, process.platform === "win32" ? "i" : "");
+}
+
+// Every file under `dir`, as paths relative to it with "/" separators.
+// Hidden files and folders are skipped.
+async function walk(dir, prefix = "") {
+  const files = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith(".")) continue;
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) files.push(...(await walk(path.join(dir, entry.name), relative)));
+    else if (entry.isFile()) files.push(relative);
+  }
+  return files;
+}
+
+// Resolve inputs to `[{ file, relative }]`: the path to read and the path
+// to mirror under the output folder (relative to the folder or glob base it
+// was found in; just the file name for files named directly). Folders and
+// globs only pick up JPEG and PNG files. Throws if an input doesn't exist.
+export async function findInputs(patterns) {
+  const found = new Map();
+  const add = (file, relative) => {
+    const key = path.resolve(file);
+    if (!found.has(key)) found.set(key, { file, relative });
+  };
+
+  for (const pattern of patterns) {
+    const normalized = pattern.split(path.sep).join("/");
+    if (hasMagic(normalized)) {
+      const parts = normalized.split("/");
+      const firstMagic = parts.findIndex(hasMagic);
+      const base = parts.slice(0, firstMagic).join("/") || ".";
+      const matcher = globToRegExp(parts.slice(firstMagic).join("/"));
+      let files = [];
+      try {
+        files = await walk(base);
+      } catch {
+        // A glob whose base folder doesn't exist just matches nothing.
+      }
+      for (const relative of files) {
+        if (matcher.test(relative) && isImagePath(relative)) add(path.join(base, relative), relative);
+      }
+      continue;
+    }
+
+    let info;
+    try {
+      info = await stat(pattern);
+    } catch {
+      throw new Error(`${pattern}: no such file or folder.`);
+    }
+    if (info.isDirectory()) {
+      for (const relative of await walk(pattern)) {
+        if (isImagePath(relative)) add(path.join(pattern, relative), relative);
+      }
+    } else {
+      add(pattern, path.basename(pattern));
+    }
+  }
+  return [...found.values()].sort((a, b) => a.relative.localeCompare(b.relative));
+}
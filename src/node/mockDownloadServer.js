@@ -0,0 +1,196 @@
+// A stand-in for the StreamFetch download backend, implementing the contract
+// in utils/downloadApi with the made-up metadata in utils/metadataFixtures
+// and placeholder files, so the downloader can be developed offline:
+//
+//   npm run mock:downloads            # http://localhost:8787/api/downloads
+//
+// The app's dev server proxies /api/downloads here. Jobs take a few seconds
+// and report progress as they go. Links with "unavailable" in them have no
+// formats, and links with "fail" in them fail halfway through. Video IDs
+// are 11 characters, so try e.g. youtu.be/unavailable or youtu.be/failfailfai.
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+import { isFinished } from "../utils/downloadApi.js";
+import { fixtureFor } from "../utils/metadataFixtures.js";
+import { parseMediaUrl } from "../utils/mediaUrl.js";
+
+const BASE_PATH = "/api/downloads";
+const TICK = 250;
+
+class MockError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function describeLink(link) {
+  const parsed = parseMediaUrl(link);
+  if (!parsed.ok) {
+    const status = parsed.reason === "unsupported_site" || parsed.reason === "stories" ? 422 : 400;
+    throw new MockError(status, parsed.reason, parsed.message);
+  }
+  const metadata = fixtureFor(parsed);
+  if (!metadata) throw new MockError(404, "unavailable", "This video is private or has been removed.");
+  return metadata;
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function readJson(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw new MockError(400, "invalid_body", "Send the job as JSON.");
+  }
+}
+
+// `speed` scales how fast jobs progress (2 = twice as fast).
+export function createMockDownloadServer({ speed = 1 } = {}) {
+  const jobs = new Map();
+  let nextId = 1;
+
+  function update(job, changes) {
+    Object.assign(job.state, changes);
+    for (const listener of job.listeners) listener(job.state);
+  }
+
+  function run(job) {
+    const step = job.state.bytesTotal / 16;
+    job.timer = setInterval(() => {
+      const bytesDone = Math.min(job.state.bytesTotal, job.state.bytesDone + step * speed);
+      const progress = bytesDone / job.state.bytesTotal;
+      if (job.fails && progress >= 0.5) {
+        clearInterval(job.timer);
+        update(job, { status: "failed", error: { code: "extract_failed", message: "The source stopped responding." } });
+      } else if (progress >= 1) {
+        clearInterval(job.timer);
+        update(job, { status: "done", progress: 1, bytesDone });
+      } else {
+        update(job, { status: "running", progress, bytesDone });
+      }
+    }, TICK);
+  }
+
+  function findJob(id) {
+    const job = jobs.get(id);
+    if (!job) throw new MockError(404, "no_such_job", `There's no job ${id}.`);
+    return job;
+  }
+
+  async function handle(req, res, path) {
+    const formats = path === "/formats";
+    const jobMatch = /^\/jobs(?:\/([^/]+)(\/events|\/result)?)?$/.exec(path);
+
+    if (formats && req.method === "GET") {
+      const link = new URL(req.url, "http://localhost").searchParams.get("url");
+      if (!link) throw new MockError(400, "missing_url", 'Pass the link as "url".');
+      return send(res, 200, describeLink(link));
+    }
+    if (!jobMatch) throw new MockError(404, "not_found", "No such route.");
+    const [, id, sub] = jobMatch;
+
+    if (!id && req.method === "POST") {
+      const { url, format } = await readJson(req);
+      const info = describeLink(String(url || ""));
+      const chosen = info.formats.find((f) => f.id === format);
+      if (!chosen) {
+        throw new MockError(422, "unknown_format", `"${format}" isn't available for this link.`);
+      }
+      const job = {
+        state: {
+          id: String(nextId++),
+          url,
+          format: chosen.id,
+          status: "queued",
+          progress: 0,
+          bytesDone: 0,
+          bytesTotal: chosen.bytes,
+          fileName: `${info.title.replace(/\s+/g, "-").toLowerCase()}-${chosen.id}.${chosen.ext}`,
+          error: null,
+        },
+        fails: url.includes("fail"),
+        listeners: new Set(),
+        timer: null,
+      };
+      jobs.set(job.state.id, job);
+      run(job);
+      return send(res, 202, { job: job.state });
+    }
+    if (!id) throw new MockError(405, "method_not_allowed", "Create jobs with POST.");
+    const job = findJob(id);
+
+    if (!sub && req.method === "GET") return send(res, 200, { job: job.state });
+    if (!sub && req.method === "DELETE") {
+      if (!isFinished(job.state)) {
+        clearInterval(job.timer);
+        update(job, { status: "cancelled" });
+      }
+      return send(res, 200, { job: job.state });
+    }
+    if (sub === "/events" && req.method === "GET") {
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+      const push = (state) => {
+        res.write(`event: job\ndata: ${JSON.stringify(state)}\n\n`);
+        if (isFinished(state)) {
+          job.listeners.delete(push);
+          res.end();
+        }
+      };
+      job.listeners.add(push);
+      req.on("close", () => job.listeners.delete(push));
+      push(job.state);
+      return;
+    }
+    if (sub === "/result" && req.method === "GET") {
+      if (job.state.status !== "done") {
+        throw new MockError(409, "not_ready", `Job ${id} is ${job.state.status}, not done.`);
+      }
+      // A few placeholder bytes rather than the advertised size.
+      const body = Buffer.from(`StreamFetch mock download\n${job.state.url}\n${job.state.format}\n`);
+      res.writeHead(200, {
+        "Content-Type": "application/octet-stream",
+        "Content-Length": body.length,
+        "Content-Disposition": `attachment; filename="${job.state.fileName}"`,
+      });
+      return res.end(body);
+    }
+    throw new MockError(405, "method_not_allowed", `${req.method} isn't supported here.`);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    // Lets the app call the mock directly too, not only through the proxy.
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    res.setHeader("Access-Control-Expose-Headers", "Content-Disposition");
+    if (req.method === "OPTIONS") return res.writeHead(204).end();
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    try {
+      if (!pathname.startsWith(BASE_PATH)) throw new MockError(404, "not_found", "No such route.");
+      await handle(req, res, pathname.slice(BASE_PATH.length) || "/");
+    } catch (err) {
+      if (!(err instanceof MockError)) console.error(err);
+      const status = err instanceof MockError ? err.status : 500;
+      send(res, status, { error: { code: err.code || "internal_error", message: err.message } });
+    }
+  });
+  server.on("close", () => {
+    for (const job of jobs.values()) clearInterval(job.timer);
+  });
+  return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8787;
+  createMockDownloadServer({ speed: Number(process.env.MOCK_SPEED) || 1 }).listen(port, () => {
+    console.log(`Mock download backend on http://localhost:${port}${BASE_PATH}`);
+  });
+}
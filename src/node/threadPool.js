@@ -0,0 +1,77 @@
+// A fixed-size pool of worker threads with a FIFO queue, the Node
+// counterpart of utils/workerPool. Workers receive `{ id, task }` and reply
+// with `{ id, result }` or `{ id, error, errorName }`; the error is rebuilt
+// with that name so callers can tell failures apart.
+import { Worker } from "node:worker_threads";
+
+// `run` was called with `maxQueued` jobs already waiting for a thread.
+export class QueueFullError extends Error {
+  constructor(message = "Too many jobs are waiting.") {
+    super(message);
+    this.name = "QueueFullError";
+  }
+}
+
+export function createThreadPool(workerUrl, size, { maxQueued = Infinity } = {}) {
+  const slots = Array.from({ length: Math.max(1, size) }, () => ({ worker: null, job: null }));
+  const queue = [];
+  let nextId = 1;
+
+  function start(slot, job) {
+    if (!slot.worker) {
+      slot.worker = new Worker(workerUrl);
+      slot.worker.on("message", ({ id, result, error, errorName }) => {
+        const current = slot.job;
+        if (!current || current.id !== id) return;
+        slot.job = null;
+        if (error) {
+          const err = new Error(error);
+          if (errorName) err.name = errorName;
+          current.reject(err);
+        } else {
+          current.resolve(result);
+        }
+        pump();
+      });
+      slot.worker.on("error", (err) => {
+        // A crashed worker can't be trusted with the next job.
+        const current = slot.job;
+        slot.worker = null;
+        slot.job = null;
+        if (current) current.reject(err);
+        pump();
+      });
+    }
+    slot.job = job;
+    slot.worker.postMessage({ id: job.id, task: job.task }, job.transfer);
+  }
+
+  function pump() {
+    for (const slot of slots) {
+      if (queue.length === 0) return;
+      if (!slot.job) start(slot, queue.shift());
+    }
+  }
+
+  return {
+    // `transfer` lists buffers in `task` to move to the worker rather than
+    // copy; they're unusable here afterwards.
+    run(task, transfer = []) {
+      return new Promise((resolve, reject) => {
+        if (queue.length >= maxQueued) throw new QueueFullError();
+        queue.push({ id: nextId++, task, transfer, resolve, reject });
+        pump();
+      });
+    },
+    // Jobs waiting for a thread, not counting the ones running.
+    get queued() {
+      return queue.length;
+    },
+    terminate() {
+      for (const slot of slots) {
+        if (slot.worker) slot.worker.terminate();
+        slot.worker = null;
+      }
+    },
+  };
+}
@@ -0,0 +1,151 @@
+// The upscaling pipeline for Node: the same sizing, classification,
+// resampling and metadata handling as `processImage` in utils/upscale, with
+// the pure-JS codecs in place of canvas and createImageBitmap. Edits need a
+// canvas and aren't supported.
+import { resampleRGBA, unsharpMask } from "../utils/resample.js";
+import { analyzeBytes, classifyImage } from "../utils/classify.js";
+import { getTargetSize } from "../utils/presets.js";
+import { applyEnhancements, hasEnhancements } from "../utils/enhance.js";
+import { encodeToBudget, getFormatInfo } from "../utils/formats.js";
+import { createJpegEncoder, usesJpegEncoder } from "../utils/jpegEncoder.js";
+import {
+  DEFAULT_OPTIONS,
+  flattenPixels,
+  getEncoderSettings,
+  getHdFileName,
+  getMetadataMode,
+  getResampler,
+} from "../utils/upscale.js";
+import {
+  METADATA_FORMATS,
+  describeMetadata,
+  prepareMetadata,
+  readMetadata,
+  writeMetadata,
+} from "../utils/metadata.js";
+import {
+  CODEC_TYPES,
+  ImageTooLargeError,
+  cropPixels,
+  decodePixels,
+  encodePixels,
+  orientPixels,
+  readHeaderSize,
+  sniffType,
+} from "./codec.js";
+
+// Images that are already good are left alone unless the preset asks for an
+// exact size or scale, or enhancements were requested.
+function shouldSkip(quality, options) {
+  return (
+    quality.label === "good" &&
+    options.skipGood &&
+    options.preset.sizing === "minimum" &&
+    !hasEnhancements(options.enhance)
+  );
+}
+
+function classify(bytes, width, height) {
+  const hints = analyzeBytes(bytes);
+  return {
+    ...classifyImage({ width, height, mimeType: sniffType(bytes), ...hints }),
+    jpegQuality: hints.jpegQuality,
+  };
+}
+
+// What `upscaleBuffer` would do, from the headers alone: the upright size,
+// the quality verdict, and either `skipped` or the output size.
+export async function inspectImage(bytes, options = DEFAULT_OPTIONS) {
+  const stored = readHeaderSize(bytes);
+  const { info } = await readMetadata(bytes);
+  const turned = info && info.orientation >= 5 && info.orientation <= 8;
+  const width = turned ? stored.height : stored.width;
+  const height = turned ? stored.width : stored.height;
+  const quality = classify(bytes, width, height);
+  if (shouldSkip(quality, options)) {
+    return { width, height, newWidth: width, newHeight: height, quality, skipped: true };
+  }
+  const target = getTargetSize(width, height, options.preset);
+  return { width, height, newWidth: target.width, newHeight: target.height, quality, skipped: false };
+}
+
+// Upscale one encoded image. `bytes` is a Uint8Array and `name` the original
+// file name. `maxPixels` limits both the decoded input and the output.
+// Resolves with the same shape as `processImage`.
+export async function upscaleBuffer(bytes, name, options = DEFAULT_OPTIONS, { maxPixels = Infinity } = {}) {
+  const encoder = getEncoderSettings(options);
+  if (!CODEC_TYPES.includes(encoder.format)) {
+    throw new Error(`Can't encode ${getFormatInfo(encoder.format).label} here.`);
+  }
+
+  const metadata = await readMetadata(bytes);
+  const decoded = decodePixels(bytes, { maxPixels });
+  const image = orientPixels(decoded, metadata.info && metadata.info.orientation);
+  const { width, height } = image;
+
+  const quality = classify(bytes, width, height);
+  const metadataFields = describeMetadata(metadata.info, metadata.icc);
+  if (shouldSkip(quality, options)) {
+    return {
+      width,
+      height,
+      newWidth: width,
+      newHeight: height,
+      quality,
+      metadata: metadataFields,
+      skipped: true,
+    };
+  }
+
+  if (hasEnhancements(options.enhance)) applyEnhancements(image.data, width, height, options.enhance);
+  const { width: newWidth, height: newHeight, crop } = getTargetSize(width, height, options.preset);
+  if (newWidth * newHeight > maxPixels) {
+    throw new ImageTooLargeError(
+      `The output would be ${newWidth} × ${newHeight}, over the ${maxPixels / 1_000_000} MP limit.`
+    );
+  }
+
+  // There's no browser canvas to stretch with, so "fast" means bicubic here,
+  // left unsharpened like the browser's "fast" output.
+  const resampler = getResampler(options);
+  const engine = resampler === "lanczos" || resampler === "area" ? resampler : "bicubic";
+  const source = crop.width === width && crop.height === height ? image.data : cropPixels(image, crop);
+  const pixels = resampleRGBA(source, crop.width, crop.height, newWidth, newHeight, engine);
+  if (options.sharpen > 0 && options.engine !== "fast") unsharpMask(pixels, newWidth, newHeight, { amount: options.sharpen });
+  if (!getFormatInfo(encoder.format).alpha) flattenPixels(pixels, [255, 255, 255]);
+
+  // Pixels are never colour-converted here, so the ICC profile still applies.
+  // Metadata goes in before each size check, so it counts against `maxBytes`.
+  const { dpi } = options.preset;
+  const kept = prepareMetadata(metadata, getMetadataMode(options), { width: newWidth, height: newHeight, dpi });
+  const jpegEncoder = usesJpegEncoder(encoder) ? createJpegEncoder(pixels, newWidth, newHeight, encoder) : null;
+  const encoded = await encodeToBudget(
+    async (q) =>
+      writeMetadata(
+        new Blob(
+          [
+            jpegEncoder
+              ? jpegEncoder.encode(q, encoder)
+              : await encodePixels(pixels, newWidth, newHeight, encoder.format, q),
+          ],
+          { type: encoder.format }
+        ),
+        { exif: kept.exif, icc: METADATA_FORMATS.includes(encoder.format) ? kept.icc : null, dpi }
+      ),
+    encoder
+  );
+  const { blob } = encoded;
+  return {
+    width,
+    height,
+    newWidth,
+    newHeight,
+    quality,
+    metadata: metadataFields,
+    blob,
+    format: encoder.format,
+    encodedQuality: encoded.quality,
+    fitsBudget: !encoder.maxBytes || blob.size <= encoder.maxBytes,
+    name: getHdFileName(name, encoder.format),
+  };
+}
@@ -0,0 +1,16 @@
+// Upscales one in-memory image per task for the upscale API, off the
+// server's main thread. The encoded output is transferred back, not copied.
+import { parentPort } from "node:worker_threads";
+import { upscaleBuffer } from "./upscale.js";
+
+parentPort.on("message", async ({ id, task }) => {
+  try {
+    const { blob, ...result } = await upscaleBuffer(task.bytes, task.name, task.options, {
+      maxPixels: task.maxPixels,
+    });
+    const bytes = blob ? new Uint8Array(await blob.arrayBuffer()) : null;
+    parentPort.postMessage({ id, result: { ...result, bytes } }, bytes ? [bytes.buffer] : []);
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message, errorName: err.name });
+  }
+});
@@ -0,0 +1,30 @@
+// WebP encoding for Node, with libwebp compiled to wasm (@jsquash/webp). Its
+// loader fetches the .wasm by URL, which Node's fetch can't do for files, so
+// the module is compiled from disk here and handed over.
+import { readFile } from "node:fs/promises";
+import { simd } from "wasm-feature-detect";
+import encode, { init } from "@jsquash/webp/encode.js";
+
+let ready = null;
+
+function load() {
+  ready ||= (async () => {
+    // `init` picks the SIMD build when the runtime supports it, so the
+    // matching .wasm has to be the one passed in.
+    const file = (await simd()) ? "webp_enc_simd.wasm" : "webp_enc.wasm";
+    const bytes = await readFile(new URL(import.meta.resolve(`@jsquash/webp/codec/enc/${file}`)));
+    await init(await WebAssembly.compile(bytes));
+  })();
+  return ready;
+}
+
+// Encode RGBA pixels. `quality` is 0-1; 1 is lossless, as in Chromium's
+// canvas encoder.
+export async function encodeWebp(data, width, height, quality) {
+  await load();
+  const out = await encode(
+    { data, width, height },
+    quality >= 1 ? { lossless: 1, quality: 100 } : { quality: Math.round(quality * 100) }
+  );
+  return new Uint8Array(out);
+}
@@ -0,0 +1,51 @@
+import { useState } from "react";
+import { useNavigate } from "react-router";
+import HistoryPanel from "../components/HistoryPanel";
+import { downloadStoredBatch } from "../utils/batch";
+import { deleteBatch, getSessionBatchId, setSessionBatchId } from "../utils/history";
+
+// Stored upscaler batches on their own page. Opening one hands it to the
+// upscaler through `?batch=<id>`.
+export default function HistoryPage() {
+  const navigate = useNavigate();
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [error, setError] = useState("");
+
+  const handleDownload = async (batchId) => {
+    setError("");
+    try {
+      await downloadStoredBatch(batchId);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = (batchId) => {
+    deleteBatch(batchId)
+      .then(() => {
+        if (getSessionBatchId() === batchId) setSessionBatchId(null);
+        setRefreshKey((k) => k + 1);
+      })
+      .catch((err) => setError(err.message));
+  };
+
+  const handleCleared = () => {
+    setSessionBatchId(null);
+    setRefreshKey((k) => k + 1);
+  };
+
+  return (
+    <div style={{ maxWidth: 720, margin: "20px auto", padding: "0 16px" }}>
+      <h2>History</h2>
+      {error && <div style={{ color: "red", marginBottom: 8 }}>{error}</div>}
+      <HistoryPanel
+        defaultOpen
+        refreshKey={refreshKey}
+        onOpen={(batchId) => navigate(`/upscaler?batch=${encodeURIComponent(batchId)}`)}
+        onDownload={handleDownload}
+        onDelete={handleDelete}
+        onCleared={handleCleared}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { Link } from "react-router";
+
+const TOOLS = [
+  {
+    to: "/upscaler",
+    name: "Image Upscaler",
+    description: "Upscale, resize, enhance and convert images in batches, right in the browser.",
+  },
+  {
+    to: "/downloader",
+    name: "Downloader",
+    description: "Save videos from YouTube and Instagram links.",
+  },
+  {
+    to: "/history",
+    name: "History",
+    description: "Reopen or re-download past upscaler batches.",
+  },
+  {
+    to: "/settings",
+    name: "Settings",
+    description: "Manage and share upscaler presets.",
+  },
+];
+
+export default function HomePage() {
+  return (
+    <div style={{ maxWidth: 720, margin: "30px auto", padding: "0 16px" }}>
+      <h1>Home Page</h1>
+      <div style={{ display: "grid", gap: 12, gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))" }}>
+        {TOOLS.map((tool) => (
+          <Link
+            key={tool.to}
+            to={tool.to}
+            style={{
+              display: "block",
+              padding: 16,
+              border: "1.5px solid #e3e6ea",
+              borderRadius: 8,
+              color: "#37474f",
+              textDecoration: "none",
+              textAlign: "left",
+            }}
+          >
+            <b style={{ color: "#007bff" }}>{tool.name}</b>
+            <div style={{ fontSize: 14, marginTop: 4 }}>{tool.description}</div>
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,21 +1,30 @@
-import HeaderBar from "../components/HeaderBar"
-import ImageUpscaler from "../components/ImageUpscaler"
-import { useState } from "react";
+import { Suspense } from "react";
+import { NavLink, Outlet } from "react-router";
 import './NavBar.css'
 
+const LINKS = [
+  { to: "/", label: "Home", end: true },
+  { to: "/upscaler", label: "Image Upscaler" },
+  { to: "/downloader", label: "Downloader" },
+  { to: "/history", label: "History" },
+  { to: "/settings", label: "Settings" },
+];
 
+// Layout for every route: the nav stays put while the page below it loads.
 function NavBar() {
-  const [page, setPage] = useState("home"); // Manage active page
-
   return (
     <div>
       <nav>
-        <button onClick={() => setPage("home")}>Home</button>
-        <button onClick={() => setPage("upscaler")}>Image Upscaler</button>
+        {LINKS.map((link) => (
+          <NavLink key={link.to} to={link.to} end={link.end} className="nav-link">
+            {link.label}
+          </NavLink>
+        ))}
       </nav>
 
-      {page === "home" && <h1>Home Page</h1>}
-      {page === "upscaler" && <ImageUpscaler />}
+      <Suspense fallback={<div className="page-loading">Loading...</div>}>
+        <Outlet />
+      </Suspense>
     </div>
   );
 }
@@ -0,0 +1,14 @@
+import { Link, useLocation } from "react-router";
+
+export default function NotFoundPage() {
+  const { pathname } = useLocation();
+  return (
+    <div style={{ padding: 40, color: "#37474f" }}>
+      <h1>Page not found</h1>
+      <p>
+        There's nothing at <code>{pathname}</code>.
+      </p>
+      <Link to="/">Back to the home page</Link>
+    </div>
+  );
+}
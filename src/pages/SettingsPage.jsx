@@ -0,0 +1,34 @@
+import { useEffect, useState } from "react";
+import PresetManager from "../components/PresetManager";
+import { detectEncoders } from "../utils/formats";
+import { loadPresets, savePresets } from "../utils/presets";
+
+// Preset management outside the upscaler. Changes are saved to the same
+// storage the upscaler loads its presets from.
+export default function SettingsPage() {
+  const [presets, setPresets] = useState(loadPresets);
+  const [selectedId, setSelectedId] = useState(() => presets[0].id);
+  const [supportedFormats, setSupportedFormats] = useState(["image/jpeg", "image/png"]);
+
+  useEffect(() => {
+    savePresets(presets);
+  }, [presets]);
+
+  useEffect(() => {
+    detectEncoders().then(setSupportedFormats);
+  }, []);
+
+  return (
+    <div style={{ maxWidth: 720, margin: "20px auto", padding: "0 16px" }}>
+      <h2>Settings</h2>
+      <h3 style={{ fontSize: 16, color: "#37474f" }}>Upscaler presets</h3>
+      <PresetManager
+        presets={presets}
+        selectedId={selectedId}
+        onSelect={setSelectedId}
+        onChange={setPresets}
+        supportedFormats={supportedFormats}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+// Converting between the batch on screen, its IndexedDB records and the
+// files it exports. Shared by the upscaler and the history page.
+import { buildManifest, createZipBlob, uniqueName } from "./zip.js";
+import { loadBatch } from "./history.js";
+
+// Stored image records hold everything on a card except object URLs and
+// progress; the converted output is added once the job finishes.
+export function toImageRecord(img, order) {
+  return {
+    id: img.id,
+    order,
+    file: img.file,
+    fileName: img.fileName,
+    path: img.path,
+    status: img.status,
+    edits: img.edits,
+    converted: null,
+  };
+}
+
+// Every converted image of a batch, in its original folder, plus a manifest
+// of the settings each one was made with. Empty if nothing was converted.
+export function collectOutputs(images, converted) {
+  const used = new Set(["manifest.json", "manifest.csv"]);
+  const entries = [];
+  const rows = [];
+  images.forEach((img) => {
+    const conv = converted[img.id];
+    if (!conv || !conv.blob) return;
+    const name = uniqueName(img.path ? `${img.path}/${conv.name}` : conv.name, used);
+    entries.push({ name, data: conv.blob, lastModified: img.file.lastModified });
+    rows.push({
+      file: name,
+      originalName: img.path ? `${img.path}/${img.fileName}` : img.fileName,
+      originalWidth: img.width,
+      originalHeight: img.height,
+      newWidth: conv.width,
+      newHeight: conv.height,
+      originalBytes: img.file.size,
+      newBytes: conv.blob.size,
+      ...conv.settings,
+    });
+  });
+  if (entries.length === 0) return entries;
+
+  const manifest = buildManifest(rows);
+  entries.push({ name: "manifest.json", data: manifest.json });
+  entries.push({ name: "manifest.csv", data: manifest.csv });
+  return entries;
+}
+
+export async function downloadZip(entries) {
+  if (entries.length === 0) return;
+  const zip = await createZipBlob(entries);
+  const url = URL.createObjectURL(zip);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `hd-images-${new Date().toISOString().slice(0, 10)}.zip`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Split stored records back into card state and converted outputs.
+// `createUrl(id, slot, blob)` makes the object URLs, so the caller can
+// revoke them (see createObjectUrlStore).
+export function fromImageRecords(records, createUrl) {
+  const images = [];
+  const converted = {};
+  for (const record of records) {
+    images.push({
+      id: record.id,
+      file: record.file,
+      src: createUrl(record.id, "source", record.file),
+      fileName: record.fileName,
+      path: record.path || "",
+      status: record.status,
+      progress: record.status === "done" || record.status === "skipped" ? 1 : 0,
+      edits: record.edits,
+      width: record.width,
+      height: record.height,
+      newWidth: record.newWidth,
+      newHeight: record.newHeight,
+      quality: record.quality,
+      metadata: record.metadata,
+      error: record.error,
+    });
+    if (record.converted) {
+      converted[record.id] = {
+        ...record.converted,
+        src: createUrl(record.id, "output", record.converted.blob),
+      };
+    }
+  }
+  return { images, converted };
+}
+
+// Download a stored batch as a ZIP without putting it on screen.
+export async function downloadStoredBatch(batchId) {
+  const stored = await loadBatch(batchId);
+  if (!stored) return;
+  const converted = {};
+  for (const record of stored.images) {
+    if (record.converted) converted[record.id] = record.converted;
+  }
+  await downloadZip(collectOutputs(stored.images, converted));
+}
@@ -0,0 +1,84 @@
+// Canvas helpers that work the same on the main thread and in a worker.
+
+export function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+export function canvasToBlob(canvas, type, quality) {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Failed to encode image."))),
+      type,
+      quality
+    );
+  });
+}
+
+// Canvas size limits depend on the browser and device (iOS Safari stops at
+// 16.7 MP, desktop browsers at 32767 px a side and around 268 MP), and a
+// canvas over them doesn't throw: it stays blank. Big canvases are checked
+// by drawing into their far corner, and what that shows is remembered.
+const canvasLimits = { fits: 0, fails: Infinity }; // in pixels of area
+
+export class CanvasLimitError extends Error {
+  constructor(width, height) {
+    super(`This browser can't hold a ${width} × ${height} image (${formatMegapixels(width * height)}) in a canvas.`);
+    this.name = "CanvasLimitError";
+    this.width = width;
+    this.height = height;
+  }
+}
+
+export function formatMegapixels(pixels) {
+  return `${(pixels / 1_000_000).toFixed(pixels < 10_000_000 ? 1 : 0)} MP`;
+}
+
+// Whether a `width` × `height` canvas is known to work (true), known to fail
+// (false) or hasn't been tried (null).
+export function canvasFits(width, height) {
+  const area = width * height;
+  if (width > 32767 || height > 32767 || area >= canvasLimits.fails) return false;
+  if (area <= canvasLimits.fits) return true;
+  return null;
+}
+
+// createCanvas for sizes that may be over the limits: throws a
+// CanvasLimitError instead of handing back a canvas that won't draw.
+export function createCheckedCanvas(width, height) {
+  const area = width * height;
+  const fits = canvasFits(width, height);
+  if (fits === false) throw new CanvasLimitError(width, height);
+  if (fits) return createCanvas(width, height);
+  let canvas;
+  let ok = false;
+  try {
+    canvas = createCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    if (ctx) {
+      ctx.fillRect(width - 1, height - 1, 1, 1);
+      ok = ctx.getImageData(width - 1, height - 1, 1, 1).data[3] !== 0;
+      ctx.clearRect(width - 1, height - 1, 1, 1);
+    }
+  } catch {
+    // Allocation failures throw in some browsers.
+  }
+  if (!ok) {
+    if (canvas) {
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+    canvasLimits.fails = Math.min(canvasLimits.fails, area);
+    throw new CanvasLimitError(width, height);
+  }
+  canvasLimits.fits = Math.max(canvasLimits.fits, area);
+  return canvas;
+}
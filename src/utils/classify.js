@@ -0,0 +1,77 @@
+// Buckets uploaded photos by how much an upscale is likely to help, using the
+// resolution, the JPEG quantization tables and whatever EXIF survived.
+import { MIN_GOOD_MP, MIN_IMAGE_PX } from "./presets.js";
+import { estimateJpegQuality, findExifSegment, readJpegSegments } from "./jpeg.js";
+import { readExif } from "./exif.js";
+
+export const QUALITY_LABELS = {
+  good: "WhatsApp HD / Original · Good Quality Photo",
+  medium: "WhatsApp SD · Medium Quality Photo",
+  low: "WhatsApp · Low Quality Photo",
+  other: "Other · Unknown/Blank",
+};
+
+// WhatsApp re-encodes SD photos to at most 1600px (older builds: 1280px) on
+// the long side, and HD photos to at most 4096px.
+const WHATSAPP_SD_SIDES = [1600, 1280];
+const LOW_QUALITY_SIDE = 1000;
+const GOOD_JPEG_QUALITY = 85;
+const LOW_JPEG_QUALITY = 60;
+
+// Pull the hints the classifier needs out of the raw file bytes.
+export function analyzeBytes(bytes) {
+  const segments = readJpegSegments(bytes);
+  if (segments.length === 0) return { jpegQuality: null, exif: null };
+  return {
+    jpegQuality: estimateJpegQuality(segments),
+    exif: readExif(findExifSegment(segments)),
+  };
+}
+
+export function classifyImage({ width, height, mimeType, jpegQuality, exif }) {
+  const reasons = [];
+  if (!width || !height) {
+    return { label: "other", reasons: ["Image has no pixels."] };
+  }
+
+  const mp = (width * height) / 1_000_000;
+  const longSide = Math.max(width, height);
+  reasons.push(`${width} × ${height} (${mp.toFixed(1)} MP)`);
+
+  const isPhotoType = /^image\/(jpeg|png|webp|heic|heif|avif)$/.test(mimeType);
+  if (!isPhotoType) {
+    reasons.push(`${mimeType || "Unknown type"} is not a photo format.`);
+    return { label: "other", reasons };
+  }
+
+  if (jpegQuality != null) reasons.push(`JPEG quality ≈ ${jpegQuality}`);
+
+  const hasCamera = Boolean(exif && (exif.make || exif.model));
+  if (hasCamera) {
+    reasons.push(`Camera EXIF present (${[exif.make, exif.model].filter(Boolean).join(" ")})`);
+  } else if (mimeType === "image/jpeg") {
+    reasons.push("No camera EXIF (stripped, typical of messaging apps)");
+  }
+  if (WHATSAPP_SD_SIDES.includes(longSide) && !hasCamera) {
+    reasons.push(`Long side of ${longSide}px matches WhatsApp SD re-encoding`);
+  }
+
+  if (longSide < LOW_QUALITY_SIDE) {
+    reasons.push(`Long side is under ${LOW_QUALITY_SIDE}px`);
+    return { label: "low", reasons };
+  }
+  if (jpegQuality != null && jpegQuality < LOW_JPEG_QUALITY) {
+    reasons.push(`Heavy compression (quality below ${LOW_JPEG_QUALITY})`);
+    return { label: "low", reasons };
+  }
+
+  const bigEnough = mp >= MIN_GOOD_MP && longSide >= MIN_IMAGE_PX;
+  const cleanEnough = jpegQuality == null || jpegQuality >= GOOD_JPEG_QUALITY;
+  if (bigEnough && (cleanEnough || hasCamera)) {
+    reasons.push(`At least ${MIN_GOOD_MP} MP and ${MIN_IMAGE_PX}px`);
+    return { label: "good", reasons };
+  }
+
+  if (!bigEnough) reasons.push(`Below ${MIN_GOOD_MP} MP / ${MIN_IMAGE_PX}px`);
+  return { label: "medium", reasons };
+}
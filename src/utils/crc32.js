@@ -0,0 +1,17 @@
+// CRC-32 (IEEE 802.3), as used by PNG chunks and ZIP entries. Pass the
+// previous result back in to checksum data that arrives in pieces.
+
+const TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  TABLE[n] = c >>> 0;
+}
+
+export function crc32(bytes, previous = 0) {
+  let crc = previous ^ 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
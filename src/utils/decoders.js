@@ -0,0 +1,346 @@
+// Input decoders for formats the browser can't read natively. Each decoder
+// claims files by MIME type or extension, checks the magic bytes, and turns
+// the file into something every browser decodes: either a JPEG/PNG Blob, or
+// raw RGBA pixels that are re-encoded losslessly as PNG.
+//
+// Heavy decoders (HEIC, TIFF) are imported on demand, so their code is only
+// downloaded when a matching file is added. Everything here runs in the
+// upscale worker as well as on the main thread.
+import { canvasToBlob, createCheckedCanvas } from "./canvas.js";
+import { readJpegSegments } from "./jpeg.js";
+import { readExif } from "./exif.js";
+
+const decoders = [];
+
+// Types every browser decodes. Files of these types never go through a
+// decoder, which also keeps already-converted files from being converted
+// again.
+const NATIVE_TYPES = {
+  "image/jpeg": "JPEG",
+  "image/png": "PNG",
+  "image/webp": "WebP",
+  "image/gif": "GIF",
+  "image/avif": "AVIF",
+};
+
+export class UnsupportedFileError extends Error {
+  constructor(file) {
+    const ext = getExtension(file.name);
+    super(
+      `${ext ? `.${ext}` : file.type || "This file type"} isn't supported. ` +
+        `Use ${[...Object.values(NATIVE_TYPES), ...decoders.map((d) => d.label)].join(", ")}.`
+    );
+    this.name = "UnsupportedFileError";
+  }
+}
+
+function getExtension(name) {
+  const dot = name.lastIndexOf(".");
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : "";
+}
+
+// `decoder` is `{ id, label, extensions, mimeTypes, sniff(bytes), decode(bytes),
+// nativeFirst }`. `decode` resolves with a Blob or `{ width, height, data }`.
+// With `nativeFirst`, the browser gets the first try and the decoder is only
+// a fallback.
+export function registerDecoder(decoder) {
+  decoders.push(decoder);
+}
+
+export function findDecoder(file) {
+  if (NATIVE_TYPES[file.type]) return null;
+  const ext = getExtension(file.name);
+  return (
+    decoders.find((d) => d.mimeTypes.includes(file.type) || d.extensions.includes(ext)) || null
+  );
+}
+
+// Whether a file should be accepted at all: anything the browser calls an
+// image, plus whatever a registered decoder claims.
+export function isSupportedFile(file) {
+  return file.type.startsWith("image/") || Boolean(findDecoder(file));
+}
+
+// Whether `decodeInput` has work to do (or an error to report) for `file`.
+export function needsDecoding(file) {
+  return Boolean(findDecoder(file)) || !isSupportedFile(file);
+}
+
+// Value for `<input accept>`, so pickers don't grey out HEIC or RAW files.
+export function getAcceptList() {
+  return ["image/*", ...decoders.flatMap((d) => d.extensions.map((ext) => `.${ext}`))].join(",");
+}
+
+async function decodesNatively(file) {
+  try {
+    const bitmap = await createImageBitmap(file);
+    bitmap.close();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function pixelsToPng({ width, height, data }) {
+  const canvas = createCheckedCanvas(width, height);
+  const rgba = new Uint8ClampedArray(data.buffer, data.byteOffset, width * height * 4);
+  canvas.getContext("2d").putImageData(new ImageData(rgba, width, height), 0, 0);
+  return canvasToBlob(canvas, "image/png");
+}
+
+// Turn `file` into a File the browser can decode, keeping its name and date
+// so output names and sorting are unchanged. Files without a matching
+// decoder are returned as they are.
+export async function decodeInput(file, onProgress = () => {}) {
+  const decoder = findDecoder(file);
+  if (!decoder) {
+    if (file.type.startsWith("image/")) return file;
+    throw new UnsupportedFileError(file);
+  }
+  onProgress(0, "decoding");
+  if (decoder.nativeFirst && (await decodesNatively(file))) return file;
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (!decoder.sniff(bytes)) {
+    // Misnamed file (a JPEG saved as .heic, say): let the browser try.
+    if (await decodesNatively(file)) return file;
+    throw new Error(`This doesn't look like a valid ${decoder.label} file.`);
+  }
+  let decoded;
+  try {
+    decoded = await decoder.decode(bytes);
+  } catch (err) {
+    throw new Error(`Couldn't decode ${decoder.label}: ${err.message}`);
+  }
+  const blob = decoded instanceof Blob ? decoded : await pixelsToPng(decoded);
+  return new File([blob], file.name, { type: blob.type, lastModified: file.lastModified });
+}
+
+// --- HEIC / HEIF ----------------------------------------------------------
+
+const HEIF_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"];
+
+registerDecoder({
+  id: "heic",
+  label: "HEIC/HEIF",
+  extensions: ["heic", "heif", "hif"],
+  mimeTypes: ["image/heic", "image/heif", "image/heic-sequence", "image/heif-sequence"],
+  // Safari decodes HEIC itself.
+  nativeFirst: true,
+  sniff(bytes) {
+    if (bytes.length < 12) return false;
+    const box = String.fromCharCode(...bytes.subarray(4, 8));
+    const brand = String.fromCharCode(...bytes.subarray(8, 12));
+    return box === "ftyp" && HEIF_BRANDS.includes(brand);
+  },
+  async decode(bytes) {
+    // libheif applies the HEIF rotation and mirroring while decoding.
+    const { default: decode } = await import("heic-decode");
+    return decode({ buffer: bytes });
+  },
+});
+
+// --- TIFF -----------------------------------------------------------------
+
+registerDecoder({
+  id: "tiff",
+  label: "TIFF",
+  extensions: ["tif", "tiff"],
+  mimeTypes: ["image/tiff", "image/tiff-fx"],
+  nativeFirst: true,
+  sniff(bytes) {
+    return (
+      (bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 42 && bytes[3] === 0) ||
+      (bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[2] === 0 && bytes[3] === 42)
+    );
+  },
+  async decode(bytes) {
+    const { default: UTIF } = await import("utif");
+    const ifds = UTIF.decode(bytes.buffer);
+    // Multi-page scans and files with thumbnails: take the largest page.
+    let page = null;
+    for (const ifd of ifds) {
+      UTIF.decodeImage(bytes.buffer, ifd);
+      if (!page || ifd.width * ifd.height > page.width * page.height) page = ifd;
+    }
+    if (!page || !page.width) throw new Error("no image data found");
+    return { width: page.width, height: page.height, data: UTIF.toRGBA8(page) };
+  },
+});
+
+// --- BMP ------------------------------------------------------------------
+
+// Every browser reads common BMPs; this covers the odd ones some don't
+// (top-down rows, bitfield masks) and browsers with image decoding
+// disabled in workers.
+function decodeBmp(bytes) {
+  const v = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const dataOffset = v.getUint32(10, true);
+  const headerSize = v.getUint32(14, true);
+  const width = v.getInt32(18, true);
+  const rawHeight = v.getInt32(22, true);
+  const bpp = v.getUint16(28, true);
+  const compression = headerSize >= 40 ? v.getUint32(30, true) : 0;
+  const height = Math.abs(rawHeight);
+  const topDown = rawHeight < 0;
+  if (width <= 0 || height === 0) throw new Error("invalid dimensions");
+  if (compression !== 0 && !(compression === 3 && (bpp === 16 || bpp === 32))) {
+    throw new Error("compressed BMPs aren't supported");
+  }
+
+  let masks = null;
+  if (compression === 3) {
+    // Masks sit right after the 40-byte header, inside it for V2+ headers.
+    // Only V3+ headers have an alpha mask.
+    masks = [0, 1, 2, 3].map((i) => (i < 3 || headerSize >= 56 ? v.getUint32(54 + i * 4, true) : 0));
+  } else if (bpp === 16) {
+    masks = [0x7c00, 0x03e0, 0x001f, 0];
+  }
+  const channel = (value, mask) => {
+    if (!mask) return 255;
+    const shift = Math.clz32(1) - Math.clz32(mask & -mask);
+    const max = mask >>> shift;
+    return Math.round((((value & mask) >>> shift) * 255) / max);
+  };
+
+  let palette = null;
+  if (bpp <= 8) {
+    const colors = (headerSize >= 40 && v.getUint32(46, true)) || 1 << bpp;
+    palette = [];
+    for (let i = 0; i < colors; i++) {
+      const p = 14 + headerSize + i * 4;
+      palette.push([bytes[p + 2], bytes[p + 1], bytes[p]]);
+    }
+  } else if (bpp !== 16 && bpp !== 24 && bpp !== 32) {
+    throw new Error(`${bpp}-bit BMPs aren't supported`);
+  }
+
+  const stride = Math.ceil((width * bpp) / 32) * 4;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (topDown ? y : height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      let r, g, b, a = 255;
+      if (palette) {
+        const bit = x * bpp;
+        const index = (bytes[row + (bit >> 3)] >> (8 - bpp - (bit & 7))) & ((1 << bpp) - 1);
+        [r, g, b] = palette[index] || [0, 0, 0];
+      } else if (masks) {
+        const value = bpp === 16 ? v.getUint16(row + x * 2, true) : v.getUint32(row + x * 4, true);
+        r = channel(value, masks[0]);
+        g = channel(value, masks[1]);
+        b = channel(value, masks[2]);
+        a = channel(value, masks[3]);
+      } else {
+        const p = row + x * (bpp / 8);
+        b = bytes[p];
+        g = bytes[p + 1];
+        r = bytes[p + 2];
+      }
+      data[o] = r;
+      data[o + 1] = g;
+      data[o + 2] = b;
+      data[o + 3] = a;
+    }
+  }
+  return { width, height, data };
+}
+
+registerDecoder({
+  id: "bmp",
+  label: "BMP",
+  extensions: ["bmp", "dib"],
+  mimeTypes: ["image/bmp", "image/x-bmp", "image/x-ms-bmp"],
+  nativeFirst: true,
+  sniff: (bytes) => bytes[0] === 0x42 && bytes[1] === 0x4d,
+  decode: async (bytes) => decodeBmp(bytes),
+});
+
+// --- Camera RAW (embedded preview) ----------------------------------------
+
+// SOF markers of baseline, extended and progressive JPEGs. Lossless JPEG
+// (SOF3), used for the raw sensor data itself, is skipped.
+const PREVIEW_SOF = [0xc0, 0xc1, 0xc2];
+
+// Find the largest displayable JPEG embedded in a RAW file. Cameras store a
+// full-size or near full-size preview next to the sensor data; decoding the
+// sensor data itself would need a real RAW developer.
+function findLargestPreview(bytes) {
+  let best = null;
+  for (let i = 0; i < bytes.length - 3; i++) {
+    if (bytes[i] !== 0xff || bytes[i + 1] !== 0xd8 || bytes[i + 2] !== 0xff) continue;
+    const segments = readJpegSegments(bytes.subarray(i));
+    const sof = segments.find((s) => PREVIEW_SOF.includes(s.marker));
+    const sos = segments[segments.length - 1];
+    if (!sof || !sos || sos.marker !== 0xda) continue;
+    const height = (sof.data[1] << 8) | sof.data[2];
+    const width = (sof.data[3] << 8) | sof.data[4];
+    // Scan data can't contain FF D9, so the first one after SOS ends it.
+    let end = i + sos.offset + sos.length;
+    while (end < bytes.length - 1 && !(bytes[end] === 0xff && bytes[end + 1] === 0xd9)) end++;
+    if (end >= bytes.length - 1) continue;
+    if (!best || width * height > best.width * best.height) {
+      best = { start: i, end: end + 2, width, height };
+    }
+    i = end + 1;
+  }
+  return best;
+}
+
+// Draw `bitmap` upright for an EXIF orientation (2-8).
+function drawOriented(bitmap, orientation) {
+  const swap = orientation >= 5;
+  const w = bitmap.width;
+  const h = bitmap.height;
+  const canvas = createCheckedCanvas(swap ? h : w, swap ? w : h);
+  const ctx = canvas.getContext("2d");
+  const transforms = {
+    2: [-1, 0, 0, 1, w, 0],
+    3: [-1, 0, 0, -1, w, h],
+    4: [1, 0, 0, -1, 0, h],
+    5: [0, 1, 1, 0, 0, 0],
+    6: [0, 1, -1, 0, h, 0],
+    7: [0, -1, -1, 0, h, w],
+    8: [0, -1, 1, 0, 0, w],
+  };
+  ctx.setTransform(...transforms[orientation]);
+  ctx.drawImage(bitmap, 0, 0);
+  return canvas;
+}
+
+registerDecoder({
+  id: "raw",
+  label: "RAW preview (CR2, CR3, NEF, ARW, DNG, ORF, RW2, RAF, PEF)",
+  extensions: ["cr2", "cr3", "nef", "nrw", "arw", "srf", "sr2", "dng", "orf", "rw2", "raf", "pef", "srw"],
+  mimeTypes: [
+    "image/x-canon-cr2",
+    "image/x-canon-cr3",
+    "image/x-nikon-nef",
+    "image/x-sony-arw",
+    "image/x-adobe-dng",
+    "image/x-olympus-orf",
+    "image/x-panasonic-rw2",
+    "image/x-fuji-raf",
+    "image/x-pentax-pef",
+    "image/x-samsung-srw",
+  ],
+  // Formats vary too much for a magic check; finding a preview is the test.
+  sniff: () => true,
+  async decode(bytes) {
+    const preview = findLargestPreview(bytes);
+    if (!preview) throw new Error("no embedded preview found");
+    const blob = new Blob([bytes.subarray(preview.start, preview.end)], { type: "image/jpeg" });
+    // TIFF-based RAWs keep the camera orientation in the container rather
+    // than in the preview, so bake it in.
+    const exif = readExif(bytes);
+    const orientation = exif && exif.orientation;
+    if (!orientation || orientation === 1 || orientation > 8) return blob;
+    const bitmap = await createImageBitmap(blob, { imageOrientation: "none" });
+    try {
+      return await canvasToBlob(drawOriented(bitmap, orientation), "image/jpeg", 0.95);
+    } finally {
+      bitmap.close();
+    }
+  },
+});
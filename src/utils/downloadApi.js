@@ -0,0 +1,173 @@
+// The StreamFetch download backend's contract and the browser client for it.
+// src/node/mockDownloadServer.js implements it for offline development; a
+// real backend (yt-dlp or similar behind an HTTP service) only has to answer
+// the same routes under its base URL:
+//
+//   GET    /formats?url=…     → { platform, kind, title, uploader, thumbnail,
+//                                duration, formats: [Format], defaultFormat }
+//   POST   /jobs              { url, format } → 202 { job: Job }
+//   GET    /jobs/:id          → { job: Job }                      (polling)
+//   GET    /jobs/:id/events   → text/event-stream of `job` events  (streaming)
+//   DELETE /jobs/:id          → { job: Job }                      (cancel)
+//   GET    /jobs/:id/result   → the file, once the job is "done"
+//
+// Format: { id, label, kind: "video" | "audio", height, ext, bytes }, with
+// `bytes` an estimate. `duration` is in seconds and `thumbnail` an image URL.
+// Job:    { id, url, format, status, progress (0-1), bytesDone, bytesTotal,
+//           fileName, error: { code, message } | null }
+//
+// Errors are JSON: `{ error: { code, message } }`, like the upscale API.
+
+export const DOWNLOAD_API_BASE =
+  (import.meta.env && import.meta.env.VITE_DOWNLOAD_API) || "/api/downloads";
+
+export const JOB_STATUSES = ["queued", "running", "done", "failed", "cancelled"];
+
+export function isFinished(job) {
+  return job.status === "done" || job.status === "failed" || job.status === "cancelled";
+}
+
+const POLL_INTERVAL = 750;
+
+export class DownloadApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "DownloadApiError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+async function readError(response) {
+  try {
+    const { error } = await response.json();
+    return new DownloadApiError(response.status, error.code, error.message);
+  } catch {
+    return new DownloadApiError(response.status, "http_error", `The server answered ${response.status}.`);
+  }
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        },
+        { once: true }
+      );
+    }
+  });
+}
+
+// The file name from a Content-Disposition header, preferring `filename*`.
+function readFileName(header) {
+  if (!header) return null;
+  const extended = /filename\*=UTF-8''([^;]+)/i.exec(header);
+  if (extended) return decodeURIComponent(extended[1]);
+  const plain = /filename="([^"]*)"/i.exec(header);
+  return plain ? plain[1] : null;
+}
+
+// A client for the backend at `baseUrl`. Every method takes an optional
+// AbortSignal; aborting rejects with the signal's reason but leaves the job
+// running on the server (use `cancelJob` for that).
+export function createDownloadClient({ baseUrl = DOWNLOAD_API_BASE, fetch: fetchImpl = globalThis.fetch } = {}) {
+  const base = baseUrl.replace(/\/$/, "");
+
+  async function request(path, { signal, ...init } = {}) {
+    let response;
+    try {
+      response = await fetchImpl(`${base}${path}`, { ...init, signal });
+    } catch (err) {
+      if (signal && signal.aborted) throw signal.reason;
+      throw new DownloadApiError(0, "network_error", `Couldn't reach the download service (${err.message}).`);
+    }
+    if (!response.ok) throw await readError(response);
+    return response;
+  }
+
+  async function getJob(id, { signal } = {}) {
+    const { job } = await (await request(`/jobs/${encodeURIComponent(id)}`, { signal })).json();
+    return job;
+  }
+
+  async function pollJob(id, onUpdate, signal) {
+    for (;;) {
+      const job = await getJob(id, { signal });
+      onUpdate(job);
+      if (isFinished(job)) return job;
+      await wait(POLL_INTERVAL, signal);
+    }
+  }
+
+  // Resolves with the final job from the event stream, or null if the
+  // stream broke before the job finished (the caller then polls).
+  function streamJob(id, onUpdate, signal) {
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`${base}/jobs/${encodeURIComponent(id)}/events`);
+      const close = (settle) => {
+        source.close();
+        if (signal) signal.removeEventListener("abort", onAbort);
+        settle();
+      };
+      const onAbort = () => close(() => reject(signal.reason));
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+      source.addEventListener("job", (e) => {
+        const job = JSON.parse(e.data);
+        onUpdate(job);
+        if (isFinished(job)) close(() => resolve(job));
+      });
+      source.onerror = () => close(() => resolve(null));
+    });
+  }
+
+  return {
+    async listFormats(url, { signal } = {}) {
+      const response = await request(`/formats?${new URLSearchParams({ url })}`, { signal });
+      return response.json();
+    },
+
+    async submitJob(url, format, { signal } = {}) {
+      const response = await request("/jobs", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ url, format }),
+        signal,
+      });
+      const { job } = await response.json();
+      return job;
+    },
+
+    getJob,
+
+    // Calls `onUpdate(job)` on every change and resolves with the finished
+    // job (done, failed or cancelled). Streams when EventSource is there and
+    // the backend supports it, polls otherwise.
+    async watchJob(id, onUpdate, { signal } = {}) {
+      if (signal && signal.aborted) throw signal.reason;
+      if (typeof EventSource !== "undefined") {
+        const job = await streamJob(id, onUpdate, signal);
+        if (job) return job;
+      }
+      return pollJob(id, onUpdate, signal);
+    },
+
+    async cancelJob(id) {
+      const { job } = await (await request(`/jobs/${encodeURIComponent(id)}`, { method: "DELETE" })).json();
+      return job;
+    },
+
+    // Resolves with `{ blob, fileName }`.
+    async fetchResult(id, { signal } = {}) {
+      const response = await request(`/jobs/${encodeURIComponent(id)}/result`, { signal });
+      return {
+        blob: await response.blob(),
+        fileName: readFileName(response.headers.get("content-disposition")),
+      };
+    },
+  };
+}
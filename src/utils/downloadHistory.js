@@ -0,0 +1,104 @@
+// StreamFetch's download history in IndexedDB, one record per finished
+// download with the file itself, so it can be previewed or saved again
+// later. When the browser is out of space the record is kept without the
+// file and Play falls back to the original link.
+
+const DB_NAME = "streamfetch";
+const DB_VERSION = 1;
+const DOWNLOADS = "downloads";
+
+// Entries past this are deleted oldest first.
+export const MAX_DOWNLOADS = 200;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("This browser can't store history (IndexedDB is unavailable)."));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(DOWNLOADS, { keyPath: "id" }).createIndex("createdAt", "createdAt");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let the next call retry instead of caching the failure.
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Same shape as `transact` in utils/history: `fn(store, result)` may only
+// use IndexedDB requests, and the promise resolves with `result.value`.
+async function transact(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DOWNLOADS, mode);
+    const result = { value: undefined };
+    tx.oncomplete = () => resolve(result.value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("History update was aborted."));
+    fn(tx.objectStore(DOWNLOADS), result);
+  });
+}
+
+// Store a finished download: `{ id, url, platform, kind, mediaId, format,
+// quality, title, fileName, blob, createdAt }`. Old entries past
+// MAX_DOWNLOADS are dropped in the same transaction.
+export async function saveDownload(record) {
+  const write = (entry) =>
+    transact("readwrite", (store) => {
+      store.put(entry);
+      let seen = 0;
+      store.index("createdAt").openCursor(null, "prev").onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        seen += 1;
+        if (seen > MAX_DOWNLOADS) cursor.delete();
+        cursor.continue();
+      };
+    });
+  const entry = { ...record, bytes: record.blob ? record.blob.size : record.bytes || 0 };
+  try {
+    await write(entry);
+  } catch (err) {
+    if (!err || err.name !== "QuotaExceededError" || !entry.blob) throw err;
+    await write({ ...entry, blob: null });
+  }
+}
+
+// Every entry, newest first.
+export function listDownloads() {
+  return transact("readonly", (store, result) => {
+    store.index("createdAt").getAll().onsuccess = (e) => {
+      result.value = e.target.result.reverse();
+    };
+  });
+}
+
+export function deleteDownload(id) {
+  return transact("readwrite", (store) => store.delete(id));
+}
+
+export function clearDownloads() {
+  return transact("readwrite", (store) => store.clear());
+}
+
+// Entries matching a free-text `query` (link, title or file name) and the
+// `platform` and `quality` filters; empty values match everything.
+export function filterDownloads(entries, { query = "", platform = "", quality = "" } = {}) {
+  const needle = query.trim().toLowerCase();
+  return entries.filter(
+    (entry) =>
+      (!platform || entry.platform === platform) &&
+      (!quality || entry.quality === quality) &&
+      (!needle ||
+        [entry.url, entry.title, entry.fileName].some((text) => text && text.toLowerCase().includes(needle)))
+  );
+}
@@ -0,0 +1,235 @@
+// StreamFetch's download queue. Each item runs the whole client flow (list
+// formats, submit, watch, fetch the result) with at most `concurrency` items
+// at a time, in the order they were added.
+//
+// Items move through queued → running → done | failed | cancelled, and can
+// be paused while queued or running. The backend can't pause a job, so
+// pausing a running item cancels its job and resuming starts it over.
+//
+// The queue is framework-free: `subscribe` is called with a fresh array of
+// item snapshots on every change, which suits React state directly.
+
+export const MAX_CONCURRENCY = 4;
+
+const ACTIVE = ["queued", "running", "paused"];
+
+// The format closest to `preference` ({ id, kind, height }): the same id if
+// the link has it, else the tallest of the same kind that isn't taller,
+// else the backend's default.
+export function pickFormat(info, preference) {
+  const { formats } = info;
+  if (preference) {
+    const exact = formats.find((f) => f.id === preference.id);
+    if (exact) return exact;
+    const sameKind = formats.filter((f) => f.kind === preference.kind);
+    const fitting = sameKind
+      .filter((f) => !preference.height || (f.height || 0) <= preference.height)
+      .sort((a, b) => (b.height || 0) - (a.height || 0));
+    if (fitting.length > 0) return fitting[0];
+  }
+  return formats.find((f) => f.id === info.defaultFormat) || formats[0] || null;
+}
+
+let nextItemId = 1;
+
+// `onFinished({ item, blob, fileName })` is called for every completed
+// download; saving the file is up to the caller.
+export function createDownloadQueue({ client, concurrency = 2, onFinished = () => {} }) {
+  let items = [];
+  let limit = concurrency;
+  let paused = false;
+  const running = new Map();
+  const listeners = new Set();
+
+  function emit() {
+    for (const listener of listeners) listener(items);
+  }
+
+  function find(id) {
+    return items.find((item) => item.id === id);
+  }
+
+  function patch(id, changes) {
+    items = items.map((item) => (item.id === id ? { ...item, ...changes } : item));
+    emit();
+  }
+
+  function pump() {
+    while (!paused && running.size < limit) {
+      const next = items.find((item) => item.status === "queued");
+      if (!next) return;
+      start(next.id);
+    }
+  }
+
+  async function start(id) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    running.set(id, controller);
+    patch(id, { status: "running", stage: "formats", progress: 0, bytesDone: 0, bytesTotal: 0, error: null });
+    try {
+      const item = find(id);
+      const info = await client.listFormats(item.url, { signal });
+      const format = pickFormat(info, item.preference);
+      if (!format) throw new Error("The server has no downloadable formats for this link.");
+      patch(id, { format: format.id, quality: format.label, title: info.title, stage: "submitting" });
+
+      const job = await client.submitJob(item.url, format.id, { signal });
+      patch(id, { jobId: job.id, stage: job.status });
+      const finished = await client.watchJob(
+        job.id,
+        (update) =>
+          patch(id, {
+            stage: update.status,
+            progress: update.progress,
+            bytesDone: update.bytesDone,
+            bytesTotal: update.bytesTotal,
+          }),
+        { signal }
+      );
+      if (finished.status === "cancelled") {
+        patch(id, { status: "cancelled", jobId: null });
+        return;
+      }
+      if (finished.status === "failed") {
+        throw new Error((finished.error && finished.error.message) || "The download failed.");
+      }
+
+      patch(id, { stage: "saving" });
+      const result = await client.fetchResult(job.id, { signal });
+      const fileName = result.fileName || finished.fileName || "download";
+      patch(id, { status: "done", stage: "done", progress: 1, fileName, jobId: null, finishedAt: Date.now() });
+      onFinished({ item: find(id), blob: result.blob, fileName });
+    } catch (err) {
+      // Aborted by pause, cancel or remove, which already set the status.
+      if (!signal.aborted) patch(id, { status: "failed", error: err.message, jobId: null });
+    } finally {
+      running.delete(id);
+      pump();
+    }
+  }
+
+  // Stop a running item: cancel its job on the server and stop watching it.
+  function stop(id, changes) {
+    const item = find(id);
+    if (item && item.jobId) client.cancelJob(item.jobId).catch(() => {});
+    patch(id, { ...changes, jobId: null });
+    running.get(id).abort();
+  }
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      listener(items);
+      return () => listeners.delete(listener);
+    },
+
+    getItems() {
+      return items;
+    },
+
+    // Add links (results of `parseMediaUrl`) to the end of the queue, each
+    // to be downloaded in the format nearest `preference`. Links already
+    // waiting or running are skipped; returns the number added.
+    add(links, preference) {
+      const active = new Set(items.filter((item) => ACTIVE.includes(item.status)).map((item) => item.url));
+      const added = [];
+      for (const link of links) {
+        if (active.has(link.canonicalUrl)) continue;
+        active.add(link.canonicalUrl);
+        added.push({
+          id: nextItemId++,
+          url: link.canonicalUrl,
+          platform: link.platform,
+          kind: link.kind,
+          mediaId: link.id,
+          preference,
+          status: "queued",
+          stage: "queued",
+          progress: 0,
+          bytesDone: 0,
+          bytesTotal: 0,
+          title: null,
+          format: null,
+          quality: null,
+          jobId: null,
+          error: null,
+        });
+      }
+      if (added.length > 0) {
+        items = [...items, ...added];
+        emit();
+        pump();
+      }
+      return added.length;
+    },
+
+    pause(id) {
+      const item = find(id);
+      if (!item) return;
+      if (item.status === "queued") patch(id, { status: "paused", stage: "paused" });
+      else if (item.status === "running") stop(id, { status: "paused", stage: "paused", progress: 0, bytesDone: 0 });
+    },
+
+    resume(id) {
+      const item = find(id);
+      if (item && item.status === "paused") {
+        patch(id, { status: "queued", stage: "queued" });
+        pump();
+      }
+    },
+
+    cancel(id) {
+      const item = find(id);
+      if (!item) return;
+      if (item.status === "running") stop(id, { status: "cancelled", stage: "cancelled" });
+      else if (item.status === "queued" || item.status === "paused") patch(id, { status: "cancelled", stage: "cancelled" });
+    },
+
+    retry(id) {
+      const item = find(id);
+      if (item && (item.status === "failed" || item.status === "cancelled")) {
+        patch(id, { status: "queued", stage: "queued", progress: 0, bytesDone: 0, error: null });
+        pump();
+      }
+    },
+
+    remove(id) {
+      if (running.has(id)) stop(id, { status: "cancelled" });
+      items = items.filter((item) => item.id !== id);
+      emit();
+    },
+
+    // Drop done and cancelled items from the list.
+    clearFinished() {
+      items = items.filter((item) => item.status !== "done" && item.status !== "cancelled");
+      emit();
+    },
+
+    // Stop starting new items; running ones carry on.
+    pauseAll() {
+      paused = true;
+    },
+
+    resumeAll() {
+      paused = false;
+      pump();
+    },
+
+    isPaused() {
+      return paused;
+    },
+
+    setConcurrency(n) {
+      limit = Math.max(1, Math.min(MAX_CONCURRENCY, n));
+      pump();
+    },
+
+    // Pause everything running, e.g. when the page goes away.
+    stopAll() {
+      for (const id of [...running.keys()]) {
+        stop(id, { status: "paused", stage: "paused", progress: 0, bytesDone: 0 });
+      }
+    },
+  };
+}
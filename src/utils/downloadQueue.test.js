@@ -0,0 +1,191 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_CONCURRENCY, createDownloadQueue, pickFormat } from "./downloadQueue.js";
+
+const FORMATS = {
+  title: "Clip",
+  defaultFormat: "720p",
+  formats: [
+    { id: "1080p", kind: "video", height: 1080, label: "1080p" },
+    { id: "720p", kind: "video", height: 720, label: "720p" },
+    { id: "360p", kind: "video", height: 360, label: "360p" },
+    { id: "m4a", kind: "audio", label: "Audio" },
+  ],
+};
+
+// Let pending promise callbacks run.
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+// A backend whose jobs stay running until the test finishes or fails them.
+function createFakeClient() {
+  const jobs = new Map();
+  let nextJob = 1;
+  const client = {
+    calls: { listFormats: 0, cancelJob: [] },
+    async listFormats() {
+      client.calls.listFormats++;
+      return FORMATS;
+    },
+    async submitJob(url, formatId) {
+      const id = `job-${nextJob++}`;
+      jobs.set(id, { url, formatId });
+      return { id, status: "queued" };
+    },
+    watchJob(jobId, onUpdate, { signal }) {
+      return new Promise((resolve, reject) => {
+        Object.assign(jobs.get(jobId), { onUpdate, resolve });
+        signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+      });
+    },
+    async fetchResult(jobId) {
+      return { blob: new Blob([jobs.get(jobId).url]), fileName: `${jobId}.mp4` };
+    },
+    async cancelJob(jobId) {
+      client.calls.cancelJob.push(jobId);
+    },
+    // The job for `url` that's currently being watched.
+    job(url) {
+      return [...jobs.values()].findLast((job) => job.url === url && job.resolve);
+    },
+  };
+  return client;
+}
+
+const link = (n) => ({
+  canonicalUrl: `https://youtu.be/video${n}`,
+  platform: "YouTube",
+  kind: "video",
+  id: `video${n}`,
+});
+const statuses = (queue) => queue.getItems().map((item) => item.status);
+
+test("pickFormat prefers the same id, then the tallest that fits, then the default", () => {
+  assert.equal(pickFormat(FORMATS, { id: "360p", kind: "video", height: 360 }).id, "360p");
+  assert.equal(pickFormat(FORMATS, { id: "1440p", kind: "video", height: 1440 }).id, "1080p");
+  assert.equal(pickFormat(FORMATS, { id: "900p", kind: "video", height: 900 }).id, "720p");
+  assert.equal(pickFormat(FORMATS, { id: "opus", kind: "audio" }).id, "m4a");
+  assert.equal(pickFormat(FORMATS, { id: "144p", kind: "video", height: 144 }).id, "720p");
+  assert.equal(pickFormat(FORMATS, null).id, "720p");
+  assert.equal(pickFormat({ formats: [] }, null), null);
+});
+
+test("runs at most `concurrency` items, in order, and reports finished files", async () => {
+  const client = createFakeClient();
+  const finished = [];
+  const queue = createDownloadQueue({ client, concurrency: 2, onFinished: (done) => finished.push(done) });
+  assert.equal(queue.add([link(1), link(2), link(3)]), 3);
+  await settle();
+  assert.deepEqual(statuses(queue), ["running", "running", "queued"]);
+
+  client.job(link(1).canonicalUrl).onUpdate({ status: "downloading", progress: 0.5, bytesDone: 5, bytesTotal: 10 });
+  assert.equal(queue.getItems()[0].progress, 0.5);
+  client.job(link(1).canonicalUrl).resolve({ status: "done" });
+  await settle();
+  assert.deepEqual(statuses(queue), ["done", "running", "running"]);
+  assert.equal(finished.length, 1);
+  assert.equal(finished[0].fileName, "job-1.mp4");
+  assert.equal(await finished[0].blob.text(), link(1).canonicalUrl);
+  assert.equal(queue.getItems()[0].format, "720p");
+});
+
+test("links already waiting or running aren't added twice", async () => {
+  const queue = createDownloadQueue({ client: createFakeClient(), concurrency: 1 });
+  assert.equal(queue.add([link(1), link(2), link(1)]), 2);
+  assert.equal(queue.add([link(2), link(3)]), 1);
+  assert.equal(queue.getItems().length, 3);
+});
+
+test("pausing a running item cancels its job and resuming starts it over", async () => {
+  const client = createFakeClient();
+  const queue = createDownloadQueue({ client, concurrency: 1 });
+  queue.add([link(1), link(2)]);
+  await settle();
+  const [first] = queue.getItems();
+
+  queue.pause(first.id);
+  await settle();
+  assert.deepEqual(client.calls.cancelJob, ["job-1"]);
+  assert.deepEqual(statuses(queue), ["paused", "running"]);
+
+  queue.resume(first.id);
+  client.job(link(2).canonicalUrl).resolve({ status: "done" });
+  await settle();
+  assert.deepEqual(statuses(queue), ["running", "done"]);
+  assert.equal(client.calls.listFormats, 3);
+});
+
+test("failed jobs keep the server's message and can be retried", async () => {
+  const client = createFakeClient();
+  const queue = createDownloadQueue({ client });
+  queue.add([link(1)]);
+  await settle();
+  client.job(link(1).canonicalUrl).resolve({ status: "failed", error: { message: "Video is private." } });
+  await settle();
+  const [item] = queue.getItems();
+  assert.equal(item.status, "failed");
+  assert.equal(item.error, "Video is private.");
+
+  queue.retry(item.id);
+  await settle();
+  assert.equal(queue.getItems()[0].status, "running");
+  assert.equal(queue.getItems()[0].error, null);
+});
+
+test("pauseAll holds queued items until resumeAll", async () => {
+  const client = createFakeClient();
+  const queue = createDownloadQueue({ client, concurrency: 1 });
+  queue.pauseAll();
+  queue.add([link(1), link(2)]);
+  await settle();
+  assert.deepEqual(statuses(queue), ["queued", "queued"]);
+  assert.equal(queue.isPaused(), true);
+
+  queue.resumeAll();
+  await settle();
+  assert.deepEqual(statuses(queue), ["running", "queued"]);
+  queue.setConcurrency(100);
+  await settle();
+  assert.deepEqual(statuses(queue), ["running", "running"]);
+});
+
+test("setConcurrency stays within 1 and MAX_CONCURRENCY", async () => {
+  const queue = createDownloadQueue({ client: createFakeClient(), concurrency: 1 });
+  queue.setConcurrency(0);
+  queue.add([1, 2, 3, 4, 5, 6].map(link));
+  await settle();
+  assert.equal(statuses(queue).filter((s) => s === "running").length, 1);
+  queue.setConcurrency(MAX_CONCURRENCY + 10);
+  await settle();
+  assert.equal(statuses(queue).filter((s) => s === "running").length, MAX_CONCURRENCY);
+});
+
+test("cancel, remove and clearFinished", async () => {
+  const client = createFakeClient();
+  const queue = createDownloadQueue({ client, concurrency: 1 });
+  queue.add([link(1), link(2), link(3)]);
+  await settle();
+  const [first, second, third] = queue.getItems();
+
+  queue.cancel(second.id);
+  queue.remove(first.id);
+  await settle();
+  assert.deepEqual(client.calls.cancelJob, ["job-1"]);
+  assert.deepEqual(statuses(queue), ["cancelled", "running"]);
+
+  client.job(link(3).canonicalUrl).resolve({ status: "done" });
+  await settle();
+  queue.clearFinished();
+  assert.deepEqual(queue.getItems(), []);
+  assert.equal(third.status, "queued", "snapshots aren't mutated");
+});
+
+test("subscribers get the items straight away and on every change", () => {
+  const queue = createDownloadQueue({ client: createFakeClient() });
+  const seen = [];
+  const unsubscribe = queue.subscribe((items) => seen.push(items.length));
+  queue.pauseAll();
+  queue.add([link(1)]);
+  unsubscribe();
+  queue.add([link(2)]);
+  assert.deepEqual(seen, [0, 1]);
+});
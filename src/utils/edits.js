@@ -0,0 +1,105 @@
+// Non-destructive per-image edits: 90° rotation, flips, straightening and
+// cropping. Edits are plain data so they can be copied between images and
+// posted to workers; they're only applied to pixels at export time.
+//
+// The crop is stored normalised (0-1) against the frame left after rotating
+// and straightening, so it survives being copied to other images.
+import { createCheckedCanvas } from "./canvas.js";
+
+export const ASPECT_RATIOS = {
+  free: null,
+  "1:1": 1,
+  "4:5": 4 / 5,
+  "16:9": 16 / 9,
+  "9:16": 9 / 16,
+};
+
+export const DEFAULT_EDITS = {
+  rotate: 0,
+  flipH: false,
+  flipV: false,
+  straighten: 0,
+  aspect: "free",
+  crop: null,
+};
+
+export function hasEdits(edits) {
+  if (!edits) return false;
+  return (
+    edits.rotate !== 0 ||
+    edits.flipH ||
+    edits.flipV ||
+    edits.straighten !== 0 ||
+    edits.crop !== null
+  );
+}
+
+// Size of the image after the 90° rotation and straightening, before the
+// crop. Straightening zooms in just enough to hide the empty corners.
+export function getFrameSize(width, height, edits) {
+  const quarter = edits.rotate === 90 || edits.rotate === 270;
+  const w = quarter ? height : width;
+  const h = quarter ? width : height;
+  if (!edits.straighten) return { width: w, height: h };
+  const angle = Math.abs((edits.straighten * Math.PI) / 180);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const k = Math.min(w / (w * cos + h * sin), h / (w * sin + h * cos));
+  return { width: w * k, height: h * k };
+}
+
+// The crop rectangle in frame pixels.
+export function getCropRect(frame, crop) {
+  const c = crop || { x: 0, y: 0, width: 1, height: 1 };
+  return {
+    x: Math.round(c.x * frame.width),
+    y: Math.round(c.y * frame.height),
+    width: Math.max(1, Math.round(c.width * frame.width)),
+    height: Math.max(1, Math.round(c.height * frame.height)),
+  };
+}
+
+export function getEditedSize(width, height, edits) {
+  if (!hasEdits(edits)) return { width, height };
+  const rect = getCropRect(getFrameSize(width, height, edits), edits.crop);
+  return { width: rect.width, height: rect.height };
+}
+
+// The largest centred crop with the given aspect ratio (width / height).
+export function centeredCrop(frame, ratio) {
+  if (!ratio) return null;
+  const frameRatio = frame.width / frame.height;
+  return frameRatio > ratio
+    ? { x: (1 - ratio / frameRatio) / 2, y: 0, width: ratio / frameRatio, height: 1 }
+    : { x: 0, y: (1 - frameRatio / ratio) / 2, width: 1, height: frameRatio / ratio };
+}
+
+// Adapt edits made on one image to another, re-centring fixed-ratio crops
+// so the ratio still holds on a differently shaped image.
+export function adaptEdits(edits, width, height) {
+  const ratio = ASPECT_RATIOS[edits.aspect];
+  if (!ratio) return { ...edits };
+  return { ...edits, crop: centeredCrop(getFrameSize(width, height, edits), ratio) };
+}
+
+// Render `source` (an ImageBitmap or canvas) with the edits applied at
+// `scale` times its resolution. Returns a canvas.
+export function applyEdits(source, edits, scale = 1) {
+  const frame = getFrameSize(source.width * scale, source.height * scale, edits);
+  const rect = getCropRect(frame, edits.crop);
+  const canvas = createCheckedCanvas(rect.width, rect.height);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+
+  // Read bottom-up: rotate by quarters, flip as the user sees it, then
+  // straighten around the frame centre and shift so the crop is at 0,0.
+  ctx.translate(-rect.x, -rect.y);
+  ctx.translate(frame.width / 2, frame.height / 2);
+  ctx.rotate((edits.straighten * Math.PI) / 180);
+  ctx.scale(edits.flipH ? -1 : 1, edits.flipV ? -1 : 1);
+  ctx.rotate((edits.rotate * Math.PI) / 180);
+  const w = source.width * scale;
+  const h = source.height * scale;
+  ctx.drawImage(source, -w / 2, -h / 2, w, h);
+  return canvas;
+}
@@ -0,0 +1,203 @@
+// Optional clean-up filters run on the source pixels before upscaling, so
+// compression artifacts aren't magnified along with the image. All of them
+// work in place on RGBA data and take a strength from 0 (off) to 1.
+
+export const ENHANCEMENTS = {
+  deblock: "JPEG deblocking",
+  denoise: "Denoise",
+  whiteBalance: "White balance",
+  levels: "Auto levels",
+};
+
+export const DEFAULT_ENHANCE = {
+  deblock: 0,
+  denoise: 0,
+  whiteBalance: 0,
+  levels: 0,
+};
+
+const BLOCK = 8;
+
+export function hasEnhancements(enhance) {
+  return Boolean(enhance) && Object.keys(ENHANCEMENTS).some((key) => enhance[key] > 0);
+}
+
+function clampByte(v) {
+  return v < 0 ? 0 : v > 255 ? 255 : Math.round(v);
+}
+
+// Smooth the step across 8×8 block boundaries where it's small and the
+// pixels either side are flat: that's a blocking artifact, not a real edge.
+// `offsetX`/`offsetY` align the grid when working on a crop of the image.
+export function deblock(data, w, h, strength, offsetX = 0, offsetY = 0) {
+  if (strength <= 0) return data;
+  const threshold = 4 + 28 * strength;
+
+  const filterEdge = (i0, i1, im, ip) => {
+    for (let c = 0; c < 3; c++) {
+      const p0 = data[i0 + c];
+      const q0 = data[i1 + c];
+      const step = q0 - p0;
+      if (Math.abs(step) >= threshold) continue;
+      if (Math.abs(data[im + c] - p0) >= threshold / 2) continue;
+      if (Math.abs(data[ip + c] - q0) >= threshold / 2) continue;
+      const d = (step / 4) * strength;
+      data[im + c] = clampByte(data[im + c] + d / 2);
+      data[i0 + c] = clampByte(p0 + d);
+      data[i1 + c] = clampByte(q0 - d);
+      data[ip + c] = clampByte(data[ip + c] - d / 2);
+    }
+  };
+
+  const firstX = (BLOCK - (offsetX % BLOCK)) % BLOCK || BLOCK;
+  for (let x = firstX; x < w - 1; x += BLOCK) {
+    if (x < 2) continue;
+    for (let y = 0; y < h; y++) {
+      const row = y * w;
+      filterEdge((row + x - 1) * 4, (row + x) * 4, (row + x - 2) * 4, (row + x + 1) * 4);
+    }
+  }
+  const firstY = (BLOCK - (offsetY % BLOCK)) % BLOCK || BLOCK;
+  for (let y = firstY; y < h - 1; y += BLOCK) {
+    if (y < 2) continue;
+    for (let x = 0; x < w; x++) {
+      filterEdge(((y - 1) * w + x) * 4, (y * w + x) * 4, ((y - 2) * w + x) * 4, ((y + 1) * w + x) * 4);
+    }
+  }
+  return data;
+}
+
+// Edge-preserving bilateral filter. Stronger settings widen the range
+// kernel so more of the grain is averaged away.
+export function denoise(data, w, h, strength) {
+  if (strength <= 0) return data;
+  const radius = strength > 0.5 ? 3 : 2;
+  const sigmaSpace = radius / 1.5;
+  const sigmaRange = 8 + 40 * strength;
+  const spatial = [];
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      spatial.push({ dx, dy, w: Math.exp(-(dx * dx + dy * dy) / (2 * sigmaSpace * sigmaSpace)) });
+    }
+  }
+  const rangeLut = new Float32Array(256 * 3);
+  for (let i = 0; i < rangeLut.length; i++) {
+    rangeLut[i] = Math.exp(-(i * i) / (2 * sigmaRange * sigmaRange * 3));
+  }
+
+  const src = data.slice();
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const o = (y * w + x) * 4;
+      let r = 0, g = 0, b = 0, total = 0;
+      for (const s of spatial) {
+        const sx = Math.min(w - 1, Math.max(0, x + s.dx));
+        const sy = Math.min(h - 1, Math.max(0, y + s.dy));
+        const p = (sy * w + sx) * 4;
+        const diff =
+          Math.abs(src[p] - src[o]) + Math.abs(src[p + 1] - src[o + 1]) + Math.abs(src[p + 2] - src[o + 2]);
+        const weight = s.w * rangeLut[diff];
+        r += src[p] * weight;
+        g += src[p + 1] * weight;
+        b += src[p + 2] * weight;
+        total += weight;
+      }
+      data[o] = clampByte(src[o] + (r / total - src[o]) * strength);
+      data[o + 1] = clampByte(src[o + 1] + (g / total - src[o + 1]) * strength);
+      data[o + 2] = clampByte(src[o + 2] + (b / total - src[o + 2]) * strength);
+    }
+  }
+  return data;
+}
+
+function channelMeans(data) {
+  let r = 0, g = 0, b = 0;
+  const n = data.length / 4;
+  for (let p = 0; p < data.length; p += 4) {
+    r += data[p];
+    g += data[p + 1];
+    b += data[p + 2];
+  }
+  return r && g && b ? { r: r / n, g: g / n, b: b / n } : null;
+}
+
+// Gray-world white balance: scale each channel so their means match.
+// `means` are the channel means to balance, by default those of `data`; null
+// when a channel is empty, which leaves the pixels alone.
+export function whiteBalance(data, strength, means) {
+  if (strength <= 0) return data;
+  const measured = means === undefined ? channelMeans(data) : means;
+  if (!measured) return data;
+  const { r, g, b } = measured;
+  const gray = (r + g + b) / 3;
+  // Cap the correction so strongly tinted scenes (sunsets) aren't neutralised.
+  const gain = (mean) => 1 + (Math.min(1.5, Math.max(0.67, gray / mean)) - 1) * strength;
+  const gr = gain(r);
+  const gg = gain(g);
+  const gb = gain(b);
+  for (let p = 0; p < data.length; p += 4) {
+    data[p] = clampByte(data[p] * gr);
+    data[p + 1] = clampByte(data[p + 1] * gg);
+    data[p + 2] = clampByte(data[p + 2] * gb);
+  }
+  return data;
+}
+
+// The luma values the darkest and brightest 0.5% of pixels start at.
+function levelRange(data) {
+  const histogram = new Uint32Array(256);
+  for (let p = 0; p < data.length; p += 4) {
+    histogram[clampByte(0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2])]++;
+  }
+  const clip = (data.length / 4) * 0.005;
+  let low = 0;
+  for (let sum = 0; low < 255 && sum + histogram[low] <= clip; low++) sum += histogram[low];
+  let high = 255;
+  for (let sum = 0; high > 0 && sum + histogram[high] <= clip; high--) sum += histogram[high];
+  return { low, high };
+}
+
+// Stretch the luma histogram so the darkest/brightest 0.5% hit black/white.
+// `range` is the `{ low, high }` to stretch, by default measured on `data`.
+export function autoLevels(data, strength, range = null) {
+  if (strength <= 0) return data;
+  const { low, high } = range || levelRange(data);
+  if (high - low < 16) return data;
+
+  const lut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    const stretched = ((v - low) * 255) / (high - low);
+    lut[v] = clampByte(v + (stretched - v) * strength);
+  }
+  for (let p = 0; p < data.length; p += 4) {
+    data[p] = lut[data[p]];
+    data[p + 1] = lut[data[p + 1]];
+    data[p + 2] = lut[data[p + 2]];
+  }
+  return data;
+}
+
+// The statistics white balance and auto levels would take from `data`, for
+// filtering a crop as part of the whole image: pass a downscaled copy of the
+// full frame and hand the result to `applyEnhancements`.
+export function measureEnhancements(data, enhance) {
+  const means = enhance.whiteBalance > 0 ? channelMeans(data) : null;
+  let range = null;
+  if (enhance.levels > 0) {
+    // Levels run after white balance, so they see its output.
+    range = levelRange(means ? whiteBalance(data.slice(), enhance.whiteBalance, means) : data);
+  }
+  return { means, range };
+}
+
+// Run every enabled filter in the order that works best: remove block
+// edges and noise first so they don't skew the colour statistics.
+// `offsetX`/`offsetY` place a crop on the deblocking grid and `stats`, from
+// `measureEnhancements`, replaces the crop's own colour statistics.
+export function applyEnhancements(data, w, h, enhance, { offsetX = 0, offsetY = 0, stats = null } = {}) {
+  deblock(data, w, h, enhance.deblock, offsetX, offsetY);
+  denoise(data, w, h, enhance.denoise);
+  whiteBalance(data, enhance.whiteBalance, stats ? stats.means : undefined);
+  autoLevels(data, enhance.levels, stats && stats.range);
+  return data;
+}
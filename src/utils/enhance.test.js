@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_ENHANCE, applyEnhancements, hasEnhancements, measureEnhancements } from "./enhance.js";
+
+// A warm-tinted, low-contrast gradient: the left half darker than the right.
+function photo(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const v = 60 + (100 * x) / width + (20 * y) / height;
+      data[o] = v + 30;
+      data[o + 1] = v;
+      data[o + 2] = v - 20;
+      data[o + 3] = 255;
+    }
+  }
+  return data;
+}
+
+function crop(data, width, { x, y, width: cropW, height: cropH }) {
+  const out = new Uint8ClampedArray(cropW * cropH * 4);
+  for (let row = 0; row < cropH; row++) {
+    const start = ((y + row) * width + x) * 4;
+    out.set(data.subarray(start, start + cropW * 4), row * cropW * 4);
+  }
+  return out;
+}
+
+const COLOUR = { ...DEFAULT_ENHANCE, whiteBalance: 1, levels: 1 };
+const RECT = { x: 8, y: 8, width: 16, height: 8 };
+
+test("hasEnhancements is false for the defaults", () => {
+  assert.equal(hasEnhancements(DEFAULT_ENHANCE), false);
+  assert.equal(hasEnhancements(null), false);
+  assert.equal(hasEnhancements(COLOUR), true);
+});
+
+test("a crop filtered with the full frame's statistics matches the filtered frame", () => {
+  const full = photo(64, 32);
+  const stats = measureEnhancements(full, COLOUR);
+  const expected = crop(applyEnhancements(full.slice(), 64, 32, COLOUR), 64, RECT);
+  const part = crop(full, 64, RECT);
+  assert.deepEqual(applyEnhancements(part.slice(), RECT.width, RECT.height, COLOUR, { stats }), expected);
+  assert.notDeepEqual(applyEnhancements(part.slice(), RECT.width, RECT.height, COLOUR), expected);
+});
+
+test("measureEnhancements leaves the pixels alone and skips unused statistics", () => {
+  const full = photo(16, 16);
+  const before = full.slice();
+  assert.deepEqual(measureEnhancements(full, DEFAULT_ENHANCE), { means: null, range: null });
+  measureEnhancements(full, COLOUR);
+  assert.deepEqual(full, before);
+});
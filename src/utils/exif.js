@@ -0,0 +1,253 @@
+// EXIF (TIFF IFD) parsing for the handful of tags the upscaler cares about,
+// plus in-place edits used when copying EXIF into the HD output.
+
+const TAGS = {
+  0x010f: "make",
+  0x0110: "model",
+  0x0112: "orientation",
+  0x0131: "software",
+  0x0132: "dateTime",
+  0x9003: "dateTimeOriginal",
+  0xa002: "pixelWidth",
+  0xa003: "pixelHeight",
+};
+const GPS_TAGS = {
+  0x0001: "latitudeRef",
+  0x0002: "latitude",
+  0x0003: "longitudeRef",
+  0x0004: "longitude",
+};
+const ORIENTATION = 0x0112;
+const X_RESOLUTION = 0x011a;
+const Y_RESOLUTION = 0x011b;
+const RESOLUTION_UNIT = 0x0128;
+const DATE_TIME_ORIGINAL = 0x9003;
+const PIXEL_WIDTH = 0xa002;
+const PIXEL_HEIGHT = 0xa003;
+const THUMBNAIL_OFFSET = 0x0201;
+const THUMBNAIL_LENGTH = 0x0202;
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function createReader(tiff) {
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const order = view.getUint16(0);
+  if (order !== 0x4949 && order !== 0x4d4d) return null;
+  const little = order === 0x4949;
+  return {
+    view,
+    little,
+    u16: (p) => view.getUint16(p, little),
+    u32: (p) => view.getUint32(p, little),
+    set16: (p, v) => view.setUint16(p, v, little),
+    set32: (p, v) => view.setUint32(p, v, little),
+  };
+}
+
+function valueOffset(r, entry) {
+  const size = (TYPE_SIZES[entry.type] || 1) * entry.count;
+  return { size, p: size > 4 ? r.u32(entry.offset + 8) : entry.offset + 8 };
+}
+
+function readValue(r, entry, tiff) {
+  const { type, count } = entry;
+  const { size, p } = valueOffset(r, entry);
+  if (p + size > tiff.length) return undefined;
+  if (type === 2) {
+    let s = "";
+    for (let i = 0; i < count; i++) {
+      const c = tiff[p + i];
+      if (c === 0) break;
+      s += String.fromCharCode(c);
+    }
+    return s.trim();
+  }
+  if (type === 3) return r.u16(p);
+  if (type === 4) return r.u32(p);
+  if (type === 5) {
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      values.push(r.u32(p + i * 8) / (r.u32(p + i * 8 + 4) || 1));
+    }
+    return count === 1 ? values[0] : values;
+  }
+  return undefined;
+}
+
+// Walk one IFD, returning its entries as `{ tag, type, count, offset }`
+// where `offset` is the entry's position inside the TIFF block.
+function readIfdEntries(r, ifdOffset) {
+  const entries = [];
+  if (ifdOffset + 2 > r.view.byteLength) return entries;
+  const count = r.u16(ifdOffset);
+  for (let i = 0; i < count; i++) {
+    const offset = ifdOffset + 2 + i * 12;
+    if (offset + 12 > r.view.byteLength) break;
+    entries.push({
+      tag: r.u16(offset),
+      type: r.u16(offset + 2),
+      count: r.u32(offset + 4),
+      offset,
+    });
+  }
+  return entries;
+}
+
+function toDecimalDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === "S" || ref === "W" ? -value : value;
+}
+
+function readGps(r, tiff, ifdOffset) {
+  const gps = {};
+  for (const entry of readIfdEntries(r, ifdOffset)) {
+    if (GPS_TAGS[entry.tag]) gps[GPS_TAGS[entry.tag]] = readValue(r, entry, tiff);
+  }
+  const latitude = toDecimalDegrees(gps.latitude, gps.latitudeRef);
+  const longitude = toDecimalDegrees(gps.longitude, gps.longitudeRef);
+  return latitude == null || longitude == null ? null : { latitude, longitude };
+}
+
+// Parse a TIFF/EXIF block into a flat object of known tags plus `hasGps`
+// and, when readable, `gps: { latitude, longitude }`.
+export function readExif(tiff) {
+  if (!tiff || tiff.length < 8) return null;
+  const r = createReader(tiff);
+  if (!r) return null;
+
+  const result = { hasGps: false };
+  // Broken or hostile files can point an IFD back at itself.
+  const visited = new Set();
+  const visit = (ifdOffset) => {
+    if (visited.has(ifdOffset)) return;
+    visited.add(ifdOffset);
+    for (const entry of readIfdEntries(r, ifdOffset)) {
+      if (entry.tag === EXIF_IFD_POINTER) {
+        visit(r.u32(entry.offset + 8));
+      } else if (entry.tag === GPS_IFD_POINTER) {
+        result.hasGps = true;
+        result.gps = readGps(r, tiff, r.u32(entry.offset + 8));
+      } else if (TAGS[entry.tag]) {
+        const value = readValue(r, entry, tiff);
+        if (value !== undefined && value !== "") result[TAGS[entry.tag]] = value;
+      }
+    }
+  };
+  visit(r.u32(4));
+  return result;
+}
+
+function writeNumber(r, entry, value) {
+  if (entry.type === 3) r.set16(entry.offset + 8, value);
+  else if (entry.type === 4) r.set32(entry.offset + 8, value);
+}
+
+function writeRational(r, entry, value, tiff) {
+  if (entry.type !== 5 || entry.count !== 1) return;
+  const p = r.u32(entry.offset + 8);
+  if (p + 8 > tiff.length) return;
+  r.set32(p, value);
+  r.set32(p + 4, 1);
+}
+
+// Zero out the GPS IFD and its out-of-line values, then drop the pointer to
+// it from IFD0 so readers don't follow it.
+function removeGps(r, tiff, ifd0) {
+  const entries = readIfdEntries(r, ifd0);
+  const index = entries.findIndex((e) => e.tag === GPS_IFD_POINTER);
+  if (index === -1) return;
+
+  const gpsOffset = r.u32(entries[index].offset + 8);
+  const gpsEntries = readIfdEntries(r, gpsOffset);
+  for (const entry of gpsEntries) {
+    const { size, p } = valueOffset(r, entry);
+    if (size > 4 && p + size <= tiff.length) tiff.fill(0, p, p + size);
+  }
+  const gpsEnd = Math.min(tiff.length, gpsOffset + 2 + gpsEntries.length * 12 + 4);
+  if (gpsOffset < gpsEnd) tiff.fill(0, gpsOffset, gpsEnd);
+
+  // Shift the following entries (and the next-IFD offset) up by one slot.
+  const start = entries[index].offset;
+  const end = ifd0 + 2 + entries.length * 12 + 4;
+  tiff.copyWithin(start, start + 12, end);
+  tiff.fill(0, end - 12, end);
+  r.set16(ifd0, entries.length - 1);
+}
+
+// Drop IFD1, the embedded thumbnail: it still shows the original framing and
+// rotation, including anything since cropped out. Its entries, values and
+// JPEG bytes are zeroed and IFD0's next-IFD offset is cleared.
+function removeThumbnail(r, tiff, ifd0) {
+  if (ifd0 + 2 > tiff.length) return;
+  const next = ifd0 + 2 + r.u16(ifd0) * 12;
+  if (next + 4 > tiff.length) return;
+  const ifd1 = r.u32(next);
+  r.set32(next, 0);
+  if (ifd1 === 0 || ifd1 === ifd0 || ifd1 + 2 > tiff.length) return;
+
+  const entries = readIfdEntries(r, ifd1);
+  const thumbnail = {};
+  for (const entry of entries) {
+    if (entry.tag === THUMBNAIL_OFFSET) thumbnail.offset = r.u32(entry.offset + 8);
+    if (entry.tag === THUMBNAIL_LENGTH) thumbnail.length = r.u32(entry.offset + 8);
+    const { size, p } = valueOffset(r, entry);
+    if (size > 4 && p + size <= tiff.length) tiff.fill(0, p, p + size);
+  }
+  if (thumbnail.offset && thumbnail.length) {
+    tiff.fill(0, thumbnail.offset, Math.min(tiff.length, thumbnail.offset + thumbnail.length));
+  }
+  tiff.fill(0, ifd1, Math.min(tiff.length, ifd1 + 2 + entries.length * 12 + 4));
+}
+
+// A minimal big-endian EXIF block holding only the capture date (an EXIF
+// "YYYY:MM:DD HH:MM:SS" string), or null without one. Orientation is left
+// out: output pixels are always upright, which is the default.
+export function buildDateExif(dateTimeOriginal) {
+  if (!/^\d{4}:\d\d:\d\d \d\d:\d\d:\d\d$/.test(dateTimeOriginal || "")) return null;
+  const tiff = new Uint8Array(64);
+  const view = new DataView(tiff.buffer);
+  view.setUint16(0, 0x4d4d);
+  view.setUint16(2, 42);
+  view.setUint32(4, 8);
+  // IFD0: one entry, the EXIF IFD pointer, then no next IFD.
+  view.setUint16(8, 1);
+  view.setUint16(10, EXIF_IFD_POINTER);
+  view.setUint16(12, 4);
+  view.setUint32(14, 1);
+  view.setUint32(18, 26);
+  // EXIF IFD at 26: DateTimeOriginal, 20 ASCII bytes stored at 44.
+  view.setUint16(26, 1);
+  view.setUint16(28, DATE_TIME_ORIGINAL);
+  view.setUint16(30, 2);
+  view.setUint32(32, 20);
+  view.setUint32(36, 44);
+  for (let i = 0; i < 19; i++) tiff[44 + i] = dateTimeOriginal.charCodeAt(i);
+  return tiff;
+}
+
+// Return an edited copy of an EXIF block for re-encoded pixels, so the
+// thumbnail is always dropped. `orientation`, `width`, `height` and `dpi`
+// update the existing tags; `stripGps` removes location data.
+export function updateExif(tiff, { orientation, width, height, dpi, stripGps }) {
+  const copy = tiff.slice();
+  const r = createReader(copy);
+  if (!r) return copy;
+
+  const ifd0 = r.u32(4);
+  for (const entry of readIfdEntries(r, ifd0)) {
+    if (entry.tag === ORIENTATION && orientation) writeNumber(r, entry, orientation);
+    if ((entry.tag === X_RESOLUTION || entry.tag === Y_RESOLUTION) && dpi) writeRational(r, entry, dpi, copy);
+    if (entry.tag === RESOLUTION_UNIT && dpi) writeNumber(r, entry, 2); // inches
+    if (entry.tag === EXIF_IFD_POINTER) {
+      for (const sub of readIfdEntries(r, r.u32(entry.offset + 8))) {
+        if (sub.tag === PIXEL_WIDTH && width) writeNumber(r, sub, width);
+        if (sub.tag === PIXEL_HEIGHT && height) writeNumber(r, sub, height);
+      }
+    }
+  }
+  if (stripGps) removeGps(r, copy, ifd0);
+  removeThumbnail(r, copy, ifd0);
+  return copy;
+}
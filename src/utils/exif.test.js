@@ -0,0 +1,188 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildDateExif, readExif, updateExif } from "./exif.js";
+
+const THUMBNAIL = [0xff, 0xd8, 0xff, 0xdb, 1, 2, 3, 4, 0xff, 0xd9];
+
+// Lay out little-endian IFDs one after another, each followed by its
+// out-of-line data. An entry's `value` is a number, `{ ifd: n }` for the
+// offset of IFD n, or `{ bytes }` for the offset of bytes stored after the
+// IFD; `next` is the index of the following IFD.
+function buildTiff(ifds) {
+  const offsets = [];
+  let size = 8;
+  for (const ifd of ifds) {
+    offsets.push(size);
+    size += 2 + ifd.entries.length * 12 + 4;
+    for (const entry of ifd.entries) if (entry.value.bytes) size += entry.value.bytes.length;
+  }
+  const tiff = new Uint8Array(size);
+  const view = new DataView(tiff.buffer);
+  view.setUint16(0, 0x4949);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+  ifds.forEach((ifd, i) => {
+    let p = offsets[i];
+    let data = p + 2 + ifd.entries.length * 12 + 4;
+    view.setUint16(p, ifd.entries.length, true);
+    p += 2;
+    for (const { tag, type, count = 1, value } of ifd.entries) {
+      view.setUint16(p, tag, true);
+      view.setUint16(p + 2, type, true);
+      view.setUint32(p + 4, count, true);
+      if (value.bytes) {
+        tiff.set(value.bytes, data);
+        view.setUint32(p + 8, data, true);
+        data += value.bytes.length;
+      } else if (value.ifd !== undefined) {
+        view.setUint32(p + 8, offsets[value.ifd], true);
+      } else if (type === 3) {
+        view.setUint16(p + 8, value, true);
+      } else {
+        view.setUint32(p + 8, value, true);
+      }
+      p += 12;
+    }
+    view.setUint32(p, ifd.next === undefined ? 0 : offsets[ifd.next], true);
+  });
+  return { tiff, offsets };
+}
+
+function rational(numerator, denominator = 1) {
+  const bytes = new Uint8Array(8);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, numerator, true);
+  view.setUint32(4, denominator, true);
+  return { bytes };
+}
+
+function degrees(d, m, s) {
+  return { bytes: new Uint8Array([...rational(d).bytes, ...rational(m).bytes, ...rational(s).bytes]) };
+}
+
+function ascii(text) {
+  return { bytes: new Uint8Array([...text].map((c) => c.charCodeAt(0)).concat(0)) };
+}
+
+// IFD0 with orientation 6, 72 DPI, make and pointers to the EXIF and GPS
+// IFDs, then an IFD1 thumbnail.
+function cameraExif() {
+  return buildTiff([
+    {
+      entries: [
+        { tag: 0x010f, type: 2, count: 6, value: ascii("Canon") },
+        { tag: 0x0112, type: 3, value: 6 },
+        { tag: 0x011a, type: 5, value: rational(72) },
+        { tag: 0x011b, type: 5, value: rational(72) },
+        { tag: 0x0128, type: 3, value: 1 },
+        { tag: 0x8769, type: 4, value: { ifd: 1 } },
+        { tag: 0x8825, type: 4, value: { ifd: 2 } },
+      ],
+      next: 3,
+    },
+    {
+      entries: [
+        { tag: 0x9003, type: 2, count: 20, value: ascii("2024:05:01 12:30:00") },
+        { tag: 0xa002, type: 4, value: 4000 },
+        { tag: 0xa003, type: 4, value: 3000 },
+      ],
+    },
+    {
+      entries: [
+        { tag: 0x0001, type: 2, count: 2, value: 0x4e },
+        { tag: 0x0002, type: 5, count: 3, value: degrees(51, 30, 0) },
+        { tag: 0x0003, type: 2, count: 2, value: 0x57 },
+        { tag: 0x0004, type: 5, count: 3, value: degrees(0, 7, 30) },
+      ],
+    },
+    {
+      entries: [
+        { tag: 0x0201, type: 4, value: { bytes: new Uint8Array(THUMBNAIL) } },
+        { tag: 0x0202, type: 4, value: THUMBNAIL.length },
+      ],
+    },
+  ]);
+}
+
+function containsThumbnail(tiff) {
+  for (let i = 0; i + THUMBNAIL.length <= tiff.length; i++) {
+    if (THUMBNAIL.every((b, j) => tiff[i + j] === b)) return true;
+  }
+  return false;
+}
+
+test("readExif reads IFD0, the EXIF IFD and GPS", () => {
+  const info = readExif(cameraExif().tiff);
+  assert.equal(info.make, "Canon");
+  assert.equal(info.orientation, 6);
+  assert.equal(info.dateTimeOriginal, "2024:05:01 12:30:00");
+  assert.equal(info.pixelWidth, 4000);
+  assert.equal(info.hasGps, true);
+  assert.equal(info.gps.latitude, 51.5);
+  assert.equal(info.gps.longitude, -0.125);
+});
+
+test("readExif stops at IFD pointers that loop back", () => {
+  const { tiff } = buildTiff([
+    {
+      entries: [
+        { tag: 0x0112, type: 3, value: 3 },
+        { tag: 0x8769, type: 4, value: { ifd: 1 } },
+      ],
+    },
+    {
+      entries: [
+        { tag: 0xa002, type: 4, value: 640 },
+        { tag: 0x8769, type: 4, value: { ifd: 0 } },
+        { tag: 0x8769, type: 4, value: { ifd: 1 } },
+      ],
+    },
+  ]);
+  const info = readExif(tiff);
+  assert.equal(info.orientation, 3);
+  assert.equal(info.pixelWidth, 640);
+});
+
+test("updateExif rewrites orientation and pixel size", () => {
+  const info = readExif(updateExif(cameraExif().tiff, { orientation: 1, width: 8000, height: 6000 }));
+  assert.equal(info.orientation, 1);
+  assert.equal(info.pixelWidth, 8000);
+  assert.equal(info.pixelHeight, 6000);
+  assert.equal(info.make, "Canon");
+});
+
+test("updateExif drops the IFD1 thumbnail", () => {
+  const { tiff, offsets } = cameraExif();
+  assert.ok(containsThumbnail(tiff));
+  const updated = updateExif(tiff, { orientation: 1 });
+  const view = new DataView(updated.buffer, updated.byteOffset, updated.byteLength);
+  const next = offsets[0] + 2 + view.getUint16(offsets[0], true) * 12;
+  assert.equal(view.getUint32(next, true), 0);
+  assert.equal(containsThumbnail(updated), false);
+  assert.equal(updated.length, tiff.length);
+});
+
+test("updateExif drops the thumbnail after stripping GPS", () => {
+  const updated = updateExif(cameraExif().tiff, { stripGps: true });
+  const info = readExif(updated);
+  assert.equal(info.hasGps, false);
+  assert.equal(info.gps, undefined);
+  assert.equal(info.dateTimeOriginal, "2024:05:01 12:30:00");
+  assert.equal(containsThumbnail(updated), false);
+});
+
+test("updateExif doesn't touch the input", () => {
+  const { tiff } = cameraExif();
+  const before = tiff.slice();
+  updateExif(tiff, { orientation: 1, stripGps: true, dpi: 300 });
+  assert.deepEqual(tiff, before);
+});
+
+test("buildDateExif holds only the capture date", () => {
+  assert.deepEqual(readExif(buildDateExif("2024:05:01 12:30:00")), {
+    hasGps: false,
+    dateTimeOriginal: "2024:05:01 12:30:00",
+  });
+  assert.equal(buildDateExif("2024-05-01"), null);
+  assert.equal(buildDateExif(undefined), null);
+});
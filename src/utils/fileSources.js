@@ -0,0 +1,122 @@
+// Getting files in and out beyond a plain file input: dropped folders,
+// pasted clipboard images, and writing results into a folder the user picks.
+//
+// Inputs are returned as `{ file, path }`, where `path` is the folder the
+// file came from relative to what was dropped or picked ("" for loose files),
+// so outputs can be written back into the same structure.
+import { isSupportedFile } from "./decoders.js";
+
+function dirname(fullPath) {
+  const parts = fullPath.split("/").filter(Boolean);
+  return parts.slice(0, -1).join("/");
+}
+
+function isHidden(name) {
+  return name.startsWith(".") || name === "Thumbs.db" || name === "desktop.ini";
+}
+
+// Wrap files from an input. Folder inputs (`webkitdirectory`) set
+// `webkitRelativePath`.
+export function fromFileList(fileList) {
+  return Array.from(fileList, (file) => ({ file, path: dirname(file.webkitRelativePath || "") }));
+}
+
+function readAllEntries(reader) {
+  // readEntries returns at most ~100 entries per call; keep going until it
+  // returns none.
+  return new Promise((resolve, reject) => {
+    const all = [];
+    const next = () =>
+      reader.readEntries((batch) => {
+        if (batch.length === 0) resolve(all);
+        else {
+          all.push(...batch);
+          next();
+        }
+      }, reject);
+    next();
+  });
+}
+
+async function walkEntry(entry, out) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    out.push({ file, path: dirname(entry.fullPath) });
+  } else if (entry.isDirectory) {
+    for (const child of await readAllEntries(entry.createReader())) {
+      if (!isHidden(child.name)) await walkEntry(child, out);
+    }
+  }
+}
+
+// Collect everything dropped, descending into folders. Files found inside
+// folders are limited to supported images, since the user didn't pick them
+// one by one; loose files are all kept so unsupported ones can report an
+// error. Resolves with `{ files, skipped }`.
+export async function collectDroppedFiles(dataTransfer) {
+  // Entries must be taken synchronously: the DataTransfer is emptied once
+  // the drop event returns.
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === "file")
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+  if (entries.length === 0 || entries.some((entry) => !entry)) {
+    return { files: fromFileList(dataTransfer.files), skipped: 0 };
+  }
+
+  const files = [];
+  let skipped = 0;
+  for (const entry of entries) {
+    if (entry.isFile) {
+      await walkEntry(entry, files);
+      continue;
+    }
+    const found = [];
+    await walkEntry(entry, found);
+    for (const item of found) {
+      if (isSupportedFile(item.file)) files.push(item);
+      else skipped += 1;
+    }
+  }
+  return { files, skipped };
+}
+
+// Images on the clipboard. Screenshots arrive as "image.png", so they get a
+// timestamped name instead to keep outputs apart.
+export function getClipboardFiles(clipboardData) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, "").replace("T", "-");
+  return Array.from(clipboardData.items || [])
+    .filter((item) => item.kind === "file" && item.type.startsWith("image/"))
+    // getAsFile() is null when the data can't be read as a file.
+    .map((item) => item.getAsFile())
+    .filter(Boolean)
+    .map((file, i) => {
+      const ext = file.type.split("/")[1].replace("jpeg", "jpg");
+      const name = `pasted-${stamp}${i > 0 ? `-${i + 1}` : ""}.${ext}`;
+      return { file: new File([file], name, { type: file.type, lastModified: Date.now() }), path: "" };
+    });
+}
+
+export function supportsDirectoryExport() {
+  return typeof window !== "undefined" && typeof window.showDirectoryPicker === "function";
+}
+
+// Ask for a folder and write `entries` (`{ name, data }`, names may contain
+// "/") into it, creating subfolders as needed. Rejects with an AbortError if
+// the user cancels the picker.
+export async function saveFilesToDirectory(entries) {
+  const root = await window.showDirectoryPicker({ mode: "readwrite" });
+  for (const { name, data } of entries) {
+    const parts = name.split("/");
+    let dir = root;
+    for (const part of parts.slice(0, -1)) {
+      dir = await dir.getDirectoryHandle(part, { create: true });
+    }
+    const handle = await dir.getFileHandle(parts[parts.length - 1], { create: true });
+    const writable = await handle.createWritable();
+    try {
+      await writable.write(data);
+    } finally {
+      await writable.close();
+    }
+  }
+}
@@ -0,0 +1,10 @@
+// Display formatting shared by the web app and the command line.
+
+// A byte count in decimal units, as file managers show them: "912 KB",
+// "4.1 MB", "1.2 GB".
+export function formatBytes(bytes) {
+  if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(1)} GB`;
+  if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(1)} MB`;
+  if (bytes >= 1000) return `${Math.round(bytes / 1000)} KB`;
+  return `${bytes} B`;
+}
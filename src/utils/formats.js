@@ -0,0 +1,89 @@
+// Output formats the upscaler can encode to, plus detection of which
+// encoders the running browser actually has and a size-targeting encoder.
+import { canvasToBlob, createCanvas } from "./canvas.js";
+import { createJpegEncoder, usesJpegEncoder } from "./jpegEncoder.js";
+
+export const OUTPUT_FORMATS = {
+  "image/jpeg": { label: "JPEG", extension: ".jpg", alpha: false, lossy: true },
+  "image/webp": { label: "WebP", extension: ".webp", alpha: true, lossy: true },
+  "image/avif": { label: "AVIF", extension: ".avif", alpha: true, lossy: true },
+  "image/png": { label: "PNG (lossless)", extension: ".png", alpha: true, lossy: false },
+};
+export const FALLBACK_FORMAT = "image/jpeg";
+
+const MIN_QUALITY = 0.1;
+const SEARCH_STEPS = 7;
+
+// Browsers silently fall back to PNG for types they can't encode, so a
+// format is supported only if the blob comes back with the requested type.
+export async function detectEncoders() {
+  const canvas = createCanvas(2, 2);
+  canvas.getContext("2d").fillRect(0, 0, 2, 2);
+  const supported = [];
+  for (const type of Object.keys(OUTPUT_FORMATS)) {
+    try {
+      const blob = await canvasToBlob(canvas, type, 0.8);
+      if (blob && blob.type === type) supported.push(type);
+    } catch {
+      // Encoder threw: treat as unsupported.
+    }
+  }
+  return supported;
+}
+
+export function getFormatInfo(type) {
+  return OUTPUT_FORMATS[type] || OUTPUT_FORMATS[FALLBACK_FORMAT];
+}
+
+// Encode with `encode(quality)`, which resolves with a Blob. With a byte
+// budget, binary-search the quality for the largest file that still fits;
+// `fits` is false when even the lowest quality (or a lossless format) is over
+// budget. `encode` must return the finished file, metadata included, or the
+// budget is measured against the wrong size.
+export async function encodeToBudget(encode, { format, quality, maxBytes }) {
+  const info = getFormatInfo(format);
+  const first = await encode(quality);
+  if (!maxBytes || first.size <= maxBytes) {
+    return { blob: first, quality, fits: !maxBytes || first.size <= maxBytes };
+  }
+  if (!info.lossy) return { blob: first, quality, fits: false };
+
+  let lo = MIN_QUALITY;
+  let hi = quality;
+  let best = null;
+  for (let i = 0; i < SEARCH_STEPS; i++) {
+    const mid = (lo + hi) / 2;
+    const blob = await encode(mid);
+    if (blob.size <= maxBytes) {
+      best = { blob, quality: mid, fits: true };
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+  if (best) return best;
+
+  const smallest = await encode(MIN_QUALITY);
+  return { blob: smallest, quality: MIN_QUALITY, fits: smallest.size <= maxBytes };
+}
+
+// `finish(blob)` turns each encoding into the finished file (see
+// writeMetadata), so the budget search measures what is actually saved.
+export function encodeCanvas(canvas, settings, finish = async (blob) => blob) {
+  if (usesJpegEncoder(settings)) {
+    // Read the canvas a band at a time, so the pixels never sit in memory
+    // twice over.
+    const { width, height } = canvas;
+    const ctx = canvas.getContext("2d");
+    const readRows = (y, rows) => ctx.getImageData(0, y, width, rows).data;
+    const encoder = createJpegEncoder(readRows, width, height, settings);
+    return encodeToBudget(
+      (quality) => finish(new Blob([encoder.encode(quality, settings)], { type: settings.format })),
+      settings
+    );
+  }
+  return encodeToBudget(
+    async (quality) => finish(await canvasToBlob(canvas, settings.format, quality)),
+    settings
+  );
+}
@@ -0,0 +1,11 @@
+// Images are identified by a hash of their bytes, so the same photo added
+// twice is caught even when it was renamed or re-saved with a new date.
+export async function hashFile(file) {
+  // crypto.subtle only exists in secure contexts (https, localhost). Plain
+  // http falls back to the old name/size/date key.
+  if (!globalThis.crypto || !crypto.subtle) {
+    return `${file.name}_${file.size}_${file.lastModified}`;
+  }
+  const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
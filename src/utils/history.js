@@ -0,0 +1,256 @@
+// Batch history in IndexedDB. Every batch keeps its originals, converted
+// outputs and settings, so a refresh (or an accidental "New Image") doesn't
+// lose any work and past batches can be reopened or re-downloaded.
+//
+// Two object stores: `batches` holds one small record per batch, `images`
+// holds one record per image keyed by [batchId, id], with the original File
+// and the converted Blob stored directly.
+
+const DB_NAME = "hdimages";
+const DB_VERSION = 1;
+const BATCHES = "batches";
+const IMAGES = "images";
+const SESSION_KEY = "hdimages.session";
+
+// Cleanup limits. Batches past either limit are deleted oldest first; the
+// quota limit kicks in when the browser's storage is nearly full.
+export const MAX_BATCHES = 20;
+export const MAX_AGE_DAYS = 30;
+const MAX_QUOTA_USE = 0.8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("This browser can't store history (IndexedDB is unavailable)."));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore(BATCHES, { keyPath: "id" });
+        db.createObjectStore(IMAGES, { keyPath: ["batchId", "id"] }).createIndex("batchId", "batchId");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let the next call retry instead of caching the failure.
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Run `fn(stores)` in one transaction and resolve with whatever it stored in
+// `result.value` once the transaction commits. `fn` must only use IndexedDB
+// requests and their callbacks, or the transaction commits early.
+async function transact(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([BATCHES, IMAGES], mode);
+    const result = { value: undefined };
+    tx.oncomplete = () => resolve(result.value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("History update was aborted."));
+    fn({ batches: tx.objectStore(BATCHES), images: tx.objectStore(IMAGES) }, result);
+  });
+}
+
+function imagesOf(images, batchId) {
+  return images.index("batchId").getAll(IDBKeyRange.only(batchId));
+}
+
+function deleteBatchIn(stores, batchId) {
+  stores.batches.delete(batchId);
+  imagesOf(stores.images, batchId).onsuccess = (e) => {
+    for (const record of e.target.result) stores.images.delete([batchId, record.id]);
+  };
+}
+
+function isQuotaError(err) {
+  return Boolean(err) && err.name === "QuotaExceededError";
+}
+
+export function createBatchId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// The batch shown when the page was last open, restored on the next load.
+export function getSessionBatchId() {
+  try {
+    return localStorage.getItem(SESSION_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function setSessionBatchId(batchId) {
+  try {
+    if (batchId) localStorage.setItem(SESSION_KEY, batchId);
+    else localStorage.removeItem(SESSION_KEY);
+  } catch {
+    // Storage unavailable: the session just won't be restored.
+  }
+}
+
+// Store a new batch and its image records. When the browser is out of
+// space, old batches are cleared and the write is retried once.
+export async function saveBatch(batch, images) {
+  const write = () =>
+    transact("readwrite", (stores) => {
+      stores.batches.put(batch);
+      for (const image of images) stores.images.put({ ...image, batchId: batch.id });
+    });
+  if (navigator.storage && navigator.storage.persist) {
+    // Ask the browser not to evict history under storage pressure.
+    navigator.storage.persist().catch(() => {});
+  }
+  try {
+    await write();
+  } catch (err) {
+    if (!isQuotaError(err)) throw err;
+    await cleanupHistory(batch.id, { force: true });
+    await write();
+  }
+}
+
+// Append image records to an existing batch.
+export function addBatchImages(batchId, images) {
+  return transact("readwrite", (stores) => {
+    for (const image of images) stores.images.put({ ...image, batchId });
+  });
+}
+
+export function deleteBatchImage(batchId, imageId) {
+  return transact("readwrite", (stores) => stores.images.delete([batchId, imageId]));
+}
+
+// Store a new card order; `ids` lists every image of the batch in order.
+export function updateBatchOrder(batchId, ids) {
+  return transact("readwrite", (stores) => {
+    ids.forEach((id, order) => {
+      stores.images.get([batchId, id]).onsuccess = (e) => {
+        if (e.target.result) stores.images.put({ ...e.target.result, order });
+      };
+    });
+  });
+}
+
+// Merge `patch` into a stored image record. Records that no longer exist
+// (the batch was deleted meanwhile) are left alone.
+export function updateBatchImage(batchId, imageId, patch) {
+  return transact("readwrite", (stores) => {
+    stores.images.get([batchId, imageId]).onsuccess = (e) => {
+      const record = e.target.result;
+      if (!record) return;
+      stores.images.put({ ...record, ...patch });
+      stores.batches.get(batchId).onsuccess = (ev) => {
+        if (ev.target.result) stores.batches.put({ ...ev.target.result, updatedAt: Date.now() });
+      };
+    };
+  });
+}
+
+// All batches, newest first, with image counts, stored sizes and the first
+// few file names.
+export function listBatches() {
+  return transact("readonly", (stores, result) => {
+    stores.batches.getAll().onsuccess = (e) => {
+      const batches = new Map(
+        e.target.result.map((b) => [b.id, { ...b, count: 0, converted: 0, bytes: 0, names: [] }])
+      );
+      stores.images.openCursor().onsuccess = (ev) => {
+        const cursor = ev.target.result;
+        if (!cursor) {
+          result.value = [...batches.values()].sort((a, b) => b.createdAt - a.createdAt);
+          return;
+        }
+        const record = cursor.value;
+        const summary = batches.get(record.batchId);
+        if (summary) {
+          summary.count += 1;
+          summary.bytes += record.file.size;
+          if (summary.names.length < 3) summary.names.push(record.fileName);
+          if (record.converted) {
+            summary.converted += 1;
+            summary.bytes += record.converted.blob.size;
+          }
+        }
+        cursor.continue();
+      };
+    };
+  });
+}
+
+// Resolves with `{ batch, images }`, images in their original order, or
+// null if the batch is gone.
+export function loadBatch(batchId) {
+  return transact("readonly", (stores, result) => {
+    stores.batches.get(batchId).onsuccess = (e) => {
+      const batch = e.target.result;
+      if (!batch) {
+        result.value = null;
+        return;
+      }
+      imagesOf(stores.images, batchId).onsuccess = (ev) => {
+        result.value = { batch, images: ev.target.result.sort((a, b) => a.order - b.order) };
+      };
+    };
+  });
+}
+
+export function deleteBatch(batchId) {
+  return transact("readwrite", (stores) => deleteBatchIn(stores, batchId));
+}
+
+export function clearHistory() {
+  return transact("readwrite", (stores) => {
+    stores.batches.clear();
+    stores.images.clear();
+  });
+}
+
+// `{ usage, quota }` in bytes, or null where the browser doesn't say.
+export async function getStorageEstimate() {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return quota ? { usage, quota } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Delete batches beyond MAX_BATCHES or older than MAX_AGE_DAYS, then keep
+// deleting the oldest while storage is nearly full. The batch in `keepId`
+// (the one on screen) is never deleted. With `force`, at least one batch
+// goes, for retrying a write that ran out of space.
+export async function cleanupHistory(keepId, { force = false } = {}) {
+  const batches = await listBatches();
+  const cutoff = Date.now() - MAX_AGE_DAYS * DAY_MS;
+  const candidates = batches.filter((b) => b.id !== keepId);
+  const expired = candidates.filter(
+    (b, i) => b.createdAt < cutoff || i >= MAX_BATCHES - (keepId ? 1 : 0)
+  );
+  const remaining = candidates.filter((b) => !expired.includes(b)).reverse();
+
+  if (force && expired.length === 0 && remaining.length > 0) expired.push(remaining.shift());
+  if (expired.length > 0) {
+    await transact("readwrite", (stores) => {
+      for (const b of expired) deleteBatchIn(stores, b.id);
+    });
+  }
+
+  let deleted = expired.length;
+  for (;;) {
+    const estimate = await getStorageEstimate();
+    if (!estimate || estimate.usage <= estimate.quota * MAX_QUOTA_USE || remaining.length === 0) break;
+    await deleteBatch(remaining.shift().id);
+    deleted += 1;
+  }
+  return deleted;
+}
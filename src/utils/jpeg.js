@@ -0,0 +1,115 @@
+// Minimal JPEG container parsing: segment walking and quantization-table
+// based quality estimation. Works on a Uint8Array of the whole file.
+
+// IJG standard quantization tables (quality 50), in natural order.
+export const STD_LUMINANCE = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99,
+];
+export const STD_CHROMINANCE = [
+  17, 18, 24, 47, 99, 99, 99, 99,
+  18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99,
+  47, 66, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+];
+const STD_LUMINANCE_SUM = STD_LUMINANCE.reduce((a, b) => a + b, 0);
+
+export function isJpeg(bytes) {
+  return bytes.length > 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff;
+}
+
+// Returns the header segments up to (not including) the entropy-coded scan
+// data, as `{ marker, offset, length, data }` where `data` is the payload
+// without the marker and length bytes.
+export function readJpegSegments(bytes) {
+  if (!isJpeg(bytes)) return [];
+  const segments = [];
+  let pos = 2;
+  while (pos + 4 <= bytes.length) {
+    if (bytes[pos] !== 0xff) break;
+    const marker = bytes[pos + 1];
+    // Fill bytes and standalone markers carry no length.
+    if (marker === 0xff) {
+      pos += 1;
+      continue;
+    }
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      pos += 2;
+      continue;
+    }
+    const length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+    if (length < 2 || pos + 2 + length > bytes.length) break;
+    segments.push({
+      marker,
+      offset: pos,
+      length: length + 2,
+      data: bytes.subarray(pos + 4, pos + 2 + length),
+    });
+    pos += 2 + length;
+    if (marker === 0xda || marker === 0xd9) break;
+  }
+  return segments;
+}
+
+function readQuantTables(segments) {
+  const tables = {};
+  for (const seg of segments) {
+    if (seg.marker !== 0xdb) continue;
+    const d = seg.data;
+    let p = 0;
+    while (p < d.length) {
+      const precision = d[p] >> 4;
+      const id = d[p] & 0x0f;
+      p += 1;
+      const values = [];
+      for (let i = 0; i < 64; i++) {
+        if (precision) {
+          values.push((d[p] << 8) | d[p + 1]);
+          p += 2;
+        } else {
+          values.push(d[p]);
+          p += 1;
+        }
+      }
+      tables[id] = values;
+    }
+  }
+  return tables;
+}
+
+// Estimate the IJG quality (1-100) the file was saved with by comparing its
+// luminance table to the standard one. Returns null if there's no table.
+export function estimateJpegQuality(segments) {
+  const luma = readQuantTables(segments)[0];
+  if (!luma) return null;
+  const sum = luma.reduce((a, b) => a + b, 0);
+  const scale = (sum * 100) / STD_LUMINANCE_SUM;
+  const quality = scale <= 100 ? (200 - scale) / 2 : 5000 / scale;
+  return Math.max(1, Math.min(100, Math.round(quality)));
+}
+
+// The TIFF payload of the APP1 "Exif\0\0" segment, or null.
+export function findExifSegment(segments) {
+  for (const seg of segments) {
+    const d = seg.data;
+    if (
+      seg.marker === 0xe1 &&
+      d.length > 6 &&
+      d[0] === 0x45 && d[1] === 0x78 && d[2] === 0x69 && d[3] === 0x66 &&
+      d[4] === 0 && d[5] === 0
+    ) {
+      return d.subarray(6);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,473 @@
+// A JPEG encoder in plain JS, for when the encoder settings matter: canvas
+// only writes baseline JPEGs and picks the chroma subsampling itself. Runs
+// the same in the browser, in workers and under Node.
+//
+// Progressive files use spectral selection only (no successive
+// approximation), and every scan gets optimized Huffman tables, as libjpeg
+// does with `-optimize`. Metadata is added afterwards by utils/metadata.
+import { STD_CHROMINANCE, STD_LUMINANCE } from "./jpeg.js";
+
+export const JPEG_CHROMA = {
+  420: "4:2:0 (smaller)",
+  444: "4:4:4 (sharper colour)",
+};
+
+// What an encoder holds while it exists, for memory estimates.
+export const JPEG_BYTES_PER_PIXEL = { 420: 3, 444: 6 };
+
+// Settings the canvas encoder can't honour, so they need this one.
+export function usesJpegEncoder({ format, chroma, progressive }) {
+  return format === "image/jpeg" && Boolean(chroma || progressive);
+}
+
+// Zigzag position → natural (row-major) index.
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+];
+
+// DCT basis: COS[u * 8 + x] = c(u) / 2 · cos((2x + 1)uπ / 16).
+const COS = new Float64Array(64);
+for (let u = 0; u < 8; u++) {
+  for (let x = 0; x < 8; x++) {
+    COS[u * 8 + x] = ((u === 0 ? Math.SQRT1_2 : 1) / 2) * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+}
+
+// libjpeg's progressive script without successive approximation: all DC
+// first, then a rough luma pass, the chroma, and the rest of the luma.
+const PROGRESSIVE_SCANS = [
+  { components: [0, 1, 2], ss: 0, se: 0 },
+  { components: [0], ss: 1, se: 5 },
+  { components: [2], ss: 1, se: 63 },
+  { components: [1], ss: 1, se: 63 },
+  { components: [0], ss: 6, se: 63 },
+];
+const BASELINE_SCANS = [{ components: [0, 1, 2], ss: 0, se: 63 }];
+
+// IJG quality scaling, `quality` 1-100, returned in zigzag order.
+function scaleTable(table, quality) {
+  const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+  return ZIGZAG.map((i) => Math.min(255, Math.max(1, Math.floor((table[i] * scale + 50) / 100))));
+}
+
+// Forward DCT of one level-shifted 8×8 block, in place (natural order).
+function fdct(block) {
+  const tmp = new Float64Array(64);
+  for (let y = 0; y < 8; y++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let x = 0; x < 8; x++) sum += COS[u * 8 + x] * block[y * 8 + x];
+      tmp[y * 8 + u] = sum;
+    }
+  }
+  for (let u = 0; u < 8; u++) {
+    for (let v = 0; v < 8; v++) {
+      let sum = 0;
+      for (let y = 0; y < 8; y++) sum += COS[v * 8 + y] * tmp[y * 8 + u];
+      block[v * 8 + u] = sum;
+    }
+  }
+}
+
+// Transform `blockRows` rows of blocks of a sample plane `gridW` blocks wide
+// into DCT coefficients, rounded, stored from block row `firstRow` on.
+function transformRows(plane, gridW, blockRows, coefficients, firstRow) {
+  const planeW = gridW * 8;
+  const block = new Float64Array(64);
+  for (let by = 0; by < blockRows; by++) {
+    for (let bx = 0; bx < gridW; bx++) {
+      for (let y = 0; y < 8; y++) {
+        const row = (by * 8 + y) * planeW + bx * 8;
+        for (let x = 0; x < 8; x++) block[y * 8 + x] = plane[row + x] - 128;
+      }
+      fdct(block);
+      const offset = ((firstRow + by) * gridW + bx) * 64;
+      for (let k = 0; k < 64; k++) coefficients[offset + k] = Math.round(block[k]);
+    }
+  }
+}
+
+// One MCU row of Y, Cb and Cr samples from `rows` rows of RGBA pixels,
+// padded to whole blocks by repeating the last row and column; chroma is
+// averaged over `sub` × `sub` pixels.
+function sampleBand(pixels, width, rows, [yPlane, cbPlane, crPlane], sub) {
+  const lumaW = yPlane.length / (8 * sub);
+  for (let y = 0; y < 8 * sub; y++) {
+    const sy = Math.min(y, rows - 1);
+    for (let x = 0; x < lumaW; x++) {
+      const p = (sy * width + Math.min(x, width - 1)) * 4;
+      yPlane[y * lumaW + x] = 0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2];
+    }
+  }
+  const chromaW = cbPlane.length / 8;
+  const area = sub * sub;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < chromaW; x++) {
+      let cb = 0;
+      let cr = 0;
+      for (let dy = 0; dy < sub; dy++) {
+        const sy = Math.min(y * sub + dy, rows - 1);
+        for (let dx = 0; dx < sub; dx++) {
+          const p = (sy * width + Math.min(x * sub + dx, width - 1)) * 4;
+          const r = pixels[p];
+          const g = pixels[p + 1];
+          const b = pixels[p + 2];
+          cb += -0.168736 * r - 0.331264 * g + 0.5 * b + 128;
+          cr += 0.5 * r - 0.418688 * g - 0.081312 * b + 128;
+        }
+      }
+      cbPlane[y * chromaW + x] = cb / area;
+      crPlane[y * chromaW + x] = cr / area;
+    }
+  }
+}
+
+// Number of bits needed for the magnitude of `value` (its JPEG "category").
+function bitLength(value) {
+  let n = 0;
+  for (let v = Math.abs(value); v; v >>= 1) n++;
+  return n;
+}
+
+// Huffman-coded events for one scan, buffered so the tables can be
+// optimized before anything is written.
+class SymbolStream {
+  constructor() {
+    this.length = 0;
+    this.tables = new Uint8Array(4096);
+    this.symbols = new Uint8Array(4096);
+    this.values = new Int32Array(4096);
+    this.sizes = new Uint8Array(4096);
+  }
+
+  push(table, symbol, value, size) {
+    if (this.length === this.tables.length) {
+      for (const key of ["tables", "symbols", "values", "sizes"]) {
+        const grown = new this[key].constructor(this.length * 2);
+        grown.set(this[key]);
+        this[key] = grown;
+      }
+    }
+    const i = this.length++;
+    this.tables[i] = table;
+    this.symbols[i] = symbol;
+    this.values[i] = value;
+    this.sizes[i] = size;
+  }
+}
+
+// Code lengths from symbol frequencies (JPEG Annex K.2), limited to 16 bits.
+// Returns `{ bits, values }` as stored in a DHT segment.
+function buildHuffmanTable(frequencies) {
+  const freq = Array.from(frequencies);
+  freq[256] = 1; // reserved so no code is all ones
+  const codeSize = new Array(257).fill(0);
+  const others = new Array(257).fill(-1);
+  for (;;) {
+    let c1 = -1;
+    let c2 = -1;
+    let v = Infinity;
+    for (let i = 0; i <= 256; i++) {
+      if (freq[i] && freq[i] <= v) {
+        v = freq[i];
+        c1 = i;
+      }
+    }
+    v = Infinity;
+    for (let i = 0; i <= 256; i++) {
+      if (freq[i] && freq[i] <= v && i !== c1) {
+        v = freq[i];
+        c2 = i;
+      }
+    }
+    if (c2 < 0) break;
+    freq[c1] += freq[c2];
+    freq[c2] = 0;
+    codeSize[c1]++;
+    while (others[c1] >= 0) {
+      c1 = others[c1];
+      codeSize[c1]++;
+    }
+    others[c1] = c2;
+    codeSize[c2]++;
+    while (others[c2] >= 0) {
+      c2 = others[c2];
+      codeSize[c2]++;
+    }
+  }
+
+  const bits = new Array(33).fill(0);
+  for (let i = 0; i <= 256; i++) if (codeSize[i]) bits[codeSize[i]]++;
+  for (let i = 32; i > 16; i--) {
+    while (bits[i] > 0) {
+      let j = i - 2;
+      while (bits[j] === 0) j--;
+      bits[i] -= 2;
+      bits[i - 1]++;
+      bits[j + 1] += 2;
+      bits[j]--;
+    }
+  }
+  let longest = 16;
+  while (bits[longest] === 0) longest--;
+  bits[longest]--; // drop the reserved symbol
+
+  const values = [];
+  for (let length = 1; length <= 32; length++) {
+    for (let symbol = 0; symbol < 256; symbol++) {
+      if (codeSize[symbol] === length) values.push(symbol);
+    }
+  }
+  return { bits: bits.slice(1, 17), values };
+}
+
+// Canonical codes for a table (JPEG Annex C): symbol → { code, size }.
+function assignCodes({ bits, values }) {
+  const codes = new Int32Array(256);
+  const sizes = new Uint8Array(256);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < bits[length - 1]; i++) {
+      codes[values[k]] = code;
+      sizes[values[k]] = length;
+      code++;
+      k++;
+    }
+    code <<= 1;
+  }
+  return { codes, sizes };
+}
+
+class ByteWriter {
+  constructor(capacity) {
+    this.bytes = new Uint8Array(Math.max(1024, capacity));
+    this.length = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  byte(value) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = value;
+  }
+
+  word(value) {
+    this.byte(value >> 8);
+    this.byte(value & 0xff);
+  }
+
+  marker(code, payload) {
+    this.word(0xff00 | code);
+    this.word(payload.length + 2);
+    for (const value of payload) this.byte(value);
+  }
+
+  // Entropy-coded data, MSB first, with 0xFF bytes stuffed.
+  bits(value, size) {
+    for (let i = size - 1; i >= 0; i--) {
+      this.bitBuffer = (this.bitBuffer << 1) | ((value >> i) & 1);
+      if (++this.bitCount === 8) {
+        this.byte(this.bitBuffer);
+        if (this.bitBuffer === 0xff) this.byte(0);
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+      }
+    }
+  }
+
+  // Pad the last byte of a scan with 1 bits.
+  flushBits() {
+    if (this.bitCount > 0) this.bits(0xff, 8 - this.bitCount);
+  }
+}
+
+// Prepare an image for encoding: the colour conversion, subsampling and DCT
+// happen once, so `encode` can be called for several qualities cheaply (see
+// encodeToBudget in utils/formats). `source` is the RGBA pixels, or a
+// `(y, rows) => pixels` function returning whole rows, so a canvas can be
+// read a band at a time; only the coefficients (2 bytes a sample) are kept.
+// Bytes held per pixel are in JPEG_BYTES_PER_PIXEL.
+export function createJpegEncoder(source, width, height, { chroma = "420" } = {}) {
+  if (width > 0xffff || height > 0xffff) throw new Error("JPEG images can't be over 65535 px on a side.");
+  const sub = chroma === "444" ? 1 : 2;
+  const mcusX = Math.ceil(width / (8 * sub));
+  const mcusY = Math.ceil(height / (8 * sub));
+  // Block grids cover whole MCUs; `blocksW/H` are the blocks that hold
+  // image data, which is all a single-component scan codes.
+  const components = [
+    { id: 1, h: sub, v: sub, table: 0, gridW: mcusX * sub, gridH: mcusY * sub },
+    { id: 2, h: 1, v: 1, table: 1, gridW: mcusX, gridH: mcusY },
+    { id: 3, h: 1, v: 1, table: 1, gridW: mcusX, gridH: mcusY },
+  ];
+  for (const c of components) {
+    c.blocksW = Math.ceil(Math.ceil((width * c.h) / sub) / 8);
+    c.blocksH = Math.ceil(Math.ceil((height * c.v) / sub) / 8);
+  }
+
+  const readRows =
+    typeof source === "function"
+      ? source
+      : (y, rows) => source.subarray(y * width * 4, (y + rows) * width * 4);
+  const bandH = 8 * sub;
+  const planes = components.map((c) => new Float32Array(c.gridW * 64 * c.v));
+  const coefficients = components.map((c) => new Int16Array(c.gridW * c.gridH * 64));
+  for (let my = 0; my < mcusY; my++) {
+    const rows = Math.min(bandH, height - my * bandH);
+    sampleBand(readRows(my * bandH, rows), width, rows, planes, sub);
+    components.forEach((c, i) => transformRows(planes[i], c.gridW, c.v, coefficients[i], my * c.v));
+  }
+
+  function quantize(tables) {
+    return components.map((c, i) => {
+      const source = coefficients[i];
+      const table = tables[c.table];
+      const out = new Int16Array(source.length);
+      for (let b = 0; b < source.length; b += 64) {
+        for (let k = 0; k < 64; k++) out[b + k] = Math.round(source[b + ZIGZAG[k]] / table[k]);
+      }
+      return out;
+    });
+  }
+
+  // Huffman events for one scan. Table slots: 0-1 DC, 2-3 AC.
+  function scanSymbols(scan, quantized) {
+    const stream = new SymbolStream();
+    const dc = scan.ss === 0;
+    if (dc) {
+      // Interleaved (or the only component): MCU order, padding blocks
+      // included.
+      const interleaved = scan.components.length > 1;
+      const previous = [0, 0, 0];
+      const rows = interleaved ? mcusY : components[scan.components[0]].blocksH;
+      const cols = interleaved ? mcusX : components[scan.components[0]].blocksW;
+      for (let my = 0; my < rows; my++) {
+        for (let mx = 0; mx < cols; mx++) {
+          for (const index of scan.components) {
+            const c = components[index];
+            const h = interleaved ? c.h : 1;
+            const v = interleaved ? c.v : 1;
+            for (let by = 0; by < v; by++) {
+              for (let bx = 0; bx < h; bx++) {
+                const block = ((my * v + by) * c.gridW + mx * h + bx) * 64;
+                const coef = quantized[index];
+                const diff = coef[block] - previous[index];
+                previous[index] = coef[block];
+                const size = bitLength(diff);
+                stream.push(c.table, size, diff < 0 ? diff + (1 << size) - 1 : diff, size);
+                if (scan.se > 0) codeAc(stream, coef, block, 1, scan.se, 2 + c.table, null);
+              }
+            }
+          }
+        }
+      }
+      return stream;
+    }
+
+    const index = scan.components[0];
+    const c = components[index];
+    const coef = quantized[index];
+    const run = { eob: 0 };
+    for (let by = 0; by < c.blocksH; by++) {
+      for (let bx = 0; bx < c.blocksW; bx++) {
+        codeAc(stream, coef, (by * c.gridW + bx) * 64, scan.ss, scan.se, 2 + c.table, run);
+      }
+    }
+    if (run.eob > 0) flushEobRun(stream, 2 + c.table, run);
+    return stream;
+  }
+
+  return {
+    // Encode at `quality` (0-1, as for canvas) and resolve the file bytes.
+    encode(quality, { progressive = false } = {}) {
+      const q = Math.min(100, Math.max(1, Math.round(quality * 100)));
+      const tables = [scaleTable(STD_LUMINANCE, q), scaleTable(STD_CHROMINANCE, q)];
+      const quantized = quantize(tables);
+      const out = new ByteWriter(width * height);
+
+      out.word(0xffd8);
+      out.marker(0xe0, [0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]); // JFIF 1.01
+      out.marker(0xdb, [0, ...tables[0], 1, ...tables[1]]);
+      out.marker(progressive ? 0xc2 : 0xc0, [
+        8,
+        height >> 8,
+        height & 0xff,
+        width >> 8,
+        width & 0xff,
+        components.length,
+        ...components.flatMap((c) => [c.id, (c.h << 4) | c.v, c.table]),
+      ]);
+
+      for (const scan of progressive ? PROGRESSIVE_SCANS : BASELINE_SCANS) {
+        const stream = scanSymbols(scan, quantized);
+        const frequencies = [0, 1, 2, 3].map(() => new Uint32Array(256));
+        for (let i = 0; i < stream.length; i++) frequencies[stream.tables[i]][stream.symbols[i]]++;
+
+        const dht = [];
+        const codes = [];
+        frequencies.forEach((counts, slot) => {
+          if (!counts.some(Boolean)) return;
+          const table = buildHuffmanTable(counts);
+          codes[slot] = assignCodes(table);
+          dht.push(((slot >> 1) << 4) | (slot & 1), ...table.bits, ...table.values);
+        });
+        out.marker(0xc4, dht);
+        out.marker(0xda, [
+          scan.components.length,
+          ...scan.components.flatMap((i) => [components[i].id, (components[i].table << 4) | components[i].table]),
+          scan.ss,
+          scan.se,
+          0,
+        ]);
+        for (let i = 0; i < stream.length; i++) {
+          const { codes: table, sizes } = codes[stream.tables[i]];
+          const symbol = stream.symbols[i];
+          out.bits(table[symbol], sizes[symbol]);
+          if (stream.sizes[i]) out.bits(stream.values[i], stream.sizes[i]);
+        }
+        out.flushBits();
+      }
+
+      out.word(0xffd9);
+      return out.bytes.slice(0, out.length);
+    },
+  };
+}
+
+// Code coefficients `ss`..`se` of the block at `offset`. With `run` (for
+// progressive AC scans) blocks that end in zeros are batched into EOB runs;
+// without it each one gets its own EOB, as in baseline files.
+function codeAc(stream, coef, offset, ss, se, table, run) {
+  let zeros = 0;
+  for (let k = ss; k <= se; k++) {
+    const value = coef[offset + k];
+    if (value === 0) {
+      zeros++;
+      continue;
+    }
+    if (run && run.eob > 0) flushEobRun(stream, table, run);
+    for (; zeros > 15; zeros -= 16) stream.push(table, 0xf0, 0, 0);
+    const size = bitLength(value);
+    stream.push(table, (zeros << 4) | size, value < 0 ? value + (1 << size) - 1 : value, size);
+    zeros = 0;
+  }
+  if (zeros === 0) return;
+  if (!run) {
+    stream.push(table, 0x00, 0, 0);
+  } else if (++run.eob === 0x7fff) {
+    flushEobRun(stream, table, run);
+  }
+}
+
+function flushEobRun(stream, table, run) {
+  const size = bitLength(run.eob) - 1;
+  stream.push(table, size << 4, run.eob - (1 << size), size);
+  run.eob = 0;
+}
@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import jpeg from "jpeg-js";
+import { estimateJpegQuality, readJpegSegments } from "./jpeg.js";
+import { createJpegEncoder, usesJpegEncoder } from "./jpegEncoder.js";
+
+// Smooth colour gradients with a soft diagonal: easy to compress, so the
+// decoded pixels should stay close to the source.
+function gradient(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      data[o] = (255 * x) / width;
+      data[o + 1] = (255 * y) / height;
+      data[o + 2] = 128 + 60 * Math.sin((x + y) / 12);
+      data[o + 3] = 255;
+    }
+  }
+  return data;
+}
+
+// Root mean square error over the RGB channels.
+function rmse(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    for (let c = 0; c < 3; c++) sum += (a[i + c] - b[i + c]) ** 2;
+  }
+  return Math.sqrt(sum / ((a.length / 4) * 3));
+}
+
+function decode(bytes) {
+  return jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true });
+}
+
+function frameHeader(bytes) {
+  const sof = readJpegSegments(bytes).find((s) => s.marker === 0xc0 || s.marker === 0xc2);
+  const d = sof.data;
+  return {
+    progressive: sof.marker === 0xc2,
+    height: (d[1] << 8) | d[2],
+    width: (d[3] << 8) | d[4],
+    lumaSampling: d[7],
+  };
+}
+
+for (const chroma of ["420", "444"]) {
+  for (const progressive of [false, true]) {
+    test(`${chroma} ${progressive ? "progressive" : "baseline"} files decode close to the source`, () => {
+      // Odd sizes leave partial blocks and MCUs on the right and bottom.
+      const [width, height] = [77, 45];
+      const pixels = gradient(width, height);
+      const bytes = createJpegEncoder(pixels, width, height, { chroma }).encode(0.9, { progressive });
+      assert.deepEqual(frameHeader(bytes), {
+        progressive,
+        width,
+        height,
+        lumaSampling: chroma === "444" ? 0x11 : 0x22,
+      });
+      const decoded = decode(bytes);
+      assert.equal(decoded.width, width);
+      assert.equal(decoded.height, height);
+      assert.ok(rmse(decoded.data, pixels) < 6, `rmse ${rmse(decoded.data, pixels)}`);
+    });
+  }
+}
+
+test("reading rows through a function gives the same file", () => {
+  const [width, height] = [40, 33];
+  const pixels = gradient(width, height);
+  const calls = [];
+  const readRows = (y, rows) => {
+    calls.push(rows);
+    return pixels.subarray(y * width * 4, (y + rows) * width * 4);
+  };
+  const direct = createJpegEncoder(pixels, width, height).encode(0.8);
+  const banded = createJpegEncoder(readRows, width, height).encode(0.8);
+  assert.deepEqual(banded, direct);
+  // 16-row bands for 4:2:0, the last one short.
+  assert.deepEqual(calls, [16, 16, 1]);
+});
+
+test("one encoder serves several qualities", () => {
+  const encoder = createJpegEncoder(gradient(64, 64), 64, 64);
+  const low = encoder.encode(0.3);
+  const high = encoder.encode(0.95);
+  assert.ok(low.length < high.length);
+  assert.equal(estimateJpegQuality(readJpegSegments(low)), 30);
+  assert.equal(estimateJpegQuality(readJpegSegments(high)), 95);
+});
+
+test("sides over 65535 px are refused", () => {
+  assert.throws(() => createJpegEncoder(new Uint8ClampedArray(0), 70000, 0), /65535/);
+});
+
+test("usesJpegEncoder only for JPEG settings canvas can't honour", () => {
+  assert.equal(usesJpegEncoder({ format: "image/jpeg", chroma: null, progressive: false }), false);
+  assert.equal(usesJpegEncoder({ format: "image/jpeg", chroma: "444", progressive: false }), true);
+  assert.equal(usesJpegEncoder({ format: "image/jpeg", chroma: null, progressive: true }), true);
+  assert.equal(usesJpegEncoder({ format: "image/webp", chroma: "444", progressive: true }), false);
+});
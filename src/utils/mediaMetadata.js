@@ -0,0 +1,63 @@
+// Where StreamFetch's link previews come from. A metadata provider is any
+// object with
+//
+//   getMetadata(link, { signal }) → Promise<{ platform, kind, title, uploader,
+//     thumbnail, duration, formats: [Format], defaultFormat }>
+//
+// where `link` is a successful `parseMediaUrl` result, `duration` is in
+// seconds and Format is the download API's (see utils/downloadApi), with
+// `bytes` an estimate. It rejects with a DownloadApiError when the link has
+// nothing to download.
+import { DownloadApiError, createDownloadClient } from "./downloadApi.js";
+import { fixtureFor } from "./metadataFixtures.js";
+
+// "backend" (the download service's /formats) or "fixtures" (offline).
+export const METADATA_PROVIDER =
+  (import.meta.env && import.meta.env.VITE_METADATA_PROVIDER) || "backend";
+
+export function createBackendProvider(client = createDownloadClient()) {
+  return {
+    getMetadata(link, options) {
+      return client.listFormats(link.canonicalUrl, options);
+    },
+  };
+}
+
+// Answers from utils/metadataFixtures after `delay` ms, without touching the
+// network.
+export function createFixtureProvider({ delay = 300 } = {}) {
+  return {
+    getMetadata(link, { signal } = {}) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          const metadata = fixtureFor(link);
+          if (metadata) resolve(metadata);
+          else reject(new DownloadApiError(404, "unavailable", "This video is private or has been removed."));
+        }, delay);
+        if (signal) {
+          signal.addEventListener(
+            "abort",
+            () => {
+              clearTimeout(timer);
+              reject(signal.reason);
+            },
+            { once: true }
+          );
+        }
+      });
+    },
+  };
+}
+
+export function createMetadataProvider(client) {
+  return METADATA_PROVIDER === "fixtures" ? createFixtureProvider() : createBackendProvider(client);
+}
+
+// 213 → "3:33", 3725 → "1:02:05".
+export function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
@@ -0,0 +1,165 @@
+// Parsing the links pasted into StreamFetch. `parseMediaUrl` works out the
+// platform, the kind of media and its ID, and gives back a canonical link
+// with tracking parameters removed, or a reason the link can't be used:
+//
+//   youtu.be/dQw4w9WgXcQ?si=x             → YouTube video dQw4w9WgXcQ
+//   m.youtube.com/shorts/abcdefghijk      → YouTube short abcdefghijk
+//   youtube.com/playlist?list=PL…         → YouTube playlist PL…
+//   instagram.com/reels/C0de123/?igsh=…   → Instagram reel C0de123
+//   youtube.com/anything                  → rejected: "unsupported_page"
+
+export const PLATFORMS = ["YouTube", "Instagram"];
+
+export const MEDIA_KINDS = ["video", "short", "reel", "post", "playlist"];
+
+// Why a link was rejected, by `reason` code.
+export const REJECTION_REASONS = {
+  empty: "Paste a link first.",
+  not_a_url: "That doesn't look like a link.",
+  unsupported_protocol: "Only http and https links are supported.",
+  unsupported_site: "Only YouTube and Instagram links are supported.",
+  unsupported_page: "This page isn't a video, short, reel, post or playlist.",
+  missing_id: "The link is missing the video ID.",
+  invalid_id: "The video ID in this link isn't valid.",
+  stories: "Instagram stories and highlights can't be downloaded.",
+};
+
+// Query parameters that only track where a link was shared from.
+export const TRACKING_PARAMS = [
+  "si",
+  "feature",
+  "pp",
+  "ab_channel",
+  "app",
+  "igsh",
+  "igshid",
+  "fbclid",
+  "gclid",
+  "mibextid",
+  "ref",
+];
+
+const YOUTUBE_HOSTS = ["youtube.com", "m.youtube.com", "music.youtube.com", "youtube-nocookie.com"];
+const INSTAGRAM_HOSTS = ["instagram.com", "m.instagram.com", "instagr.am"];
+
+const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+const PLAYLIST_ID = /^[A-Za-z0-9_-]{12,64}$/;
+const SHORTCODE = /^[A-Za-z0-9_-]{5,40}$/;
+
+// YouTube paths of the form /<prefix>/<video id>.
+const YOUTUBE_PATH_KINDS = { shorts: "short", live: "video", embed: "video", v: "video", e: "video" };
+
+// Instagram paths of the form /<prefix>/<shortcode>.
+const INSTAGRAM_PATH_KINDS = { p: "post", reel: "reel", reels: "reel", tv: "video" };
+
+function reject(reason) {
+  return { ok: false, reason, message: REJECTION_REASONS[reason] };
+}
+
+// `url` without tracking parameters or a #fragment.
+export function stripTracking(url) {
+  const clean = new URL(url);
+  for (const key of [...clean.searchParams.keys()]) {
+    if (TRACKING_PARAMS.includes(key) || key.startsWith("utm_")) clean.searchParams.delete(key);
+  }
+  clean.hash = "";
+  return clean.toString();
+}
+
+// A start time ("t=1m30s", "t=90", "start=90") in whole seconds, or null.
+function readStart(params) {
+  const raw = params.get("t") || params.get("start");
+  if (!raw) return null;
+  const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/.exec(raw);
+  if (!match || !raw.match(/\d/)) return null;
+  const [, h = 0, m = 0, s = 0] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s);
+}
+
+function youtubeVideo(kind, id, params) {
+  if (!id) return reject("missing_id");
+  if (!VIDEO_ID.test(id)) return reject("invalid_id");
+  const canonicalUrl =
+    kind === "short" ? `https://www.youtube.com/shorts/${id}` : `https://www.youtube.com/watch?v=${id}`;
+  return { ok: true, platform: "YouTube", kind, id, canonicalUrl, start: readStart(params) };
+}
+
+function parseYoutube(url, host) {
+  const params = url.searchParams;
+  const segments = url.pathname.split("/").filter(Boolean);
+
+  if (host === "youtu.be") return youtubeVideo("video", segments[0], params);
+
+  const [first, second] = segments;
+  if (first === "watch" && segments.length === 1) return youtubeVideo("video", params.get("v"), params);
+  if (first === "playlist" && segments.length === 1) {
+    const list = params.get("list");
+    if (!list) return reject("missing_id");
+    if (!PLAYLIST_ID.test(list)) return reject("invalid_id");
+    return {
+      ok: true,
+      platform: "YouTube",
+      kind: "playlist",
+      id: list,
+      canonicalUrl: `https://www.youtube.com/playlist?list=${list}`,
+      start: null,
+    };
+  }
+  if (Object.hasOwn(YOUTUBE_PATH_KINDS, first) && segments.length <= 2) {
+    return youtubeVideo(YOUTUBE_PATH_KINDS[first], second, params);
+  }
+  return reject("unsupported_page");
+}
+
+function parseInstagram(url) {
+  const segments = url.pathname.split("/").filter(Boolean);
+  if (segments[0] === "stories" || segments[0] === "s") return reject("stories");
+  // Newer share links put the username first: /<user>/reel/<code>/.
+  const at = Object.hasOwn(INSTAGRAM_PATH_KINDS, segments[0]) ? 0 : 1;
+  const prefix = segments[at];
+  if (!Object.hasOwn(INSTAGRAM_PATH_KINDS, prefix) || segments.length > at + 2) return reject("unsupported_page");
+  const id = segments[at + 1];
+  // /reels/ on its own is the feed, and /reels/audio/… a sound page.
+  if (!id) return prefix === "reels" ? reject("unsupported_page") : reject("missing_id");
+  if (prefix === "reels" && id === "audio") return reject("unsupported_page");
+  if (!SHORTCODE.test(id)) return reject("invalid_id");
+  const kind = INSTAGRAM_PATH_KINDS[prefix];
+  const path = kind === "reel" ? "reel" : prefix;
+  return {
+    ok: true,
+    platform: "Instagram",
+    kind,
+    id,
+    canonicalUrl: `https://www.instagram.com/${path}/${id}/`,
+    start: null,
+  };
+}
+
+// Parse a pasted link. Returns either
+//   { ok: true, platform, kind, id, canonicalUrl, cleanUrl, start }
+// where `cleanUrl` is the link as given minus tracking parameters and
+// `start` a start time in seconds (or null), or
+//   { ok: false, reason, message }
+// with `reason` one of the REJECTION_REASONS keys.
+export function parseMediaUrl(input) {
+  const text = String(input || "").trim();
+  if (!text) return reject("empty");
+  if (/\s/.test(text)) return reject("not_a_url");
+
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch {
+    return reject("not_a_url");
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") return reject("unsupported_protocol");
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, "");
+  if (!host.includes(".")) return reject("not_a_url");
+  let parsed;
+  if (host === "youtu.be" || YOUTUBE_HOSTS.includes(host)) parsed = parseYoutube(url, host);
+  else if (INSTAGRAM_HOSTS.includes(host)) parsed = parseInstagram(url);
+  else return reject("unsupported_site");
+
+  return parsed.ok ? { ...parsed, cleanUrl: stripTracking(url) } : parsed;
+}
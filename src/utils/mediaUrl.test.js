@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseMediaUrl, stripTracking } from "./mediaUrl.js";
+
+// [input, expected]. Accepted links list the fields they must have (platform
+// YouTube and no start time unless given); rejected ones their reason.
+const ACCEPTED = [
+  ["https://www.youtube.com/watch?v=dQw4w9WgXcQ", { kind: "video", id: "dQw4w9WgXcQ" }],
+  ["youtube.com/watch?v=dQw4w9WgXcQ&t=1m30s", { kind: "video", id: "dQw4w9WgXcQ", start: 90 }],
+  ["https://m.youtube.com/watch?v=dQw4w9WgXcQ&feature=share", { kind: "video", id: "dQw4w9WgXcQ" }],
+  ["https://youtu.be/dQw4w9WgXcQ?si=abc123", { kind: "video", id: "dQw4w9WgXcQ" }],
+  ["youtu.be/dQw4w9WgXcQ?t=42", { kind: "video", id: "dQw4w9WgXcQ", start: 42 }],
+  [
+    "https://www.youtube.com/shorts/abcdefghijk?feature=share",
+    { kind: "short", id: "abcdefghijk", canonicalUrl: "https://www.youtube.com/shorts/abcdefghijk" },
+  ],
+  ["https://m.youtube.com/shorts/abcdefghijk", { kind: "short", id: "abcdefghijk" }],
+  [
+    "https://music.youtube.com/watch?v=dQw4w9WgXcQ&si=xyz",
+    { kind: "video", id: "dQw4w9WgXcQ", canonicalUrl: "https://www.youtube.com/watch?v=dQw4w9WgXcQ" },
+  ],
+  ["https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ", { kind: "video", id: "dQw4w9WgXcQ" }],
+  [
+    "https://www.youtube.com/playlist?list=PLabcdefghijkl",
+    { kind: "playlist", id: "PLabcdefghijkl", canonicalUrl: "https://www.youtube.com/playlist?list=PLabcdefghijkl" },
+  ],
+  [
+    "https://www.instagram.com/p/C0de123/?igsh=abc&utm_source=ig_web_copy_link",
+    { platform: "Instagram", kind: "post", id: "C0de123", canonicalUrl: "https://www.instagram.com/p/C0de123/" },
+  ],
+  [
+    "https://www.instagram.com/reel/C0de123/?igsh=abc",
+    { platform: "Instagram", kind: "reel", id: "C0de123", canonicalUrl: "https://www.instagram.com/reel/C0de123/" },
+  ],
+  [
+    "instagram.com/reels/C0de123/?utm_source=ig_web_button_share_sheet&utm_medium=copy",
+    { platform: "Instagram", kind: "reel", id: "C0de123", canonicalUrl: "https://www.instagram.com/reel/C0de123/" },
+  ],
+  ["https://www.instagram.com/someone/reel/C0de123/", { platform: "Instagram", kind: "reel", id: "C0de123" }],
+  ["https://instagr.am/p/C0de123/", { platform: "Instagram", kind: "post", id: "C0de123" }],
+];
+
+const REJECTED = [
+  ["", "empty"],
+  ["   ", "empty"],
+  ["not a link", "not_a_url"],
+  ["localhost", "not_a_url"],
+  ["ftp://youtube.com/watch?v=dQw4w9WgXcQ", "unsupported_protocol"],
+  ["https://vimeo.com/123456", "unsupported_site"],
+  ["https://notyoutube.com/watch?v=dQw4w9WgXcQ", "unsupported_site"],
+  ["https://youtube.com/anything", "unsupported_page"],
+  ["https://www.youtube.com/", "unsupported_page"],
+  ["https://www.youtube.com/@channel/videos", "unsupported_page"],
+  ["https://www.youtube.com/watch", "missing_id"],
+  ["https://youtu.be/", "missing_id"],
+  ["https://www.youtube.com/watch?v=short", "invalid_id"],
+  ["https://www.youtube.com/shorts/", "missing_id"],
+  ["https://www.youtube.com/playlist?list=PL", "invalid_id"],
+  ["https://www.instagram.com/", "unsupported_page"],
+  ["https://www.instagram.com/reels/", "unsupported_page"],
+  ["https://www.instagram.com/reels/audio/12345/", "unsupported_page"],
+  ["https://www.instagram.com/p/", "missing_id"],
+  ["https://www.instagram.com/p/a!b/", "invalid_id"],
+  ["https://www.instagram.com/stories/someone/123/", "stories"],
+];
+
+for (const [input, expected] of ACCEPTED) {
+  test(`accepts ${input}`, () => {
+    const result = parseMediaUrl(input);
+    assert.equal(result.ok, true, result.message);
+    for (const [key, value] of Object.entries({ platform: "YouTube", start: null, ...expected })) {
+      assert.equal(result[key], value, key);
+    }
+  });
+}
+
+for (const [input, reason] of REJECTED) {
+  test(`rejects ${JSON.stringify(input)} as ${reason}`, () => {
+    const result = parseMediaUrl(input);
+    assert.equal(result.ok, false);
+    assert.equal(result.reason, reason);
+    assert.ok(result.message);
+  });
+}
+
+test("cleanUrl drops tracking parameters and keeps the rest", () => {
+  const { cleanUrl } = parseMediaUrl("https://youtu.be/dQw4w9WgXcQ?si=abc&t=42&utm_source=x#comments");
+  assert.equal(cleanUrl, "https://youtu.be/dQw4w9WgXcQ?t=42");
+  assert.equal(
+    stripTracking("https://www.instagram.com/reel/C0de123/?igsh=abc&igshid=def&hl=en"),
+    "https://www.instagram.com/reel/C0de123/?hl=en"
+  );
+});
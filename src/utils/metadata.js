@@ -0,0 +1,254 @@
+// Reads EXIF and ICC profiles out of JPEG/PNG files and writes them back
+// into re-encoded output, since canvas encoding drops all metadata.
+import { findExifSegment, isJpeg, readJpegSegments } from "./jpeg.js";
+import { buildDateExif, readExif, updateExif } from "./exif.js";
+import { crc32 } from "./crc32.js";
+
+export const METADATA_MODES = {
+  keep: "Keep metadata",
+  "strip-gps": "Strip GPS location",
+  essential: "Date taken only",
+  "strip-all": "Strip all metadata",
+};
+
+// Formats we know how to write metadata into.
+export const METADATA_FORMATS = ["image/jpeg", "image/png"];
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const ICC_MARKER = "ICC_PROFILE\0";
+const EXIF_HEADER = "Exif\0\0";
+// 65535 minus the length field, ICC marker, sequence number and count.
+const MAX_ICC_CHUNK = 65535 - 2 - ICC_MARKER.length - 2;
+
+const encoder = new TextEncoder();
+
+function startsWith(bytes, text, offset = 0) {
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+function concat(parts) {
+  const total = parts.reduce((n, p) => n + p.length, 0);
+  const out = new Uint8Array(total);
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
+
+async function runStream(bytes, stream) {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+export function isPng(bytes) {
+  return PNG_SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+// Start-of-frame markers (all except DHT, JPG and DAC, which share the range).
+const SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+// The stored pixel size, read from the header without decoding (so before
+// any EXIF rotation). Null if it can't be found.
+export function readImageSize(bytes) {
+  if (isPng(bytes) && bytes.length >= 24) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+  }
+  for (const seg of readJpegSegments(bytes)) {
+    if (SOF_MARKERS.includes(seg.marker) && seg.data.length >= 5) {
+      const d = seg.data;
+      return { width: (d[3] << 8) | d[4], height: (d[1] << 8) | d[2] };
+    }
+  }
+  return null;
+}
+
+function readPngChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let pos = 8;
+  while (pos + 12 <= bytes.length) {
+    const length = view.getUint32(pos);
+    const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+    if (pos + 12 + length > bytes.length) break;
+    chunks.push({ type, offset: pos, length: length + 12, data: bytes.subarray(pos + 8, pos + 8 + length) });
+    pos += 12 + length;
+    if (type === "IEND") break;
+  }
+  return chunks;
+}
+
+function readJpegIcc(segments) {
+  const parts = [];
+  for (const seg of segments) {
+    if (seg.marker === 0xe2 && startsWith(seg.data, ICC_MARKER)) {
+      parts[seg.data[ICC_MARKER.length] - 1] = seg.data.subarray(ICC_MARKER.length + 2);
+    }
+  }
+  return parts.length && parts.every(Boolean) ? concat(parts) : null;
+}
+
+// Returns `{ exif, icc, info }`: the raw TIFF block, the raw ICC profile
+// and the parsed EXIF fields shown on the card. Any of them may be null.
+export async function readMetadata(bytes) {
+  if (isJpeg(bytes)) {
+    const segments = readJpegSegments(bytes);
+    const exif = findExifSegment(segments);
+    return { exif, icc: readJpegIcc(segments), info: readExif(exif) };
+  }
+  if (isPng(bytes)) {
+    let exif = null;
+    let icc = null;
+    for (const chunk of readPngChunks(bytes)) {
+      if (chunk.type === "eXIf") exif = chunk.data;
+      if (chunk.type === "iCCP") {
+        // Profile name, NUL, compression method, then a zlib stream.
+        const nul = chunk.data.indexOf(0);
+        try {
+          icc = await runStream(chunk.data.subarray(nul + 2), new DecompressionStream("deflate"));
+        } catch {
+          icc = null;
+        }
+      }
+    }
+    return { exif, icc, info: readExif(exif) };
+  }
+  return { exif: null, icc: null, info: null };
+}
+
+// Apply the privacy mode and fix up tags that no longer match the output.
+// The pixels have already been rotated upright, so orientation becomes 1.
+// "essential" keeps only the capture date and drops the colour profile, for
+// outputs where every byte counts.
+export function prepareMetadata(metadata, mode, { width, height, dpi }) {
+  if (mode === "strip-all" || !metadata) return { exif: null, icc: null };
+  if (mode === "essential") {
+    return { exif: buildDateExif(metadata.info && metadata.info.dateTimeOriginal), icc: null };
+  }
+  const exif = metadata.exif
+    ? updateExif(metadata.exif, { orientation: 1, width, height, dpi, stripGps: mode === "strip-gps" })
+    : null;
+  return { exif, icc: metadata.icc };
+}
+
+function jpegSegment(marker, payload) {
+  const out = new Uint8Array(payload.length + 4);
+  out[0] = 0xff;
+  out[1] = marker;
+  out[2] = (payload.length + 2) >> 8;
+  out[3] = (payload.length + 2) & 0xff;
+  out.set(payload, 4);
+  return out;
+}
+
+// JFIF APP0 payload: identifier, version 1.01, then units and density.
+function jfifPayload(dpi) {
+  return new Uint8Array([0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 1, dpi >> 8, dpi & 0xff, dpi >> 8, dpi & 0xff, 0, 0]);
+}
+
+function writeJpeg(bytes, { exif, icc, dpi }) {
+  const segments = readJpegSegments(bytes);
+  const jfif = segments[0] && segments[0].marker === 0xe0 && startsWith(segments[0].data, "JFIF\0");
+  const inserts = [];
+  if (dpi && jfif) {
+    // Units 1 (dots per inch), then X and Y density.
+    bytes = bytes.slice();
+    const at = segments[0].offset + 4 + 7;
+    bytes.set([1, dpi >> 8, dpi & 0xff, dpi >> 8, dpi & 0xff], at);
+  } else if (dpi) {
+    inserts.push(jpegSegment(0xe0, jfifPayload(dpi)));
+  }
+  if (exif) inserts.push(jpegSegment(0xe1, concat([encoder.encode(EXIF_HEADER), exif])));
+  if (icc) {
+    const count = Math.ceil(icc.length / MAX_ICC_CHUNK);
+    for (let i = 0; i < count; i++) {
+      const chunk = icc.subarray(i * MAX_ICC_CHUNK, (i + 1) * MAX_ICC_CHUNK);
+      inserts.push(
+        jpegSegment(0xe2, concat([encoder.encode(ICC_MARKER), new Uint8Array([i + 1, count]), chunk]))
+      );
+    }
+  }
+  // Keep a leading JFIF APP0 first, as readers expect.
+  const at = segments[0] && segments[0].marker === 0xe0 ? segments[0].offset + segments[0].length : 2;
+  return concat([bytes.subarray(0, at), ...inserts, bytes.subarray(at)]);
+}
+
+function pngChunk(type, data) {
+  const out = new Uint8Array(data.length + 12);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  out.set(encoder.encode(type), 4);
+  out.set(data, 8);
+  view.setUint32(data.length + 8, crc32(out.subarray(4, data.length + 8)));
+  return out;
+}
+
+const METRES_PER_INCH = 0.0254;
+
+async function writePng(bytes, { exif, icc, dpi }) {
+  const chunks = readPngChunks(bytes);
+  const inserts = [];
+  if (dpi) {
+    // Pixels per metre on both axes, unit 1 (metre).
+    const data = new Uint8Array(9);
+    const view = new DataView(data.buffer);
+    const perMetre = Math.round(dpi / METRES_PER_INCH);
+    view.setUint32(0, perMetre);
+    view.setUint32(4, perMetre);
+    data[8] = 1;
+    inserts.push(pngChunk("pHYs", data));
+  }
+  if (icc) {
+    const compressed = await runStream(icc, new CompressionStream("deflate"));
+    inserts.push(pngChunk("iCCP", concat([encoder.encode("ICC profile"), new Uint8Array([0, 0]), compressed])));
+  }
+  if (exif) inserts.push(pngChunk("eXIf", exif));
+
+  const parts = [bytes.subarray(0, 8)];
+  for (const chunk of chunks) {
+    // An embedded profile replaces any sRGB/gAMA hints the encoder wrote.
+    if (icc && (chunk.type === "sRGB" || chunk.type === "gAMA" || chunk.type === "iCCP")) continue;
+    if (dpi && chunk.type === "pHYs") continue;
+    parts.push(bytes.subarray(chunk.offset, chunk.offset + chunk.length));
+    if (chunk.type === "IHDR") parts.push(...inserts);
+  }
+  return concat(parts);
+}
+
+// Insert EXIF/ICC, and a print density of `dpi` when set, into an encoded
+// image. Formats without a writer are returned unchanged.
+export async function writeMetadata(blob, { exif, icc, dpi = null }) {
+  if ((!exif && !icc && !dpi) || !METADATA_FORMATS.includes(blob.type)) return blob;
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const out =
+    blob.type === "image/jpeg" ? writeJpeg(bytes, { exif, icc, dpi }) : await writePng(bytes, { exif, icc, dpi });
+  return new Blob([out], { type: blob.type });
+}
+
+// The fields worth showing on a card, already formatted.
+export function describeMetadata(info, icc) {
+  const fields = [];
+  if (!info && !icc) return fields;
+  if (info) {
+    const camera = [info.make, info.model].filter(Boolean).join(" ");
+    if (camera) fields.push(["Camera", camera]);
+    const taken = info.dateTimeOriginal || info.dateTime;
+    if (taken) fields.push(["Taken", taken]);
+    if (info.gps) {
+      fields.push(["GPS", `${info.gps.latitude.toFixed(5)}, ${info.gps.longitude.toFixed(5)}`]);
+    } else if (info.hasGps) {
+      fields.push(["GPS", "present"]);
+    }
+    if (info.orientation && info.orientation !== 1) {
+      fields.push(["Orientation", `EXIF ${info.orientation} (corrected)`]);
+    }
+    if (info.software) fields.push(["Software", info.software]);
+  }
+  if (icc) fields.push(["Color profile", `${(icc.length / 1024).toFixed(1)} KB ICC`]);
+  return fields;
+}
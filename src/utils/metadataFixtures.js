@@ -0,0 +1,101 @@
+// Made-up link metadata for offline development, shared by the fixture
+// metadata provider and the mock download server so both agree on titles
+// and format IDs. A few links have hand-written entries; any other valid
+// link gets a generated one, stable for its ID.
+
+// Format catalogs per kind of media. Sizes are estimated from the bitrate
+// (kbit/s) and the duration.
+const YOUTUBE_FORMATS = [
+  { id: "360p", label: "360p", kind: "video", height: 360, ext: "mp4", bitrate: 700 },
+  { id: "720p", label: "720p", kind: "video", height: 720, ext: "mp4", bitrate: 2500 },
+  { id: "1080p", label: "1080p", kind: "video", height: 1080, ext: "mp4", bitrate: 4500 },
+  { id: "2160p", label: "4K", kind: "video", height: 2160, ext: "webm", bitrate: 16000 },
+  { id: "audio-m4a", label: "M4A", kind: "audio", height: null, ext: "m4a", bitrate: 128 },
+  { id: "audio-opus", label: "Opus", kind: "audio", height: null, ext: "opus", bitrate: 160 },
+];
+
+const SHORT_FORMATS = YOUTUBE_FORMATS.filter((f) => f.kind === "audio" || f.height <= 1080);
+
+// Reels and posts top out at 1080p and have no separate audio track.
+const INSTAGRAM_FORMATS = YOUTUBE_FORMATS.filter((f) => f.id === "720p" || f.id === "1080p");
+
+const KNOWN = {
+  "YouTube:dQw4w9WgXcQ": {
+    title: "Rick Astley - Never Gonna Give You Up (Official Music Video)",
+    uploader: "Rick Astley",
+    duration: 213,
+  },
+  "YouTube:abcdefghijk": {
+    title: "How to fold a paper plane in 30 seconds",
+    uploader: "Paper Crafts Daily",
+    duration: 31,
+  },
+  "Instagram:C0de12345": {
+    title: "Sunset timelapse over the harbour",
+    uploader: "@harbourviews",
+    duration: 18,
+  },
+};
+
+const COLORS = ["#4f46e5", "#db2777", "#0891b2", "#ca8a04", "#16a34a", "#9333ea"];
+
+function hashString(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  return hash;
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+}
+
+// A 16:9 placeholder image, so previews work without network access.
+function thumbnailFor(key, title) {
+  const color = COLORS[hashString(key) % COLORS.length];
+  const label = escapeXml(title.length > 40 ? `${title.slice(0, 39)}…` : title);
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="480" height="270" viewBox="0 0 480 270">` +
+    `<rect width="480" height="270" fill="${color}"/>` +
+    `<circle cx="240" cy="120" r="36" fill="#ffffff" opacity="0.9"/>` +
+    `<path d="M228 102 L258 120 L228 138 Z" fill="${color}"/>` +
+    `<text x="240" y="210" font-family="sans-serif" font-size="18" fill="#ffffff" text-anchor="middle">${label}</text>` +
+    `</svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+function catalogFor(link) {
+  if (link.platform === "Instagram") return INSTAGRAM_FORMATS;
+  return link.kind === "short" ? SHORT_FORMATS : YOUTUBE_FORMATS;
+}
+
+// Metadata for a parsed link (see `parseMediaUrl`), in the shape of the
+// download API's /formats response, or null for IDs containing
+// "unavailable", which stand in for private or removed videos.
+export function fixtureFor(link) {
+  if (link.id.includes("unavailable")) return null;
+  const key = `${link.platform}:${link.id}`;
+  const hash = hashString(key);
+  const known = KNOWN[key];
+  const duration = known
+    ? known.duration
+    : link.kind === "short" || link.platform === "Instagram"
+      ? 10 + (hash % 50)
+      : link.kind === "playlist"
+        ? 1800 + (hash % 3600)
+        : 60 + (hash % 1200);
+  const title = known ? known.title : `Sample ${link.platform} ${link.kind} ${link.id}`;
+  const formats = catalogFor(link).map(({ bitrate, ...format }) => ({
+    ...format,
+    bytes: Math.round((duration * bitrate * 1000) / 8),
+  }));
+  return {
+    platform: link.platform,
+    kind: link.kind,
+    title,
+    uploader: known ? known.uploader : link.platform === "Instagram" ? "@sample.creator" : "Sample Channel",
+    thumbnail: thumbnailFor(key, title),
+    duration,
+    formats,
+    defaultFormat: "1080p",
+  };
+}
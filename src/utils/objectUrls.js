@@ -0,0 +1,62 @@
+// Object URLs for the cards on screen. Each URL keeps its blob alive until
+// it is revoked, so a batch of large photos and their outputs can hold
+// hundreds of megabytes long after the cards are gone. The store tracks
+// every URL it hands out by card id and slot ("source", "output"), revokes
+// the old one when a slot is replaced and everything a card or batch held
+// when it is discarded, and keeps a running total of the bytes held.
+
+export function createObjectUrlStore({ onChange = () => {} } = {}) {
+  const cards = new Map(); // id -> Map(slot -> { url, size })
+  let bytes = 0;
+
+  function revoke({ url, size }) {
+    URL.revokeObjectURL(url);
+    bytes -= size;
+  }
+
+  // A URL for `blob` in `slot` of card `id`, replacing the one there.
+  function set(id, slot, blob) {
+    let slots = cards.get(id);
+    if (!slots) {
+      slots = new Map();
+      cards.set(id, slots);
+    }
+    const previous = slots.get(slot);
+    if (previous) revoke(previous);
+    const url = URL.createObjectURL(blob);
+    slots.set(slot, { url, size: blob.size });
+    bytes += blob.size;
+    onChange();
+    return url;
+  }
+
+  // Revoke everything held for card `id`.
+  function release(id) {
+    const slots = cards.get(id);
+    if (!slots) return;
+    slots.forEach(revoke);
+    cards.delete(id);
+    onChange();
+  }
+
+  function releaseAll() {
+    if (cards.size === 0) return;
+    for (const slots of cards.values()) slots.forEach(revoke);
+    cards.clear();
+    onChange();
+  }
+
+  return {
+    set,
+    release,
+    releaseAll,
+    get bytes() {
+      return bytes;
+    },
+    get size() {
+      let count = 0;
+      for (const slots of cards.values()) count += slots.size;
+      return count;
+    },
+  };
+}
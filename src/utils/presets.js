@@ -0,0 +1,417 @@
+// Named output presets. A preset decides the target size (and crop) for an
+// image plus the encoder settings, and can be edited, saved to localStorage
+// and shared between team members as JSON.
+//
+// sizing:
+//   "minimum" - enlarge until the image is at least width × height, minSide
+//               on both sides and minMP megapixels (never shrinks).
+//   "exact"   - fit into width × height using `fit` (contain/cover/stretch).
+//   "scale"   - multiply both sides by `scale`.
+//   "optimize" - shrink to fit inside width × height (never enlarges), for
+//               sending: chat apps and mail leave files within their limits
+//               alone instead of recompressing them.
+//
+// `chroma` ("420", "444" or null for the browser's choice) and `progressive`
+// are JPEG encoder settings; either one switches to utils/jpegEncoder.
+// `watermark` is null or a utils/watermark description, drawn over the
+// output. `metadata` is the preset's default METADATA_MODES key, or null for
+// "keep"; a batch-wide choice overrides it. `dpi` is the print density
+// written into JPEG and PNG outputs, or null to leave the encoder's.
+import { JPEG_CHROMA } from "./jpegEncoder.js";
+import { METADATA_MODES } from "./metadata.js";
+import { normalizeWatermark } from "./watermark.js";
+
+// What counts as a "good" WhatsApp-HD photo; also the default preset.
+export const MIN_GOOD_WIDTH = 1920;
+export const MIN_GOOD_HEIGHT = 1080;
+export const MIN_GOOD_MP = 2;
+export const MIN_IMAGE_PX = 1600;
+
+// Version 1 stored the whole list, built-ins included, which froze them at
+// the release they were first saved in.
+const LEGACY_STORAGE_KEY = "hdimages.presets";
+const STORAGE_KEY = "hdimages.presets.v2";
+// JFIF stores density in 16 bits.
+const MAX_DPI = 65535;
+const EXPORT_VERSION = 1;
+
+export const SIZING_MODES = {
+  minimum: "At least (never shrink)",
+  exact: "Exact size",
+  scale: "Scale factor",
+  optimize: "Send-safe (shrink to fit)",
+};
+export const FIT_MODES = {
+  contain: "Fit inside",
+  cover: "Fill & crop",
+  stretch: "Stretch",
+};
+
+const BASE_PRESET = {
+  sizing: "minimum",
+  width: MIN_GOOD_WIDTH,
+  height: MIN_GOOD_HEIGHT,
+  minSide: MIN_IMAGE_PX,
+  minMP: MIN_GOOD_MP,
+  scale: 2,
+  fit: "contain",
+  matchOrientation: false,
+  format: "image/jpeg",
+  quality: 0.95,
+  maxBytes: null,
+  chroma: null,
+  progressive: false,
+  metadata: null,
+  dpi: null,
+  watermark: null,
+};
+
+export const BUILT_IN_PRESETS = [
+  { ...BASE_PRESET, id: "whatsapp-hd", name: "WhatsApp HD (default)" },
+  {
+    ...BASE_PRESET,
+    id: "instagram-square",
+    name: "Instagram 1080 square",
+    sizing: "exact",
+    width: 1080,
+    height: 1080,
+    fit: "cover",
+  },
+  {
+    ...BASE_PRESET,
+    id: "wallpaper-4k",
+    name: "4K wallpaper",
+    sizing: "exact",
+    width: 3840,
+    height: 2160,
+    fit: "cover",
+  },
+  {
+    ...BASE_PRESET,
+    id: "print-a4",
+    name: "Print 300 DPI A4",
+    sizing: "exact",
+    width: 2480,
+    height: 3508,
+    fit: "contain",
+    matchOrientation: true,
+    dpi: 300,
+  },
+  { ...BASE_PRESET, id: "scale-2x", name: "Exact 2× scale", sizing: "scale", scale: 2 },
+  { ...BASE_PRESET, id: "scale-4x", name: "Exact 4× scale", sizing: "scale", scale: 4 },
+  {
+    ...BASE_PRESET,
+    id: "max-1mb",
+    name: "Fit within 1 MB",
+    maxBytes: 1_000_000,
+  },
+  // Send-safe targets. The limits are what the apps currently leave alone;
+  // they aren't documented and do change. Colour profiles and most EXIF are
+  // dropped by default, as they can take a good share of the budget.
+  {
+    ...BASE_PRESET,
+    id: "whatsapp-send",
+    name: "Send-safe: WhatsApp",
+    sizing: "optimize",
+    width: 1600,
+    height: 1600,
+    quality: 0.85,
+    maxBytes: 1_000_000,
+    chroma: "420",
+    metadata: "essential",
+  },
+  {
+    ...BASE_PRESET,
+    id: "instagram-send",
+    name: "Send-safe: Instagram",
+    sizing: "optimize",
+    width: 1080,
+    height: 1350,
+    quality: 0.9,
+    maxBytes: 1_500_000,
+    chroma: "444",
+    metadata: "essential",
+  },
+  {
+    ...BASE_PRESET,
+    id: "email-send",
+    name: "Send-safe: email",
+    sizing: "optimize",
+    width: 2048,
+    height: 2048,
+    quality: 0.8,
+    maxBytes: 500_000,
+    chroma: "420",
+    progressive: true,
+    metadata: "essential",
+  },
+];
+
+export const DEFAULT_PRESET = BUILT_IN_PRESETS[0];
+
+function fullFrame(width, height) {
+  return { x: 0, y: 0, width, height };
+}
+
+// Work out the output size and the source rectangle to draw from.
+export function getTargetSize(width, height, preset = DEFAULT_PRESET) {
+  if (preset.sizing === "scale") {
+    return {
+      width: Math.max(1, Math.round(width * preset.scale)),
+      height: Math.max(1, Math.round(height * preset.scale)),
+      crop: fullFrame(width, height),
+    };
+  }
+
+  if (preset.sizing === "exact" || preset.sizing === "optimize") {
+    let boxW = preset.width;
+    let boxH = preset.height;
+    // e.g. an A4 print preset should follow landscape photos too.
+    if (preset.matchOrientation && (width > height) !== (boxW > boxH)) {
+      [boxW, boxH] = [boxH, boxW];
+    }
+    if (preset.sizing === "optimize") {
+      const scale = Math.min(1, boxW / width, boxH / height);
+      return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale)),
+        crop: fullFrame(width, height),
+      };
+    }
+    if (preset.fit === "stretch") {
+      return { width: boxW, height: boxH, crop: fullFrame(width, height) };
+    }
+    if (preset.fit === "cover") {
+      const scale = Math.max(boxW / width, boxH / height);
+      const cropW = Math.min(width, Math.round(boxW / scale));
+      const cropH = Math.min(height, Math.round(boxH / scale));
+      return {
+        width: boxW,
+        height: boxH,
+        crop: {
+          x: Math.round((width - cropW) / 2),
+          y: Math.round((height - cropH) / 2),
+          width: cropW,
+          height: cropH,
+        },
+      };
+    }
+    const scale = Math.min(boxW / width, boxH / height);
+    return {
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale)),
+      crop: fullFrame(width, height),
+    };
+  }
+
+  let scaleW = preset.width / width;
+  let scaleH = preset.height / height;
+  let scaleMinW = preset.minSide / width;
+  let scaleMinH = preset.minSide / height;
+  let scaleMP = Math.sqrt((preset.minMP * 1_000_000) / (width * height));
+  const scale = Math.max(scaleW, scaleH, scaleMinW, scaleMinH, scaleMP, 1);
+  return {
+    width: Math.round(width * scale),
+    height: Math.round(height * scale),
+    crop: fullFrame(width, height),
+  };
+}
+
+function slugify(name) {
+  return (
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "preset"
+  );
+}
+
+function toPositiveNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Coerce untrusted input (localStorage, an imported file) into a valid
+// preset, falling back to the base values for anything missing or invalid.
+export function normalizePreset(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("Preset must be an object.");
+  const name = String(raw.name || "").trim();
+  if (!name) throw new Error("Preset is missing a name.");
+  return {
+    id: String(raw.id || slugify(name)),
+    name,
+    sizing: SIZING_MODES[raw.sizing] ? raw.sizing : BASE_PRESET.sizing,
+    width: Math.round(toPositiveNumber(raw.width, BASE_PRESET.width)),
+    height: Math.round(toPositiveNumber(raw.height, BASE_PRESET.height)),
+    minSide: Math.round(toPositiveNumber(raw.minSide, BASE_PRESET.minSide)),
+    minMP: toPositiveNumber(raw.minMP, BASE_PRESET.minMP),
+    scale: toPositiveNumber(raw.scale, BASE_PRESET.scale),
+    fit: FIT_MODES[raw.fit] ? raw.fit : BASE_PRESET.fit,
+    matchOrientation: Boolean(raw.matchOrientation),
+    format: typeof raw.format === "string" ? raw.format : BASE_PRESET.format,
+    quality: Math.min(1, toPositiveNumber(raw.quality, BASE_PRESET.quality)),
+    maxBytes: raw.maxBytes ? Math.round(toPositiveNumber(raw.maxBytes, 0)) || null : null,
+    chroma: JPEG_CHROMA[raw.chroma] ? String(raw.chroma) : null,
+    progressive: Boolean(raw.progressive),
+    metadata: METADATA_MODES[raw.metadata] ? raw.metadata : null,
+    dpi: raw.dpi ? Math.min(MAX_DPI, Math.round(toPositiveNumber(raw.dpi, 0))) || null : null,
+    watermark: normalizeWatermark(raw.watermark),
+  };
+}
+
+export function createPresetId(name, presets) {
+  const base = slugify(name);
+  let id = base;
+  for (let i = 2; presets.some((p) => p.id === id); i++) id = `${base}-${i}`;
+  return id;
+}
+
+function isBuiltIn(id) {
+  return BUILT_IN_PRESETS.some((p) => p.id === id);
+}
+
+function samePreset(a, b) {
+  return JSON.stringify(normalizePreset(a)) === JSON.stringify(normalizePreset(b));
+}
+
+// The built-ins in their own order, with stored edits in place of the
+// originals and removed ones left out, then the user's own presets. Built-ins
+// that weren't edited always come from this release.
+function mergeBuiltIns(custom, removed) {
+  const builtIns = BUILT_IN_PRESETS.filter((p) => !removed.includes(p.id)).map(
+    (p) => custom.find((c) => c.id === p.id) || p
+  );
+  const merged = [...builtIns, ...custom.filter((p) => !isBuiltIn(p.id))];
+  return merged.length > 0 ? merged : BUILT_IN_PRESETS;
+}
+
+// Only the user's copies of version 1 presets carry over: its copies of the
+// built-ins can't be told apart from edits, so the current ones replace them.
+function migrateLegacyPresets() {
+  const legacy = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY));
+  if (!Array.isArray(legacy)) return null;
+  const custom = legacy.map(normalizePreset).filter((p) => !isBuiltIn(p.id));
+  const presets = mergeBuiltIns(custom, []);
+  savePresets(presets);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  return presets;
+}
+
+export function loadPresets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && Array.isArray(stored.presets) && Array.isArray(stored.removed)) {
+      return mergeBuiltIns(stored.presets.map(normalizePreset), stored.removed.map(String));
+    }
+    return migrateLegacyPresets() || BUILT_IN_PRESETS;
+  } catch {
+    // Corrupt or unavailable storage: fall back to the built-ins.
+  }
+  return BUILT_IN_PRESETS;
+}
+
+// Stores only what differs from the built-ins: presets the user created or
+// edited, and the ids of built-ins they deleted.
+export function savePresets(presets) {
+  const custom = presets.filter((p) => {
+    const builtIn = BUILT_IN_PRESETS.find((b) => b.id === p.id);
+    return !builtIn || !samePreset(p, builtIn);
+  });
+  const removed = BUILT_IN_PRESETS.filter((b) => !presets.some((p) => p.id === b.id)).map((b) => b.id);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ presets: custom, removed }));
+  } catch {
+    // Private mode or quota exceeded; presets just won't persist.
+  }
+}
+
+export function exportPresets(presets) {
+  return JSON.stringify({ version: EXPORT_VERSION, presets }, null, 2);
+}
+
+// Merge presets from an exported JSON file into `current`. Imported presets
+// replace existing ones with the same id.
+export function importPresets(json, current) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    throw new Error("Preset file is not valid JSON.");
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.presets;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("Preset file contains no presets.");
+  }
+  const imported = list.map(normalizePreset);
+  const merged = current.filter((p) => !imported.some((i) => i.id === p.id));
+  return [...merged, ...imported];
+}
+
+// Settings carried in preset links, besides the name. Watermarks aren't:
+// logos don't fit in a URL.
+const LINK_FIELDS = [
+  "sizing",
+  "width",
+  "height",
+  "minSide",
+  "minMP",
+  "scale",
+  "fit",
+  "format",
+  "quality",
+  "maxBytes",
+  "chroma",
+  "metadata",
+  "dpi",
+];
+
+function sameSettings(a, b) {
+  return (
+    a.name === b.name &&
+    a.matchOrientation === b.matchOrientation &&
+    a.progressive === b.progressive &&
+    LINK_FIELDS.every((key) => a[key] === b[key])
+  );
+}
+
+// Encode a preset as URL query params for links to the upscaler. Built-in
+// presets are referenced by id; others carry their settings, so the link
+// works on a machine that doesn't have them.
+export function presetToSearchParams(preset) {
+  const params = new URLSearchParams();
+  if (BUILT_IN_PRESETS.some((p) => p.id === preset.id)) {
+    params.set("preset", preset.id);
+    return params;
+  }
+  params.set("name", preset.name);
+  for (const key of LINK_FIELDS) {
+    if (preset[key] != null) params.set(key, String(preset[key]));
+  }
+  if (preset.matchOrientation) params.set("matchOrientation", "1");
+  if (preset.progressive) params.set("progressive", "1");
+  return params;
+}
+
+// The preset a link asks for, as `{ preset, isNew }`, or null if it names
+// none. Inline settings that match an existing preset resolve to it rather
+// than creating a duplicate.
+export function presetFromSearchParams(params, presets) {
+  const id = params.get("preset");
+  if (id) {
+    const found = presets.find((p) => p.id === id);
+    return found ? { preset: found, isNew: false } : null;
+  }
+  if (!params.has("sizing")) return null;
+
+  const raw = {
+    name: params.get("name") || "Shared preset",
+    matchOrientation: params.get("matchOrientation") === "1",
+    progressive: params.get("progressive") === "1",
+  };
+  for (const key of LINK_FIELDS) {
+    if (params.has(key)) raw[key] = params.get(key);
+  }
+  const preset = normalizePreset({ ...raw, id: createPresetId(raw.name, presets) });
+  const existing = presets.find((p) => sameSettings(p, preset));
+  return existing ? { preset: existing, isNew: false } : { preset, isNew: true };
+}
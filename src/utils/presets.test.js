@@ -0,0 +1,184 @@
+import { beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BUILT_IN_PRESETS,
+  DEFAULT_PRESET,
+  getTargetSize,
+  importPresets,
+  loadPresets,
+  normalizePreset,
+  presetFromSearchParams,
+  presetToSearchParams,
+  savePresets,
+} from "./presets.js";
+
+// Just enough of localStorage for loadPresets and savePresets.
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    keys: () => [...items.keys()],
+  };
+}
+
+beforeEach(() => {
+  globalThis.localStorage = createStorage();
+});
+
+const ids = (presets) => presets.map((p) => p.id);
+const printA4 = () => BUILT_IN_PRESETS.find((p) => p.id === "print-a4");
+
+test("loadPresets falls back to the built-ins", () => {
+  assert.equal(loadPresets(), BUILT_IN_PRESETS);
+  localStorage.setItem("hdimages.presets.v2", "{not json");
+  assert.equal(loadPresets(), BUILT_IN_PRESETS);
+});
+
+test("unedited built-ins aren't stored", () => {
+  savePresets(BUILT_IN_PRESETS);
+  assert.deepEqual(JSON.parse(localStorage.getItem("hdimages.presets.v2")), { presets: [], removed: [] });
+});
+
+test("built-ins come from the current release unless edited", () => {
+  const stale = { ...printA4(), dpi: null };
+  localStorage.setItem("hdimages.presets.v2", JSON.stringify({ presets: [], removed: [] }));
+  assert.equal(loadPresets().find((p) => p.id === "print-a4").dpi, 300);
+
+  savePresets(BUILT_IN_PRESETS.map((p) => (p.id === "print-a4" ? stale : p)));
+  assert.equal(loadPresets().find((p) => p.id === "print-a4").dpi, null);
+});
+
+test("custom presets and deleted built-ins round-trip", () => {
+  const custom = normalizePreset({ id: "banner", name: "Banner", sizing: "exact", width: 1500, height: 500 });
+  const presets = [...BUILT_IN_PRESETS.filter((p) => p.id !== "print-a4"), custom];
+  savePresets(presets);
+  const loaded = loadPresets();
+  assert.deepEqual(ids(loaded), ids(presets));
+  assert.deepEqual(loaded.at(-1), custom);
+});
+
+test("version 1 storage keeps only custom presets and is removed", () => {
+  const custom = { id: "banner", name: "Banner", sizing: "scale", scale: 3 };
+  localStorage.setItem(
+    "hdimages.presets",
+    JSON.stringify([...BUILT_IN_PRESETS.map((p) => ({ ...p, metadata: null, dpi: null })), custom])
+  );
+  const loaded = loadPresets();
+  assert.deepEqual(ids(loaded), [...ids(BUILT_IN_PRESETS), "banner"]);
+  assert.equal(loaded.find((p) => p.id === "print-a4").dpi, 300);
+  assert.deepEqual(localStorage.keys(), ["hdimages.presets.v2"]);
+});
+
+const builtIn = (id) => BUILT_IN_PRESETS.find((p) => p.id === id);
+const full = (width, height) => ({ x: 0, y: 0, width, height });
+
+// [description, source size, preset, expected output size and crop]
+const SIZES = [
+  ["minimum enlarges to the short-side minimum", [800, 600], DEFAULT_PRESET, [2133, 1600]],
+  ["minimum never shrinks", [4000, 3000], DEFAULT_PRESET, [4000, 3000]],
+  [
+    "cover crops the centre",
+    [4000, 3000],
+    builtIn("instagram-square"),
+    [1080, 1080, { x: 500, y: 0, width: 3000, height: 3000 }],
+  ],
+  ["contain follows the photo's orientation", [3000, 2000], builtIn("print-a4"), [3508, 2339]],
+  [
+    "contain keeps the box's orientation otherwise",
+    [3000, 2000],
+    { ...builtIn("print-a4"), matchOrientation: false },
+    [2480, 1653],
+  ],
+  ["stretch fills the box", [100, 300], { ...builtIn("print-a4"), fit: "stretch" }, [2480, 3508]],
+  ["scale multiplies both sides", [101, 50], builtIn("scale-4x"), [404, 200]],
+  ["optimize shrinks into the box", [4000, 3000], builtIn("whatsapp-send"), [1600, 1200]],
+  ["optimize never enlarges", [800, 600], builtIn("whatsapp-send"), [800, 600]],
+];
+
+for (const [description, [width, height], preset, [outW, outH, crop = full(width, height)]] of SIZES) {
+  test(`getTargetSize: ${description}`, () => {
+    assert.deepEqual(getTargetSize(width, height, preset), { width: outW, height: outH, crop });
+  });
+}
+
+const BANNER = normalizePreset({
+  id: "banner",
+  name: "Banner",
+  sizing: "exact",
+  width: 1500,
+  height: 500,
+  fit: "cover",
+  matchOrientation: true,
+  quality: 0.8,
+  chroma: "444",
+  progressive: true,
+  metadata: "strip-gps",
+  dpi: 150,
+});
+
+test("built-in presets link by id", () => {
+  const params = presetToSearchParams(builtIn("print-a4"));
+  assert.equal(params.toString(), "preset=print-a4");
+  assert.deepEqual(presetFromSearchParams(params, BUILT_IN_PRESETS), { preset: builtIn("print-a4"), isNew: false });
+});
+
+test("links to unknown ids or without settings resolve to nothing", () => {
+  assert.equal(presetFromSearchParams(new URLSearchParams("preset=gone"), BUILT_IN_PRESETS), null);
+  assert.equal(presetFromSearchParams(new URLSearchParams("name=Banner&width=10"), BUILT_IN_PRESETS), null);
+});
+
+test("custom presets carry their settings through a link", () => {
+  const params = presetToSearchParams(BANNER);
+  assert.equal(params.get("preset"), null);
+  assert.deepEqual(presetFromSearchParams(params, BUILT_IN_PRESETS), { preset: BANNER, isNew: true });
+});
+
+test("a linked preset that's already there resolves to it", () => {
+  const presets = [...BUILT_IN_PRESETS, BANNER];
+  const linked = presetFromSearchParams(presetToSearchParams(BANNER), presets);
+  assert.equal(linked.preset, BANNER);
+  assert.equal(linked.isNew, false);
+});
+
+test("a linked preset with a taken name gets a fresh id", () => {
+  const params = presetToSearchParams({ ...BANNER, width: 1200 });
+  const linked = presetFromSearchParams(params, [...BUILT_IN_PRESETS, BANNER]);
+  assert.equal(linked.isNew, true);
+  assert.equal(linked.preset.id, "banner-2");
+  assert.equal(linked.preset.width, 1200);
+});
+
+test("normalizePreset replaces invalid values with the defaults", () => {
+  const preset = normalizePreset({
+    name: "  Odd  ",
+    sizing: "huge",
+    width: -5,
+    quality: 3,
+    chroma: "411",
+    metadata: "everything",
+    dpi: 1e9,
+  });
+  assert.equal(preset.id, "odd");
+  assert.equal(preset.name, "Odd");
+  assert.equal(preset.sizing, "minimum");
+  assert.equal(preset.width, DEFAULT_PRESET.width);
+  assert.equal(preset.quality, 1);
+  assert.equal(preset.chroma, null);
+  assert.equal(preset.metadata, null);
+  assert.equal(preset.dpi, 65535);
+  assert.throws(() => normalizePreset({ sizing: "scale" }), /name/);
+});
+
+test("importPresets replaces presets with the same id", () => {
+  const json = JSON.stringify({
+    version: 1,
+    presets: [{ ...BANNER, width: 1200 }, { name: "Thumb", sizing: "scale", scale: 0.5 }],
+  });
+  const merged = importPresets(json, [...BUILT_IN_PRESETS, BANNER]);
+  assert.deepEqual(ids(merged), [...ids(BUILT_IN_PRESETS), "banner", "thumb"]);
+  assert.equal(merged.find((p) => p.id === "banner").width, 1200);
+  assert.throws(() => importPresets("nope", BUILT_IN_PRESETS), /valid JSON/);
+  assert.throws(() => importPresets("[]", BUILT_IN_PRESETS), /no presets/);
+});
@@ -0,0 +1,301 @@
+// CPU resamplers used by the upscaler. Everything works on raw RGBA pixel
+// arrays so it can run in the browser without any external service.
+
+export const UPSCALE_ENGINES = {
+  fast: "Fast (browser canvas)",
+  bicubic: "Bicubic",
+  lanczos: "Lanczos-3",
+};
+
+function sinc(x) {
+  if (x === 0) return 1;
+  const px = Math.PI * x;
+  return Math.sin(px) / px;
+}
+
+// Keys' cubic convolution with a = -0.5 (Catmull-Rom).
+function cubic(x) {
+  const a = -0.5;
+  x = Math.abs(x);
+  if (x < 1) return (a + 2) * x * x * x - (a + 3) * x * x + 1;
+  if (x < 2) return a * x * x * x - 5 * a * x * x + 8 * a * x - 4 * a;
+  return 0;
+}
+
+function lanczos3(x) {
+  x = Math.abs(x);
+  if (x >= 3) return 0;
+  return sinc(x) * sinc(x / 3);
+}
+
+const KERNELS = {
+  bicubic: { support: 2, fn: cubic },
+  lanczos: { support: 3, fn: lanczos3 },
+};
+
+// Precompute the contributing source pixels and normalised weights for every
+// destination column (or row). When shrinking, the kernel is stretched so it
+// acts as a low-pass filter instead of aliasing.
+function buildWeights(srcSize, dstSize, kernel) {
+  const scale = dstSize / srcSize;
+  const filterScale = Math.max(1, 1 / scale);
+  const support = kernel.support * filterScale;
+  const contributions = new Array(dstSize);
+
+  for (let i = 0; i < dstSize; i++) {
+    const center = (i + 0.5) / scale - 0.5;
+    const start = Math.max(0, Math.floor(center - support));
+    const end = Math.min(srcSize - 1, Math.ceil(center + support));
+    const weights = new Float32Array(end - start + 1);
+    let total = 0;
+    for (let j = start; j <= end; j++) {
+      const w = kernel.fn((j - center) / filterScale);
+      weights[j - start] = w;
+      total += w;
+    }
+    if (total !== 0) {
+      for (let k = 0; k < weights.length; k++) weights[k] /= total;
+    }
+    contributions[i] = { start, weights };
+  }
+  return contributions;
+}
+
+// Box-filter weights for shrinking: every destination pixel averages the
+// source pixels it covers, with the partly covered ones at its edges
+// weighted by how much of them it covers.
+function buildAreaWeights(srcSize, dstSize) {
+  const ratio = srcSize / dstSize;
+  const contributions = new Array(dstSize);
+  for (let i = 0; i < dstSize; i++) {
+    const from = i * ratio;
+    const to = Math.min(srcSize, (i + 1) * ratio);
+    const start = Math.floor(from);
+    const end = Math.max(start, Math.ceil(to) - 1);
+    const weights = new Float32Array(end - start + 1);
+    for (let j = start; j <= end; j++) {
+      weights[j - start] = (Math.min(to, j + 1) - Math.max(from, j)) / (to - from);
+    }
+    contributions[i] = { start, weights };
+  }
+  return contributions;
+}
+
+function clampByte(v) {
+  return v < 0 ? 0 : v > 255 ? 255 : Math.round(v);
+}
+
+function getWeights(srcW, srcH, dstW, dstH, engine) {
+  if (engine === "area") {
+    return { xWeights: buildAreaWeights(srcW, dstW), yWeights: buildAreaWeights(srcH, dstH) };
+  }
+  const kernel = KERNELS[engine];
+  if (!kernel) throw new Error(`Unknown resampling engine: ${engine}`);
+  return { xWeights: buildWeights(srcW, dstW, kernel), yWeights: buildWeights(srcH, dstH, kernel) };
+}
+
+// The two resampling passes over a window of the source. `src` holds the
+// source pixels from (`left`, `top`) on, `srcW` wide; `xWeights` and
+// `yWeights` are the weights of the destination columns and rows wanted.
+function resampleWindow(src, srcW, left, top, xWeights, yWeights) {
+  const srcH = src.length / 4 / srcW;
+  const dstW = xWeights.length;
+  const dstH = yWeights.length;
+
+  // Horizontal pass: srcW x srcH -> dstW x srcH (premultiplied floats).
+  const tmp = new Float32Array(dstW * srcH * 4);
+  for (let y = 0; y < srcH; y++) {
+    const row = y * srcW * 4;
+    for (let x = 0; x < dstW; x++) {
+      const { start, weights } = xWeights[x];
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const p = row + (start - left + k) * 4;
+        const w = weights[k];
+        const alpha = src[p + 3];
+        const wa = w * alpha;
+        r += src[p] * wa;
+        g += src[p + 1] * wa;
+        b += src[p + 2] * wa;
+        a += wa;
+      }
+      const o = (y * dstW + x) * 4;
+      tmp[o] = r;
+      tmp[o + 1] = g;
+      tmp[o + 2] = b;
+      tmp[o + 3] = a;
+    }
+  }
+
+  // Vertical pass: dstW x srcH -> dstW x dstH, un-premultiplying at the end.
+  const out = new Uint8ClampedArray(dstW * dstH * 4);
+  for (let y = 0; y < dstH; y++) {
+    const { start, weights } = yWeights[y];
+    for (let x = 0; x < dstW; x++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const p = ((start - top + k) * dstW + x) * 4;
+        const w = weights[k];
+        r += tmp[p] * w;
+        g += tmp[p + 1] * w;
+        b += tmp[p + 2] * w;
+        a += tmp[p + 3] * w;
+      }
+      const o = (y * dstW + x) * 4;
+      if (a > 0) {
+        out[o] = clampByte(r / a);
+        out[o + 1] = clampByte(g / a);
+        out[o + 2] = clampByte(b / a);
+      }
+      out[o + 3] = clampByte(a);
+    }
+  }
+  return out;
+}
+
+// Separable two-pass resample of an RGBA buffer. Colour channels are
+// resampled premultiplied so transparent edges don't bleed dark fringes.
+// `engine` is one of UPSCALE_ENGINES' CPU kernels, or "area" (area
+// averaging, the best choice when only shrinking).
+export function resampleRGBA(src, srcW, srcH, dstW, dstH, engine = "lanczos") {
+  const { xWeights, yWeights } = getWeights(srcW, srcH, dstW, dstH, engine);
+  return resampleWindow(src, srcW, 0, 0, xWeights, yWeights);
+}
+
+// Largest tile side, in destination and in source pixels.
+const TILE_SIZE = 1024;
+// How far sharpening reaches: unsharpMask's default blur is ±2 px.
+export const SHARPEN_MARGIN = 3;
+
+// The source pixels [from, to) that destination columns (or rows) `first`
+// to `last - 1` read.
+function sourceSpan(contributions, first, last) {
+  let from = Infinity;
+  let to = 0;
+  for (let i = first; i < last; i++) {
+    const { start, weights } = contributions[i];
+    from = Math.min(from, start);
+    to = Math.max(to, start + weights.length);
+  }
+  return [from, to];
+}
+
+// Copy the `width` × `height` rectangle at (`x`, `y`) out of an RGBA buffer
+// `stride` pixels wide.
+export function cropRGBA(data, stride, x, y, width, height) {
+  const out = new Uint8ClampedArray(width * height * 4);
+  for (let row = 0; row < height; row++) {
+    const start = ((y + row) * stride + x) * 4;
+    out.set(data.subarray(start, start + width * 4), row * width * 4);
+  }
+  return out;
+}
+
+// `resampleRGBA` (plus sharpening) one tile at a time, so no buffer is ever
+// the size of the whole image. `readSource(x, y, width, height)` returns the
+// RGBA pixels of a source rectangle and `writeTile(pixels, x, y, width,
+// height)` takes each finished destination tile. Tiles read their
+// neighbours' source pixels as overlap, so the seams are invisible: the
+// result is the same as in one piece.
+export function resampleTiled({ srcW, srcH, dstW, dstH, engine, sharpen = 0, readSource, writeTile, onTile }) {
+  const { xWeights, yWeights } = getWeights(srcW, srcH, dstW, dstH, engine);
+  // When shrinking, smaller tiles keep the source they read within bounds.
+  const tileW = Math.max(16, Math.floor(TILE_SIZE * Math.min(1, dstW / srcW)));
+  const tileH = Math.max(16, Math.floor(TILE_SIZE * Math.min(1, dstH / srcH)));
+  const margin = sharpen > 0 ? SHARPEN_MARGIN : 0;
+  const total = Math.ceil(dstW / tileW) * Math.ceil(dstH / tileH);
+  let done = 0;
+
+  for (let ty = 0; ty < dstH; ty += tileH) {
+    const h = Math.min(tileH, dstH - ty);
+    const y0 = Math.max(0, ty - margin);
+    const y1 = Math.min(dstH, ty + h + margin);
+    const [sy0, sy1] = sourceSpan(yWeights, y0, y1);
+    for (let tx = 0; tx < dstW; tx += tileW) {
+      const w = Math.min(tileW, dstW - tx);
+      const x0 = Math.max(0, tx - margin);
+      const x1 = Math.min(dstW, tx + w + margin);
+      const [sx0, sx1] = sourceSpan(xWeights, x0, x1);
+      const source = readSource(sx0, sy0, sx1 - sx0, sy1 - sy0);
+      const pixels = resampleWindow(
+        source,
+        sx1 - sx0,
+        sx0,
+        sy0,
+        xWeights.slice(x0, x1),
+        yWeights.slice(y0, y1)
+      );
+      if (margin > 0) {
+        unsharpMask(pixels, x1 - x0, y1 - y0, { amount: sharpen });
+        writeTile(cropRGBA(pixels, x1 - x0, tx - x0, ty - y0, w, h), tx, ty, w, h);
+      } else {
+        writeTile(pixels, tx, ty, w, h);
+      }
+      if (onTile) onTile(++done / total);
+    }
+  }
+}
+
+// Separable gaussian blur of the luma channel only, returned as floats.
+function blurLuma(luma, w, h, radius) {
+  const sigma = Math.max(radius / 2, 0.5);
+  const size = Math.ceil(radius) * 2 + 1;
+  const half = (size - 1) / 2;
+  const kernel = new Float32Array(size);
+  let total = 0;
+  for (let i = 0; i < size; i++) {
+    const d = i - half;
+    kernel[i] = Math.exp(-(d * d) / (2 * sigma * sigma));
+    total += kernel[i];
+  }
+  for (let i = 0; i < size; i++) kernel[i] /= total;
+
+  const tmp = new Float32Array(w * h);
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let k = 0; k < size; k++) {
+        const sx = Math.min(w - 1, Math.max(0, x + k - half));
+        sum += luma[y * w + sx] * kernel[k];
+      }
+      tmp[y * w + x] = sum;
+    }
+  }
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let k = 0; k < size; k++) {
+        const sy = Math.min(h - 1, Math.max(0, y + k - half));
+        sum += tmp[sy * w + x] * kernel[k];
+      }
+      out[y * w + x] = sum;
+    }
+  }
+  return out;
+}
+
+// Edge-aware unsharp mask, applied in place. Sharpening is computed on luma
+// and only kicks in where the local detail exceeds `threshold`, so flat areas
+// (skies, skin) don't get their noise amplified.
+export function unsharpMask(data, w, h, { amount = 0.6, radius = 1.2, threshold = 4 } = {}) {
+  if (amount <= 0) return data;
+  const luma = new Float32Array(w * h);
+  for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+    luma[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  const blurred = blurLuma(luma, w, h, radius);
+
+  for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+    const detail = luma[i] - blurred[i];
+    const magnitude = Math.abs(detail);
+    if (magnitude < threshold) continue;
+    // Ramp in smoothly above the threshold instead of a hard cut-off.
+    const ramp = Math.min(1, (magnitude - threshold) / (threshold + 1));
+    const delta = detail * amount * ramp;
+    data[p] = clampByte(data[p] + delta);
+    data[p + 1] = clampByte(data[p + 1] + delta);
+    data[p + 2] = clampByte(data[p + 2] + delta);
+  }
+  return data;
+}
@@ -0,0 +1,332 @@
+// The upscaling pipeline, kept free of React and the DOM so it can run inside
+// a Web Worker (OffscreenCanvas) as well as on the main thread.
+import { UPSCALE_ENGINES, resampleTiled } from "./resample.js";
+import { analyzeBytes, classifyImage } from "./classify.js";
+import { DEFAULT_PRESET, getTargetSize } from "./presets.js";
+import { CanvasLimitError, createCanvas, createCheckedCanvas, formatMegapixels } from "./canvas.js";
+import { DEFAULT_EDITS, applyEdits, hasEdits } from "./edits.js";
+import { DEFAULT_ENHANCE, applyEnhancements, hasEnhancements } from "./enhance.js";
+import { encodeCanvas, getFormatInfo } from "./formats.js";
+import { JPEG_BYTES_PER_PIXEL, usesJpegEncoder } from "./jpegEncoder.js";
+import { applyWatermark, hasWatermark } from "./watermark.js";
+import { formatBytes } from "./format.js";
+import {
+  METADATA_FORMATS,
+  describeMetadata,
+  prepareMetadata,
+  readImageSize,
+  readMetadata,
+  writeMetadata,
+} from "./metadata.js";
+
+// `format`, `lossless`, `maxBytes` and `metadata` override the preset's
+// settings for the whole batch when set. `processOn` picks where jobs run ("device" or
+// "server"); the pipeline itself ignores it.
+export const DEFAULT_OPTIONS = {
+  engine: "lanczos",
+  sharpen: 0.5,
+  skipGood: true,
+  preset: DEFAULT_PRESET,
+  format: null,
+  lossless: false,
+  maxBytes: null,
+  metadata: null,
+  edits: DEFAULT_EDITS,
+  enhance: DEFAULT_ENHANCE,
+  processOn: "device",
+};
+
+export function getHdFileName(originalName, format) {
+  const { extension } = getFormatInfo(format);
+  const lastDot = originalName.lastIndexOf(".");
+  const base = lastDot > 0 ? originalName.substring(0, lastDot) : originalName;
+  return base + "-hd" + extension;
+}
+
+export function getEncoderSettings({ preset, format, lossless, maxBytes }) {
+  const type = format || preset.format;
+  // Chromium encodes WebP losslessly at quality 1; PNG is always lossless.
+  return {
+    format: type,
+    quality: lossless ? 1 : preset.quality,
+    maxBytes: lossless ? null : maxBytes || preset.maxBytes,
+    chroma: preset.chroma,
+    progressive: preset.progressive,
+  };
+}
+
+// The METADATA_MODES key a job uses: the batch's choice, else the preset's.
+export function getMetadataMode({ preset, metadata }) {
+  return metadata || preset.metadata || "keep";
+}
+
+// Blend RGBA pixels over an opaque background, in place, for formats that
+// can't store transparency (otherwise transparent areas turn black).
+export function flattenPixels(data, [r, g, b]) {
+  for (let p = 0; p < data.length; p += 4) {
+    const a = data[p + 3] / 255;
+    if (a === 1) continue;
+    data[p] = data[p] * a + r * (1 - a);
+    data[p + 1] = data[p + 1] * a + g * (1 - a);
+    data[p + 2] = data[p + 2] * a + b * (1 - a);
+    data[p + 3] = 255;
+  }
+}
+
+const WHITE = [255, 255, 255];
+
+// Run the clean-up filters at source resolution, before edits move the
+// JPEG block grid around.
+function enhanceSource(bitmap, enhance) {
+  const canvas = createCheckedCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  const pixels = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+  applyEnhancements(pixels.data, bitmap.width, bitmap.height, enhance);
+  ctx.putImageData(pixels, 0, 0);
+  return canvas;
+}
+
+// Send-safe presets only ever shrink, so they always area-average.
+export function getResampler({ engine, preset }) {
+  return preset.sizing === "optimize" ? "area" : engine;
+}
+
+// Reads rectangles of the cropped source through one small canvas, grown as
+// needed.
+function createSourceReader(source, crop) {
+  let canvas = null;
+  let ctx = null;
+  return (x, y, width, height) => {
+    if (!canvas || canvas.width < width || canvas.height < height) {
+      canvas = createCanvas(Math.max(width, canvas ? canvas.width : 0), Math.max(height, canvas ? canvas.height : 0));
+      ctx = canvas.getContext("2d", { willReadFrequently: true });
+    } else {
+      ctx.clearRect(0, 0, width, height);
+    }
+    ctx.drawImage(source, crop.x + x, crop.y + y, width, height, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height).data;
+  };
+}
+
+// "fast" keeps the original behaviour (let the browser stretch the canvas,
+// unsharpened) so outputs stay comparable; the other engines resample on the
+// CPU, in tiles, so only the output canvas is ever full size.
+function drawUpscaled(bitmap, crop, targetW, targetH, { engine, sharpen, alpha }, onProgress) {
+  const canvas = createCheckedCanvas(targetW, targetH);
+  const ctx = canvas.getContext("2d");
+
+  if (engine !== "area" && (engine === "fast" || !UPSCALE_ENGINES[engine])) {
+    if (!alpha) {
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, targetW, targetH);
+    }
+    ctx.drawImage(bitmap, crop.x, crop.y, crop.width, crop.height, 0, 0, targetW, targetH);
+    onProgress(0.6, "resizing");
+    return canvas;
+  }
+
+  resampleTiled({
+    srcW: crop.width,
+    srcH: crop.height,
+    dstW: targetW,
+    dstH: targetH,
+    engine,
+    sharpen,
+    readSource: createSourceReader(bitmap, crop),
+    writeTile: (pixels, x, y, width, height) => {
+      if (!alpha) flattenPixels(pixels, WHITE);
+      ctx.putImageData(new ImageData(pixels, width, height), x, y);
+    },
+    onTile: (fraction) => onProgress(0.35 + 0.4 * fraction, "resizing"),
+  });
+  return canvas;
+}
+
+// Each job may use a quarter of the device's memory, as several run at
+// once. `navigator.deviceMemory` is a rough hint, and Chromium-only.
+export function getMemoryBudget() {
+  const gigabytes = (typeof navigator !== "undefined" && navigator.deviceMemory) || 4;
+  return (gigabytes * 2 ** 30) / 4;
+}
+
+// Peak memory for a job, roughly: the decoded source and the full-size
+// copies clean-up and edits make of it, the output canvas and what the
+// encoder holds. Tiles are small enough to leave out.
+export function estimateJobBytes({ width, height, newWidth, newHeight, enhanced, edited, encoder }) {
+  const copies = 1 + (enhanced ? 1 : 0) + (edited ? 1 : 0);
+  const encoderBytes = usesJpegEncoder(encoder) ? JPEG_BYTES_PER_PIXEL[encoder.chroma || "420"] : 4;
+  return width * height * 4 * copies + newWidth * newHeight * (4 + encoderBytes);
+}
+
+// What to tell the user when a canvas the job needs is over the browser's
+// limits.
+function explainCanvasLimit(err, { newWidth, newHeight }) {
+  if (err.width === newWidth && err.height === newHeight) {
+    return new Error(
+      `The output would be ${newWidth} × ${newHeight} (${formatMegapixels(newWidth * newHeight)}), ` +
+        "more than this browser can hold. Choose a preset with a smaller size."
+    );
+  }
+  return new Error(`${err.message} Crop/rotate and clean-up filters need the whole photo in one; try without them.`);
+}
+
+// Decode, upscale and encode a single file. `onProgress(fraction, stage)` is
+// called as each stage completes.
+export async function processImage(file, options = DEFAULT_OPTIONS, onProgress = () => {}) {
+  onProgress(0, "decoding");
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const metadata = await readMetadata(bytes);
+  const encoder = getEncoderSettings(options);
+  const keepIcc = Boolean(
+    metadata.icc &&
+      !["strip-all", "essential"].includes(getMetadataMode(options)) &&
+      METADATA_FORMATS.includes(encoder.format)
+  );
+
+  // The header gives the size before anything is decoded, so a photo that
+  // can't possibly fit is turned away with a reason rather than a crash.
+  const size = readImageSize(bytes);
+  const budget = getMemoryBudget();
+  if (size && size.width * size.height * 4 > budget) {
+    throw new Error(
+      `This image is ${size.width} × ${size.height} (${formatMegapixels(size.width * size.height)}); ` +
+        `decoding it needs about ${formatBytes(size.width * size.height * 4)}, more than this ` +
+        `device can spare (${formatBytes(budget)}). Use the hdimages command line instead.`
+    );
+  }
+
+  let bitmap;
+  try {
+    // Rotate per EXIF before resizing. When the ICC profile is copied over,
+    // keep pixels in the source colour space so it still describes them.
+    bitmap = await createImageBitmap(file, {
+      imageOrientation: "from-image",
+      colorSpaceConversion: keepIcc ? "none" : "default",
+    });
+  } catch {
+    if (!size) throw new Error("Failed to load image.");
+    throw new Error(
+      `Failed to load image. At ${size.width} × ${size.height} ` +
+        `(${formatMegapixels(size.width * size.height)}) it may be larger than this browser can decode.`
+    );
+  }
+
+  try {
+    const { width, height } = bitmap;
+    if (!width || !height) throw new Error("Failed to load image.");
+    onProgress(0.1, "analyzing");
+
+    const hints = analyzeBytes(bytes);
+    const quality = {
+      ...classifyImage({ width, height, mimeType: file.type, ...hints }),
+      jpegQuality: hints.jpegQuality,
+    };
+    const metadataFields = describeMetadata(metadata.info, metadata.icc);
+    onProgress(0.2, "analyzing");
+
+    // Re-encoding an image that is already good only loses quality. Exact
+    // size and scale presets, edits, enhancements and watermarks are
+    // explicit requests, so they always run.
+    const { preset } = options;
+    const edited = hasEdits(options.edits);
+    const enhanced = hasEnhancements(options.enhance);
+    const watermarked = hasWatermark(preset.watermark);
+    if (
+      quality.label === "good" &&
+      options.skipGood &&
+      preset.sizing === "minimum" &&
+      !edited &&
+      !enhanced &&
+      !watermarked
+    ) {
+      onProgress(1, "skipped");
+      return {
+        width,
+        height,
+        newWidth: width,
+        newHeight: height,
+        quality,
+        metadata: metadataFields,
+        skipped: true,
+      };
+    }
+
+    // Crops only make the output smaller, so sizing the uncropped photo
+    // is a safe upper bound.
+    const estimate = getTargetSize(width, height, preset);
+    const needed = estimateJobBytes({
+      width,
+      height,
+      newWidth: estimate.width,
+      newHeight: estimate.height,
+      enhanced,
+      edited,
+      encoder,
+    });
+    if (needed > budget) {
+      throw new Error(
+        `Processing this image needs about ${formatBytes(needed)} of memory, more than this ` +
+          `device can spare (${formatBytes(budget)}). Choose a smaller preset, or use the ` +
+          "hdimages command line."
+      );
+    }
+
+    // Edits are applied at full source resolution, so the target size is
+    // worked out from the cropped/rotated result.
+    let source = bitmap;
+    let target = estimate;
+    let canvas;
+    try {
+      if (enhanced) {
+        source = enhanceSource(source, options.enhance);
+        onProgress(0.35, "enhancing");
+      }
+      if (edited) source = applyEdits(source, options.edits);
+      target = getTargetSize(source.width, source.height, preset);
+      const { alpha } = getFormatInfo(encoder.format);
+      canvas = drawUpscaled(
+        source,
+        target.crop,
+        target.width,
+        target.height,
+        { ...options, engine: getResampler(options), alpha },
+        onProgress
+      );
+    } catch (err) {
+      if (!(err instanceof CanvasLimitError)) throw err;
+      throw explainCanvasLimit(err, { newWidth: target.width, newHeight: target.height });
+    }
+    const { width: newWidth, height: newHeight } = target;
+    if (watermarked) await applyWatermark(canvas, preset.watermark);
+    onProgress(0.8, "encoding");
+
+    // Metadata is written inside the budget search, so a large ICC profile
+    // or EXIF block can't push the file over `maxBytes`.
+    const kept = prepareMetadata(metadata, getMetadataMode(options), {
+      width: newWidth,
+      height: newHeight,
+      dpi: preset.dpi,
+    });
+    const encoded = await encodeCanvas(canvas, encoder, (encodedBlob) =>
+      writeMetadata(encodedBlob, { exif: kept.exif, icc: keepIcc ? kept.icc : null, dpi: preset.dpi })
+    );
+    const { blob } = encoded;
+    onProgress(1, "done");
+    return {
+      width,
+      height,
+      newWidth,
+      newHeight,
+      quality,
+      metadata: metadataFields,
+      blob,
+      format: encoder.format,
+      encodedQuality: encoded.quality,
+      fitsBudget: !encoder.maxBytes || blob.size <= encoder.maxBytes,
+      name: getHdFileName(file.name, encoder.format),
+    };
+  } finally {
+    bitmap.close();
+  }
+}
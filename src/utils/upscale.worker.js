@@ -0,0 +1,24 @@
+import { processImage } from "./upscale.js";
+import { decodeInput } from "./decoders.js";
+import { upscaleOnServer } from "./upscaleApi.js";
+
+// Tasks are `{ file, options }` to upscale, `{ kind: "server", file, options }`
+// to have the server upscale it, or `{ kind: "decode", file }` to convert an
+// input the browser can't read natively.
+self.onmessage = async (e) => {
+  const { jobId, kind, file, options } = e.data;
+  const onProgress = (progress, stage) => {
+    self.postMessage({ type: "progress", jobId, progress, stage });
+  };
+  try {
+    const result =
+      kind === "decode"
+        ? await decodeInput(file, onProgress)
+        : kind === "server"
+          ? await upscaleOnServer(file, options, onProgress)
+          : await processImage(file, options, onProgress);
+    self.postMessage({ type: "done", jobId, result });
+  } catch (err) {
+    self.postMessage({ type: "error", jobId, message: err.message });
+  }
+};
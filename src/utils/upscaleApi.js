@@ -0,0 +1,179 @@
+// The server upscaler's contract (`POST /api/upscale` in my-react-router-app)
+// and the browser client for it.
+//
+// Requests are multipart: one or more `images`, the preset as
+// `presetToSearchParams` fields, and the batch options. A single image comes
+// back as the image itself, with the `processImage`-style result in the
+// X-Upscale-Result header; several images, or `zip=1`, come back as a ZIP
+// with a manifest. Errors are JSON: `{ error: { code, message } }`.
+import { ENHANCEMENTS, DEFAULT_ENHANCE } from "./enhance.js";
+import { hasEdits } from "./edits.js";
+import { hasWatermark } from "./watermark.js";
+import { METADATA_MODES } from "./metadata.js";
+import { BUILT_IN_PRESETS, DEFAULT_PRESET, presetFromSearchParams, presetToSearchParams } from "./presets.js";
+import { UPSCALE_ENGINES } from "./resample.js";
+import { DEFAULT_OPTIONS } from "./upscale.js";
+
+export const UPSCALE_ENDPOINT = "/api/upscale";
+export const RESULT_HEADER = "X-Upscale-Result";
+
+// What the server can read and write (pure-JS codecs, no canvas).
+export const SERVER_TYPES = ["image/jpeg", "image/png"];
+
+export const MAX_FILES = 20;
+export const MAX_FILE_BYTES = 25 * 1024 * 1024;
+export const MAX_REQUEST_BYTES = 100 * 1024 * 1024;
+// Applies to each decoded input and to each output.
+export const MAX_PIXELS = 50_000_000;
+// Images waiting for a server thread; requests beyond that get a 503.
+export const MAX_QUEUED_IMAGES = 40;
+
+export class UpscaleApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "UpscaleApiError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Images the server can take with these options; anything else (other
+// formats, edited cards, watermarks) still runs on the device.
+export function canUpscaleOnServer(file, options) {
+  const format = options.format || options.preset.format;
+  return (
+    SERVER_TYPES.includes(file.type) &&
+    SERVER_TYPES.includes(format) &&
+    file.size <= MAX_FILE_BYTES &&
+    !hasEdits(options.edits) &&
+    !hasWatermark(options.preset.watermark)
+  );
+}
+
+export function toUpscaleForm(files, options, { zip = false } = {}) {
+  const form = new FormData();
+  for (const [key, value] of presetToSearchParams(options.preset)) form.append(key, value);
+  if (options.format) form.append("format", options.format);
+  form.append("engine", options.engine);
+  form.append("sharpen", String(options.sharpen));
+  form.append("skipGood", options.skipGood ? "1" : "0");
+  if (options.lossless) form.append("lossless", "1");
+  if (options.maxBytes) form.append("maxBytes", String(options.maxBytes));
+  if (options.metadata) form.append("metadata", options.metadata);
+  form.append("enhance", JSON.stringify(options.enhance));
+  if (zip) form.append("zip", "1");
+  for (const file of files) form.append("images", file, file.name);
+  return form;
+}
+
+function readNumber(form, key, fallback, min, max) {
+  if (!form.has(key)) return fallback;
+  const value = Number(form.get(key));
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new UpscaleApiError(400, "invalid_option", `"${key}" must be a number from ${min} to ${max}.`);
+  }
+  return value;
+}
+
+function readChoice(form, key, choices, fallback) {
+  if (!form.has(key)) return fallback;
+  const value = form.get(key);
+  if (!choices.includes(value)) {
+    throw new UpscaleApiError(400, "invalid_option", `"${key}" must be one of: ${choices.join(", ")}.`);
+  }
+  return value;
+}
+
+function readEnhance(form) {
+  if (!form.has("enhance")) return DEFAULT_ENHANCE;
+  let raw;
+  try {
+    raw = JSON.parse(form.get("enhance"));
+  } catch {
+    throw new UpscaleApiError(400, "invalid_option", `"enhance" must be JSON.`);
+  }
+  const enhance = { ...DEFAULT_ENHANCE };
+  for (const key of Object.keys(ENHANCEMENTS)) {
+    const value = raw && raw[key];
+    if (value == null) continue;
+    if (typeof value !== "number" || value < 0 || value > 1) {
+      throw new UpscaleApiError(400, "invalid_option", `"enhance.${key}" must be a number from 0 to 1.`);
+    }
+    enhance[key] = value;
+  }
+  return enhance;
+}
+
+// Server side of `toUpscaleForm`: the options for `upscaleBuffer` and
+// whether a ZIP was asked for. Throws UpscaleApiError for bad values.
+export function readUpscaleForm(form) {
+  const linked = presetFromSearchParams(form, BUILT_IN_PRESETS);
+  if (!linked && form.has("preset")) {
+    throw new UpscaleApiError(400, "unknown_preset", `There's no preset called "${form.get("preset")}".`);
+  }
+  const preset = linked ? linked.preset : DEFAULT_PRESET;
+  const format = form.get("format") || null;
+  if (!SERVER_TYPES.includes(format || preset.format)) {
+    throw new UpscaleApiError(
+      415,
+      "unsupported_format",
+      `The server can only write ${SERVER_TYPES.join(" or ")}, not ${format || preset.format}.`
+    );
+  }
+  const maxBytes = readNumber(form, "maxBytes", 0, 0, Number.MAX_SAFE_INTEGER);
+  return {
+    options: {
+      ...DEFAULT_OPTIONS,
+      preset,
+      format,
+      engine: readChoice(form, "engine", Object.keys(UPSCALE_ENGINES), DEFAULT_OPTIONS.engine),
+      sharpen: readNumber(form, "sharpen", DEFAULT_OPTIONS.sharpen, 0, 2),
+      skipGood: form.get("skipGood") !== "0",
+      lossless: form.get("lossless") === "1",
+      maxBytes: maxBytes || null,
+      metadata: readChoice(form, "metadata", Object.keys(METADATA_MODES), DEFAULT_OPTIONS.metadata),
+      enhance: readEnhance(form),
+    },
+    zip: form.get("zip") === "1",
+  };
+}
+
+// Header values must be ASCII; the result has "×" and the like in it.
+export function encodeResult(result) {
+  return encodeURIComponent(JSON.stringify(result));
+}
+
+export function decodeResult(header) {
+  return JSON.parse(decodeURIComponent(header));
+}
+
+async function readError(response) {
+  try {
+    const { error } = await response.json();
+    return new UpscaleApiError(response.status, error.code, error.message);
+  } catch {
+    return new UpscaleApiError(response.status, "http_error", `The server answered ${response.status}.`);
+  }
+}
+
+// Upscale one file on the server. Resolves with the same shape as
+// `processImage`, so callers can use either.
+export async function upscaleOnServer(file, options, onProgress = () => {}) {
+  onProgress(0.1, "uploading");
+  let response;
+  try {
+    response = await fetch(UPSCALE_ENDPOINT, { method: "POST", body: toUpscaleForm([file], options) });
+  } catch {
+    throw new UpscaleApiError(0, "network_error", "Couldn't reach the server.");
+  }
+  if (!response.ok) throw await readError(response);
+  onProgress(0.9, "downloading");
+  const result = decodeResult(response.headers.get(RESULT_HEADER));
+  if (result.skipped) {
+    onProgress(1, "skipped");
+    return result;
+  }
+  const blob = await response.blob();
+  onProgress(1, "done");
+  return { ...result, blob };
+}
@@ -0,0 +1,161 @@
+// Watermarks, stored on presets: a line of text or a PNG logo drawn over the
+// finished image, at one of nine anchor points or tiled across it.
+//
+// Sizes are fractions of the output's shorter side, so the same preset
+// brands a 1080 px square and a 4K wallpaper alike, and a small preview
+// canvas shows the mark exactly as it will come out. Logos are kept as data
+// URLs so presets stay plain JSON (localStorage, exported files, workers).
+
+export const WATERMARK_POSITIONS = {
+  "top-left": "Top left",
+  top: "Top",
+  "top-right": "Top right",
+  left: "Left",
+  center: "Centre",
+  right: "Right",
+  "bottom-left": "Bottom left",
+  bottom: "Bottom",
+  "bottom-right": "Bottom right",
+  tiled: "Tiled",
+};
+
+// Generic families only: they're available inside workers too.
+export const WATERMARK_FONTS = {
+  "sans-serif": "Sans-serif",
+  serif: "Serif",
+  monospace: "Monospace",
+  cursive: "Handwriting",
+};
+
+// Logos bigger than this make presets slow to save and share.
+export const MAX_LOGO_BYTES = 512 * 1024;
+
+export const DEFAULT_WATERMARK = {
+  type: "text",
+  text: "© Your name",
+  font: "sans-serif",
+  bold: true,
+  color: "#ffffff",
+  logo: null,
+  size: 0.05,
+  opacity: 0.6,
+  shadow: true,
+  position: "bottom-right",
+  margin: 0.03,
+};
+
+// The angle of the rows in tiled placement.
+const TILE_ANGLE = (-30 * Math.PI) / 180;
+
+export function hasWatermark(watermark) {
+  if (!watermark) return false;
+  return watermark.type === "logo" ? Boolean(watermark.logo) : Boolean(watermark.text.trim());
+}
+
+function clamp(value, min, max, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+// Coerce untrusted input (a stored or imported preset) into a watermark, or
+// null for none.
+export function normalizeWatermark(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const d = DEFAULT_WATERMARK;
+  return {
+    type: raw.type === "logo" ? "logo" : "text",
+    text: typeof raw.text === "string" ? raw.text.slice(0, 200) : d.text,
+    font: WATERMARK_FONTS[raw.font] ? raw.font : d.font,
+    bold: raw.bold == null ? d.bold : Boolean(raw.bold),
+    color: /^#[0-9a-f]{6}$/i.test(raw.color) ? raw.color : d.color,
+    logo: typeof raw.logo === "string" && raw.logo.startsWith("data:image/png") ? raw.logo : null,
+    size: clamp(raw.size, 0.01, 1, d.size),
+    opacity: clamp(raw.opacity, 0.05, 1, d.opacity),
+    shadow: raw.shadow == null ? d.shadow : Boolean(raw.shadow),
+    position: WATERMARK_POSITIONS[raw.position] ? raw.position : d.position,
+    margin: clamp(raw.margin, 0, 0.25, d.margin),
+  };
+}
+
+const logoCache = new Map();
+
+// Decode a logo data URL once per page or worker.
+export function loadWatermarkLogo(dataUrl) {
+  if (!logoCache.has(dataUrl)) {
+    const promise = fetch(dataUrl)
+      .then((response) => response.blob())
+      .then((blob) => createImageBitmap(blob));
+    promise.catch(() => logoCache.delete(dataUrl));
+    logoCache.set(dataUrl, promise);
+  }
+  return logoCache.get(dataUrl);
+}
+
+// Draw `watermark` onto a `width` × `height` 2D context. `logo` is the
+// decoded logo for logo watermarks (see loadWatermarkLogo).
+export function drawWatermark(ctx, width, height, watermark, logo = null) {
+  if (!hasWatermark(watermark) || (watermark.type === "logo" && !logo)) return;
+  const unit = Math.min(width, height);
+  const size = Math.max(1, watermark.size * unit);
+  const margin = watermark.margin * unit;
+
+  ctx.save();
+  ctx.globalAlpha = watermark.opacity;
+  if (watermark.shadow) {
+    ctx.shadowColor = "rgba(0, 0, 0, 0.5)";
+    ctx.shadowBlur = size * 0.15;
+    ctx.shadowOffsetX = size * 0.04;
+    ctx.shadowOffsetY = size * 0.04;
+  }
+
+  // The mark's box: text is `size` tall, logos have `size` as their longer side.
+  let markW;
+  let markH;
+  let drawMark;
+  if (watermark.type === "logo") {
+    const k = size / Math.max(logo.width, logo.height);
+    markW = logo.width * k;
+    markH = logo.height * k;
+    drawMark = (x, y) => ctx.drawImage(logo, x, y, markW, markH);
+  } else {
+    ctx.font = `${watermark.bold ? "bold " : ""}${size}px ${watermark.font}`;
+    ctx.fillStyle = watermark.color;
+    ctx.textBaseline = "top";
+    markW = ctx.measureText(watermark.text).width;
+    markH = size;
+    drawMark = (x, y) => ctx.fillText(watermark.text, x, y);
+  }
+
+  if (watermark.position === "tiled") {
+    // Rotate about the centre and cover the whole diagonal, so the corners
+    // get marks too.
+    const stepX = markW + size * 3;
+    const stepY = markH + size * 3;
+    const reach = Math.hypot(width, height) / 2;
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate(TILE_ANGLE);
+    for (let row = 0, y = -reach; y < reach; row++, y += stepY) {
+      // Stagger alternate rows like bricks.
+      const offset = row % 2 ? stepX / 2 : 0;
+      for (let x = -reach - offset; x < reach; x += stepX) drawMark(x, y);
+    }
+  } else {
+    const [vertical, horizontal] = watermark.position.includes("-")
+      ? watermark.position.split("-")
+      : ["top", "bottom"].includes(watermark.position)
+        ? [watermark.position, "center"]
+        : ["middle", watermark.position];
+    const x =
+      horizontal === "left" ? margin : horizontal === "right" ? width - margin - markW : (width - markW) / 2;
+    const y =
+      vertical === "top" ? margin : vertical === "bottom" ? height - margin - markH : (height - markH) / 2;
+    drawMark(x, y);
+  }
+  ctx.restore();
+}
+
+// Draw the watermark onto a finished canvas, loading its logo first.
+export async function applyWatermark(canvas, watermark) {
+  const logo = watermark.type === "logo" ? await loadWatermarkLogo(watermark.logo) : null;
+  drawWatermark(canvas.getContext("2d"), canvas.width, canvas.height, watermark, logo);
+}
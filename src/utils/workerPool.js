@@ -0,0 +1,116 @@
+// A small fixed-size pool of Web Workers with a FIFO job queue. Each worker
+// runs one job at a time, which bounds how many images are decoded and held
+// in memory at once.
+//
+// Workers speak a tiny protocol: they receive `{ jobId, ...task }` and reply
+// with `{ type: "progress" | "done" | "error", jobId, ... }`.
+//
+// When workers (or OffscreenCanvas inside them) are unavailable, `fallback`
+// is run on the main thread with the same concurrency limit.
+
+export class CancelledError extends Error {
+  constructor() {
+    super("Cancelled.");
+    this.name = "CancelledError";
+  }
+}
+
+export function supportsWorkerPipeline() {
+  return (
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof createImageBitmap !== "undefined"
+  );
+}
+
+export function createWorkerPool({ size, createWorker, fallback }) {
+  const useWorkers = supportsWorkerPipeline();
+  const slots = Array.from({ length: Math.max(1, size) }, () => ({
+    worker: null,
+    job: null,
+  }));
+  const queue = [];
+  let nextJobId = 1;
+
+  function finish(slot) {
+    slot.job = null;
+    pump();
+  }
+
+  function startOnWorker(slot, job) {
+    if (!slot.worker) {
+      slot.worker = createWorker();
+      slot.worker.onmessage = (e) => {
+        const msg = e.data;
+        const current = slot.job;
+        if (!current || current.id !== msg.jobId) return;
+        if (msg.type === "progress") {
+          current.onProgress(msg.progress, msg.stage);
+        } else if (msg.type === "done") {
+          current.resolve(msg.result);
+          finish(slot);
+        } else if (msg.type === "error") {
+          current.reject(new Error(msg.message));
+          finish(slot);
+        }
+      };
+      slot.worker.onerror = (e) => {
+        const current = slot.job;
+        // A crashed worker can't be trusted with the next job.
+        slot.worker.terminate();
+        slot.worker = null;
+        if (current) {
+          current.reject(new Error(e.message || "Worker crashed."));
+          finish(slot);
+        }
+      };
+    }
+    slot.worker.postMessage({ jobId: job.id, ...job.task });
+  }
+
+  function startInline(slot, job) {
+    Promise.resolve()
+      .then(() => fallback(job.task, job.onProgress))
+      .then(job.resolve, job.reject)
+      .finally(() => finish(slot));
+  }
+
+  function pump() {
+    for (const slot of slots) {
+      if (queue.length === 0) return;
+      if (slot.job) continue;
+      const job = queue.shift();
+      slot.job = job;
+      if (useWorkers) startOnWorker(slot, job);
+      else startInline(slot, job);
+    }
+  }
+
+  return {
+    run(task, onProgress = () => {}) {
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextJobId++, task, onProgress, resolve, reject });
+        pump();
+      });
+    },
+
+    // Drop jobs that haven't started yet, or only those whose task matches
+    // `filter`. Running jobs are left to finish; callers ignore their results.
+    cancelPending(filter = () => true) {
+      for (let i = queue.length - 1; i >= 0; i--) {
+        if (!filter(queue[i].task)) continue;
+        queue.splice(i, 1)[0].reject(new CancelledError());
+      }
+    },
+
+    terminate() {
+      this.cancelPending();
+      for (const slot of slots) {
+        if (slot.worker) slot.worker.terminate();
+        if (slot.job) slot.job.reject(new CancelledError());
+        slot.worker = null;
+        slot.job = null;
+      }
+    },
+  };
+}
@@ -0,0 +1,181 @@
+// A streaming ZIP writer. Entries are stored uncompressed (the images are
+// already compressed) and written with data descriptors, so each file is
+// read once, in chunks, and never has to be held in memory whole.
+import { crc32 } from "./crc32.js";
+
+const LOCAL_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+// Bit 3: sizes and CRC follow the data. Bit 11: names are UTF-8.
+const FLAGS = 0x0808;
+const MAX_ZIP_SIZE = 0xffffffff;
+
+const encoder = new TextEncoder();
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day =
+    ((Math.max(1980, date.getFullYear()) - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate();
+  return { time, day };
+}
+
+function localHeader(nameBytes, { time, day }) {
+  const out = new Uint8Array(30 + nameBytes.length);
+  const v = new DataView(out.buffer);
+  v.setUint32(0, LOCAL_HEADER, true);
+  v.setUint16(4, 20, true); // version needed
+  v.setUint16(6, FLAGS, true);
+  v.setUint16(8, 0, true); // stored
+  v.setUint16(10, time, true);
+  v.setUint16(12, day, true);
+  // CRC and sizes are left zero and written in the data descriptor.
+  v.setUint16(26, nameBytes.length, true);
+  out.set(nameBytes, 30);
+  return out;
+}
+
+function dataDescriptor(crc, size) {
+  const out = new Uint8Array(16);
+  const v = new DataView(out.buffer);
+  v.setUint32(0, DATA_DESCRIPTOR, true);
+  v.setUint32(4, crc, true);
+  v.setUint32(8, size, true);
+  v.setUint32(12, size, true);
+  return out;
+}
+
+function centralHeader(entry) {
+  const out = new Uint8Array(46 + entry.nameBytes.length);
+  const v = new DataView(out.buffer);
+  v.setUint32(0, CENTRAL_HEADER, true);
+  v.setUint16(4, 20, true); // version made by
+  v.setUint16(6, 20, true); // version needed
+  v.setUint16(8, FLAGS, true);
+  v.setUint16(10, 0, true);
+  v.setUint16(12, entry.time, true);
+  v.setUint16(14, entry.day, true);
+  v.setUint32(16, entry.crc, true);
+  v.setUint32(20, entry.size, true);
+  v.setUint32(24, entry.size, true);
+  v.setUint16(28, entry.nameBytes.length, true);
+  v.setUint32(42, entry.offset, true);
+  out.set(entry.nameBytes, 46);
+  return out;
+}
+
+function endOfCentralDirectory(count, size, offset) {
+  const out = new Uint8Array(22);
+  const v = new DataView(out.buffer);
+  v.setUint32(0, END_OF_CENTRAL_DIR, true);
+  v.setUint16(8, count, true);
+  v.setUint16(10, count, true);
+  v.setUint32(12, size, true);
+  v.setUint32(16, offset, true);
+  return out;
+}
+
+function toBlob(data) {
+  return data instanceof Blob ? data : new Blob([data]);
+}
+
+// Build a ZIP archive as a ReadableStream of bytes. `entries` is a list of
+// `{ name, data, lastModified }` where `data` is a Blob, Uint8Array or
+// string; names may contain "/" for folders.
+export function createZipStream(entries) {
+  async function* generate() {
+    const written = [];
+    let offset = 0;
+
+    for (const { name, data, lastModified } of entries) {
+      const nameBytes = encoder.encode(name);
+      const stamp = dosDateTime(lastModified ? new Date(lastModified) : new Date());
+      const header = localHeader(nameBytes, stamp);
+      const entry = { nameBytes, ...stamp, offset, crc: 0, size: 0 };
+      yield header;
+      offset += header.length;
+
+      const reader = toBlob(data).stream().getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        entry.crc = crc32(value, entry.crc);
+        entry.size += value.length;
+        yield value;
+      }
+      offset += entry.size;
+
+      const descriptor = dataDescriptor(entry.crc, entry.size);
+      yield descriptor;
+      offset += descriptor.length;
+      if (offset > MAX_ZIP_SIZE) {
+        throw new Error("ZIP archive would exceed 4 GB; download fewer images at once.");
+      }
+      written.push(entry);
+    }
+
+    const centralStart = offset;
+    for (const entry of written) {
+      const header = centralHeader(entry);
+      yield header;
+      offset += header.length;
+    }
+    yield endOfCentralDirectory(written.length, offset - centralStart, centralStart);
+  }
+
+  const iterator = generate();
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await iterator.next();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      } catch (err) {
+        controller.error(err);
+      }
+    },
+    cancel() {
+      iterator.return();
+    },
+  });
+}
+
+export function createZipBlob(entries) {
+  return new Response(createZipStream(entries), {
+    headers: { "Content-Type": "application/zip" },
+  }).blob();
+}
+
+// Make `name` unique within `used` (a Set, updated in place) by adding
+// " (2)", " (3)", ... before the extension. Comparison ignores case, since
+// most file systems do.
+export function uniqueName(name, used) {
+  const lastDot = name.lastIndexOf(".");
+  const base = lastDot > 0 ? name.substring(0, lastDot) : name;
+  const ext = lastDot > 0 ? name.substring(lastDot) : "";
+  let candidate = name;
+  for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+    candidate = `${base} (${i})${ext}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `rows` are flat objects; the CSV uses the keys of the first row as columns.
+export function buildManifest(rows) {
+  const columns = rows.length ? Object.keys(rows[0]) : [];
+  const csv = [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\n");
+  return {
+    json: JSON.stringify({ createdAt: new Date().toISOString(), files: rows }, null, 2),
+    csv: csv + "\n",
+  };
+}
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crc32 } from "./crc32.js";
+import { buildManifest, createZipBlob, createZipStream, uniqueName } from "./zip.js";
+
+const decoder = new TextDecoder();
+
+// Read a ZIP back through its central directory, checking each local header
+// and data descriptor on the way: `[{ name, data, crc, modified }]`.
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50, "end of central directory");
+  const count = view.getUint16(end + 10, true);
+  let p = view.getUint32(end + 16, true);
+  assert.equal(view.getUint32(end + 12, true), end - p, "central directory size");
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(p, true), 0x02014b50, "central header");
+    const crc = view.getUint32(p + 16, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLength = view.getUint16(p + 28, true);
+    const offset = view.getUint32(p + 42, true);
+    const name = decoder.decode(bytes.subarray(p + 46, p + 46 + nameLength));
+    const modified = { time: view.getUint16(p + 12, true), day: view.getUint16(p + 14, true) };
+
+    assert.equal(view.getUint32(offset, true), 0x04034b50, `${name}: local header`);
+    const start = offset + 30 + view.getUint16(offset + 26, true);
+    const data = bytes.subarray(start, start + size);
+    assert.equal(view.getUint32(start + size, true), 0x08074b50, `${name}: data descriptor`);
+    assert.equal(view.getUint32(start + size + 4, true), crc, `${name}: descriptor CRC`);
+    files.push({ name, data, crc, modified });
+    p += 46 + nameLength;
+  }
+  return files;
+}
+
+async function zipBytes(entries) {
+  return new Uint8Array(await new Response(createZipStream(entries)).arrayBuffer());
+}
+
+test("entries round-trip with names, contents and CRCs", async () => {
+  const image = new Uint8Array(200_000).map((_, i) => (i * 31) % 256);
+  const files = readZip(
+    await zipBytes([
+      { name: "photo-hd.jpg", data: new Blob([image]) },
+      { name: "Ferien/Strand-hd.png", data: new Uint8Array([1, 2, 3]) },
+      { name: "manifest.json", data: '{"files":[]}' },
+      { name: "empty.txt", data: "" },
+    ])
+  );
+  assert.deepEqual(
+    files.map((f) => f.name),
+    ["photo-hd.jpg", "Ferien/Strand-hd.png", "manifest.json", "empty.txt"]
+  );
+  assert.deepEqual(files[0].data, image);
+  assert.deepEqual(files[1].data, new Uint8Array([1, 2, 3]));
+  assert.equal(decoder.decode(files[2].data), '{"files":[]}');
+  assert.equal(files[3].data.length, 0);
+  for (const file of files) assert.equal(file.crc, crc32(file.data), file.name);
+});
+
+test("names are stored as UTF-8", async () => {
+  const [file] = readZip(await zipBytes([{ name: "Größe ✓.jpg", data: "x" }]));
+  assert.equal(file.name, "Größe ✓.jpg");
+});
+
+test("lastModified becomes the DOS timestamp", async () => {
+  const lastModified = new Date(2024, 4, 17, 13, 45, 30).getTime();
+  const [file] = readZip(await zipBytes([{ name: "a.jpg", data: "x", lastModified }]));
+  assert.deepEqual(file.modified, {
+    time: (13 << 11) | (45 << 5) | 15,
+    day: ((2024 - 1980) << 9) | (5 << 5) | 17,
+  });
+});
+
+test("an empty archive is just the end record", async () => {
+  const bytes = await zipBytes([]);
+  assert.equal(bytes.length, 22);
+  assert.deepEqual(readZip(bytes), []);
+});
+
+test("createZipBlob is typed as a ZIP", async () => {
+  const blob = await createZipBlob([{ name: "a.txt", data: "hello" }]);
+  assert.equal(blob.type, "application/zip");
+  assert.equal(decoder.decode(readZip(new Uint8Array(await blob.arrayBuffer()))[0].data), "hello");
+});
+
+test("uniqueName numbers repeats before the extension, ignoring case", () => {
+  const used = new Set();
+  assert.equal(uniqueName("photo-hd.jpg", used), "photo-hd.jpg");
+  assert.equal(uniqueName("Photo-HD.jpg", used), "Photo-HD (2).jpg");
+  assert.equal(uniqueName("photo-hd.jpg", used), "photo-hd (3).jpg");
+  assert.equal(uniqueName(".hidden", used), ".hidden");
+  assert.equal(uniqueName(".hidden", used), ".hidden (2)");
+  assert.equal(uniqueName("README", used), "README");
+  assert.equal(uniqueName("README", used), "README (2)");
+});
+
+test("buildManifest quotes CSV cells that need it", () => {
+  const { csv, json } = buildManifest([
+    { file: "a.jpg", note: 'said "hi", left', skipped: false },
+    { file: "b.jpg", note: null, skipped: true },
+  ]);
+  assert.equal(csv, 'file,note,skipped\na.jpg,"said ""hi"", left",false\nb.jpg,,true\n');
+  assert.deepEqual(JSON.parse(json).files[1], { file: "b.jpg", note: null, skipped: true });
+  assert.equal(buildManifest([]).csv, "\n");
+});